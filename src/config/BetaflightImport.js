@@ -0,0 +1,193 @@
+// src/config/BetaflightImport.js
+import { RATE_TYPES, SETPOINT_RATE_LIMIT } from '../simulation/RateCurves.js';
+
+const AXES = ['roll', 'pitch', 'yaw'];
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Betaflight's PID term scaling (pid.c). Its terms are in PID units, 1000 = the full motor range (1.0 in our
+// mixer), and work on deg/s where ours work on rad/s
+const PTERM_SCALE = 0.032029;       // Per deg/s of rate error
+const ITERM_SCALE = 0.244381;       // Per deg of accumulated rate error
+const DTERM_SCALE = 0.000529;       // Per deg/s² of gyro rate change
+const FEEDFORWARD_SCALE = 0.013754; // Per deg/s² of setpoint change, at f = 100
+const PID_MIXER_SCALING = 1000;
+
+// Betaflight 4.4 defaults of the settings mapped below. A `diff` leaves out everything at its default,
+// so these fill in what the text doesn't set - the sim then flies the quad's full tune, not a mix with ours
+const BETAFLIGHT_DEFAULTS = {
+    p_roll: 45, i_roll: 80, d_roll: 40, f_roll: 120,
+    p_pitch: 47, i_pitch: 84, d_pitch: 46, f_pitch: 125,
+    p_yaw: 45, i_yaw: 80, d_yaw: 0, f_yaw: 120,
+    iterm_limit: 400, pidsum_limit: 500, pidsum_limit_yaw: 400,
+    iterm_relax: 'RP', iterm_relax_type: 'SETPOINT', iterm_relax_cutoff: 15,
+    tpa_mode: 'D', tpa_rate: 65, tpa_breakpoint: 1350,
+    rates_type: 'ACTUAL',
+    roll_rc_rate: 7, pitch_rc_rate: 7, yaw_rc_rate: 7,
+    roll_srate: 67, pitch_srate: 67, yaw_srate: 67,
+    roll_expo: 0, pitch_expo: 0, yaw_expo: 0,
+    roll_rate_limit: 1998, pitch_rate_limit: 1998, yaw_rate_limit: 1998,
+    gyro_lpf1_type: 'PT1', gyro_lpf1_static_hz: 250, gyro_lpf1_dyn_min_hz: 250, gyro_lpf1_dyn_max_hz: 500,
+    gyro_lpf2_type: 'PT1', gyro_lpf2_static_hz: 500,
+    gyro_notch1_hz: 0, gyro_notch1_cutoff: 0,
+    dterm_lpf1_type: 'PT1', dterm_lpf1_static_hz: 75, dterm_lpf1_dyn_min_hz: 75, dterm_lpf1_dyn_max_hz: 150,
+    dterm_lpf2_static_hz: 150,
+    dshot_bidir: 'OFF', rpm_filter_harmonics: 3, rpm_filter_q: 500, rpm_filter_min_hz: 100,
+    level_limit: 55, angle_level_strength: 50,
+    small_angle: 25, crashflip_expo: 35,
+};
+
+// Names Betaflight 4.5 renamed, read as the 4.4 ones
+const RENAMED = { angle_limit: 'level_limit', angle_p_gain: 'angle_level_strength' };
+
+// Read only to report how they were approximated
+const NOTED = AXES.flatMap(axis => [`d_min_${axis}`, `d_max_${axis}`]);
+
+const round = value => Number(value.toPrecision(3)); // Converted gains keep 3 significant digits
+
+/**
+ * Reads the text of a Betaflight CLI `diff all` (or `dump`, or a few `set` lines) and maps what the simulator has
+ * into FLIGHT_CONTROLLER_SETTINGS: PIDs and feedforward (converted with Betaflight's term scaling, see above),
+ * rates, TPA, I-term relax, gyro and D-term filters, RPM filter, self-level, arming angle and crashflip expo.
+ * Settings of the selected PID profile and rate profile are used (the last `profile` / `rateprofile` line).
+ * @param {string} text CLI output, pasted as is.
+ * @returns {{settings: object, unsupported: string[], approximated: Array<{name: string, note: string}>, invalid: string[]}}
+ *   settings: { keyPath: value } for ConfigManager.updateUserSettings. unsupported: set names without an equivalent
+ *   here. approximated: settings only carried over roughly. invalid: `name = value` lines whose value didn't parse.
+ */
+export function importBetaflightSettings(text) {
+    const { values, given } = parseCli(text);
+    const settings = {};
+    const approximated = [];
+    const invalid = [];
+    const set = (path, value) => { settings[`FLIGHT_CONTROLLER_SETTINGS.${path}`] = value; };
+    const approximate = (name, note) => approximated.push({ name, note });
+    const number = name => {
+        const value = Number(values[name]);
+        if (Number.isFinite(value)) return value;
+        invalid.push(`${name} = ${values[name]}`);
+        return Number(BETAFLIGHT_DEFAULTS[name]);
+    };
+    const option = (name, options) => {
+        const value = `${values[name]}`.toUpperCase();
+        if (options.includes(value)) return value;
+        invalid.push(`${name} = ${values[name]}`);
+        return BETAFLIGHT_DEFAULTS[name];
+    };
+    const gain = (name, scale) => round(number(name) * scale * RAD_TO_DEG / PID_MIXER_SCALING);
+
+    // --- PIDs and feedforward ---
+    AXES.forEach(axis => {
+        set(`PID.${axis}.kp`, gain(`p_${axis}`, PTERM_SCALE));
+        set(`PID.${axis}.ki`, gain(`i_${axis}`, ITERM_SCALE));
+        set(`PID.${axis}.kd`, gain(`d_${axis}`, DTERM_SCALE));
+        set(`FEEDFORWARD.${axis}`, gain(`f_${axis}`, FEEDFORWARD_SCALE / 100));
+        [`d_min_${axis}`, `d_max_${axis}`].filter(name => given.has(name)).forEach(name => {
+            approximate(name, `D doesn't move with stick input here, it stays at d_${axis}`);
+        });
+    });
+    set('PID.sumLimit', number('pidsum_limit') / PID_MIXER_SCALING);
+    set('PID.sumLimitYaw', number('pidsum_limit_yaw') / PID_MIXER_SCALING);
+    // Our I limit caps the accumulated error, shared by all axes, where Betaflight's caps the I term
+    const rollKi = settings['FLIGHT_CONTROLLER_SETTINGS.PID.roll.ki'];
+    if (rollKi > 0) set('PID.iLimit', round(number('iterm_limit') / PID_MIXER_SCALING / rollKi));
+    if (given.has('iterm_limit')) approximate('iterm_limit', 'one limit for all axes, worked out from the roll I gain');
+
+    // --- I-term relax ---
+    const relax = option('iterm_relax', ['OFF', 'RP', 'RPY', 'RP_INC', 'RPY_INC']);
+    set('ITERM_RELAX.enabled', relax !== 'OFF');
+    if (relax !== 'OFF') set('ITERM_RELAX.axes', relax.replace('_INC', ''));
+    if (relax.endsWith('_INC')) approximate('iterm_relax', `flown as ${relax.replace('_INC', '')}, relaxing both ways`);
+    set('ITERM_RELAX.cutoffHz', number('iterm_relax_cutoff'));
+    if (option('iterm_relax_type', ['SETPOINT', 'GYRO']) === 'GYRO') approximate('iterm_relax_type', 'relax follows the setpoint here');
+
+    // --- TPA ---
+    set('TPA.mode', option('tpa_mode', ['D', 'PD']));
+    set('TPA.rate', number('tpa_rate'));
+    set('TPA.breakpoint', number('tpa_breakpoint'));
+
+    // --- Rates ---
+    const rateType = option('rates_type', [...RATE_TYPES, 'RACEFLIGHT']);
+    if (rateType === 'RACEFLIGHT') {
+        approximate('rates_type', 'RaceFlight rates aren\'t simulated, the rates were left as they were');
+    } else {
+        set('RATES.rateType', rateType);
+        AXES.forEach(axis => {
+            set(`RATES.${axis}.rcRate`, number(`${axis}_rc_rate`));
+            set(`RATES.${axis}.superRate`, number(`${axis}_srate`));
+            set(`RATES.${axis}.expo`, number(`${axis}_expo`));
+            if (number(`${axis}_rate_limit`) < SETPOINT_RATE_LIMIT) {
+                approximate(`${axis}_rate_limit`, `setpoints are only capped at ${SETPOINT_RATE_LIMIT}°/s`);
+            }
+        });
+    }
+
+    // --- Gyro and D-term filters ---
+    const lowpass = (prefix, path) => {
+        const type = option(`${prefix}_type`, ['PT1', 'BIQUAD', 'PT2', 'PT3']);
+        set(`${path}.type`, type === 'PT1' ? 'PT1' : 'BIQUAD');
+        if (type === 'PT2' || type === 'PT3') approximate(`${prefix}_type`, `${type} flown as BIQUAD`);
+        const staticHz = number(`${prefix}_static_hz`); // 0 = off, the dynamic lowpass too
+        const dynMin = values[`${prefix}_dyn_min_hz`] === undefined ? 0 : number(`${prefix}_dyn_min_hz`);
+        if (staticHz > 0 && dynMin > 0) { // Dynamic lowpass: cutoff moves with throttle between min and max
+            set(`${path}.cutoffHz`, dynMin);
+            approximate(`${prefix}_dyn_min_hz`, `dynamic lowpass (${dynMin}-${number(`${prefix}_dyn_max_hz`)} Hz) flown as a static one at ${dynMin} Hz`);
+        } else {
+            set(`${path}.cutoffHz`, staticHz);
+        }
+    };
+    lowpass('gyro_lpf1', 'GYRO_FILTERS.lowpass1');
+    lowpass('gyro_lpf2', 'GYRO_FILTERS.lowpass2');
+    set('GYRO_FILTERS.staticNotch.centerHz', number('gyro_notch1_hz'));
+    set('GYRO_FILTERS.staticNotch.cutoffHz', number('gyro_notch1_cutoff'));
+    lowpass('dterm_lpf1', 'DTERM_FILTER');
+    if (number('dterm_lpf2_static_hz') > 0) approximate('dterm_lpf2_static_hz', 'the second D-term lowpass is left out, there is only one here');
+
+    // --- RPM filter (needs bidirectional DShot for the motor RPM) ---
+    const harmonics = number('rpm_filter_harmonics');
+    set('GYRO_FILTERS.rpmFilter.enabled', option('dshot_bidir', ['ON', 'OFF']) === 'ON' && harmonics > 0);
+    if (harmonics > 0) set('GYRO_FILTERS.rpmFilter.harmonics', harmonics);
+    set('GYRO_FILTERS.rpmFilter.q', number('rpm_filter_q'));
+    set('GYRO_FILTERS.rpmFilter.minHz', number('rpm_filter_min_hz'));
+
+    // --- Self-level, arming, crashflip ---
+    set('SELF_LEVEL.maxAngle', number('level_limit'));
+    set('SELF_LEVEL.levelStrength', number('angle_level_strength') / 10); // Betaflight's level gain is strength / 10
+    set('ARMING.maxAngle', number('small_angle'));
+    set('TURTLE.expo', number('crashflip_expo'));
+
+    const unsupported = [...given].filter(name => !(name in BETAFLIGHT_DEFAULTS) && !NOTED.includes(name));
+    return { settings, unsupported, approximated, invalid };
+}
+
+// The `set` values of the master section and the selected profiles, over Betaflight's defaults
+function parseCli(text) {
+    const master = {};
+    const profiles = {};     // PID profile index -> { name: value }
+    const rateProfiles = {}; // Rate profile index -> { name: value }
+    let section = master;
+    let profile = 0;
+    let rateProfile = 0;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        const setMatch = line.match(/^set\s+(\w+)\s*=\s*(.*)$/i);
+        if (setMatch) {
+            const name = setMatch[1].toLowerCase();
+            section[RENAMED[name] ?? name] = setMatch[2].trim();
+            return;
+        }
+        const profileMatch = line.match(/^(profile|rateprofile)\s+(\d+)$/i);
+        if (!profileMatch) return; // Comments and the other commands (feature, serial, aux...) carry nothing over
+        const index = Number(profileMatch[2]);
+        if (profileMatch[1].toLowerCase() === 'profile') {
+            profile = index;
+            section = profiles[index] ??= {};
+        } else {
+            rateProfile = index;
+            section = rateProfiles[index] ??= {};
+        }
+    });
+
+    const read = { ...master, ...rateProfiles[rateProfile], ...profiles[profile] };
+    return { values: { ...BETAFLIGHT_DEFAULTS, ...read }, given: new Set(Object.keys(read)) };
+}
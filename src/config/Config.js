@@ -1,8 +1,6 @@
 const Config = {
     DEBUG_MODE: true,
     DEBUG_CANNON: false,
-    PHYSICS_TIMESTEP: 1 / 60,
-    GRAVITY: -9.82,
 
     DRONE_START_POSITION: { x: 0, y: 15, z: 0 },
 };
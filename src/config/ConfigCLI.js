@@ -0,0 +1,291 @@
+// src/config/ConfigCLI.js
+import ConfigManager from './ConfigManager.js';
+import Config from './Config.js';
+import ENVIRONMENT_PRESETS, { CUSTOM_ENVIRONMENT } from './environmentPresets.js';
+import { RATE_TYPES } from '../simulation/RateCurves.js';
+import { FLIGHT_MODES } from '../simulation/FlightController.js';
+
+// Text settings that only take certain values (the menu's select options)
+const FILTER_TYPES = ['PT1', 'BIQUAD'];
+const SETTING_OPTIONS = {
+    'FLIGHT_CONTROLLER_SETTINGS.FLIGHT_MODE': FLIGHT_MODES,
+    'FLIGHT_CONTROLLER_SETTINGS.RATES.rateType': RATE_TYPES,
+    'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.lowpass1.type': FILTER_TYPES,
+    'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.lowpass2.type': FILTER_TYPES,
+    'FLIGHT_CONTROLLER_SETTINGS.DTERM_FILTER.type': FILTER_TYPES,
+    'FLIGHT_CONTROLLER_SETTINGS.TPA.mode': ['D', 'PD'],
+    'FLIGHT_CONTROLLER_SETTINGS.ITERM_RELAX.axes': ['RP', 'RPY'],
+    'DRONE_FRAME.battery.mount': ['TOP', 'BOTTOM'],
+    'ENVIRONMENT_SETTINGS.preset': [...Object.keys(ENVIRONMENT_PRESETS), CUSTOM_ENVIRONMENT],
+};
+
+// Allowed values of a text setting, undefined for free text and other types
+function settingOptions(path) {
+    if (path === 'WORLD_GENERATION.terrainSurface') return Object.keys(ConfigManager.getConfig().SURFACE_MATERIALS);
+    return SETTING_OPTIONS[path];
+}
+
+const COMMANDS = {
+    get: 'get [name]           Show settings: a key path, a group, or every setting containing the text',
+    set: 'set <path> = <value> Change a setting (applied on save)',
+    dump: 'dump                 All settings, as commands',
+    diff: 'diff                 Settings that differ from the defaults of the drone preset, as commands',
+    defaults: 'defaults [path]      Reset all settings (or one group) to the defaults, right away',
+    save: 'save                 Apply and store the changes made with set',
+    profile: 'profile [preset]     Show the drone presets, or select one, right away',
+    help: 'help                 This list',
+    exit: 'exit                 Drop unsaved changes and close',
+};
+
+const isGroup = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Betaflight-style command line over the settings: one command per line, working on ConfigManager key paths
+ * (e.g. FLIGHT_CONTROLLER_SETTINGS.PID.roll.kp). Like Betaflight, `set` only takes effect on `save`, so a pasted
+ * snippet (a `diff` from someone else's tune) goes in as a whole. `profile` selects a drone preset right away, as
+ * drone settings are stored per preset; `diff` lists the changes from the selected preset's defaults.
+ * Core settings (Config.js) aren't listed or settable.
+ */
+class ConfigCLI {
+    constructor() {
+        this.pending = new Map(); // keyPath -> value, set but not saved
+    }
+
+    /**
+     * Runs one command line.
+     * @param {string} line
+     * @returns {{output: string[], close?: boolean}} Lines to print; close when the console should close (`exit`).
+     */
+    execute(line) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return { output: [] }; // Blank lines and comments in pasted snippets
+        const [command] = trimmed.split(/\s+/, 1);
+        const args = trimmed.slice(command.length).trim();
+        switch (command.toLowerCase()) {
+            case 'get': return { output: this._get(args) };
+            case 'set': return { output: this._set(args) };
+            case 'dump': return { output: this._commands(false) };
+            case 'diff': return { output: this._commands(true) };
+            case 'defaults': return { output: this._defaults(args) };
+            case 'save': return { output: this._save() };
+            case 'profile': return { output: this._profile(args) };
+            case 'help': return { output: Object.values(COMMANDS) };
+            case 'exit':
+                this.pending.clear();
+                return { output: [], close: true };
+            default: return { output: [`Unknown command: ${command}. Type help for the list.`] };
+        }
+    }
+
+    /**
+     * Tab completion: completes the command, key path, preset or option being typed as far as it's unambiguous.
+     * @param {string} line Text before the cursor.
+     * @returns {{line: string, candidates: string[]}} Completed line, and the choices when there's more than one.
+     */
+    complete(line) {
+        const match = line.match(/^(\s*)(\S*)$/);
+        if (match) return this._completeWord(match[1], match[2], Object.keys(COMMANDS), ' ');
+
+        const [, command, rest] = line.match(/^\s*(\S+)\s+(.*)$/);
+        const name = command.toLowerCase();
+        if (name === 'profile') return this._completeWord(`${command} `, rest.trim(), this._presetIds(), '');
+        if (!['get', 'set', 'defaults'].includes(name)) return { line, candidates: [] };
+
+        const valueMatch = name === 'set' && rest.match(/^(\S+)\s*=\s*(\S*)$/);
+        if (valueMatch) { // Value: the setting's options, or ON/OFF
+            const path = this._findPath(valueMatch[1]);
+            const value = path && this._effectiveValue(path);
+            const options = settingOptions(path) ?? (typeof value === 'boolean' ? ['ON', 'OFF'] : []);
+            return this._completeWord(`${command} ${path ?? valueMatch[1]} = `, valueMatch[2], options, '');
+        }
+        if (/\s/.test(rest.trim())) return { line, candidates: [] };
+
+        // Key path, one level at a time: groups end in '.', leaves in ' = ' for set
+        const path = rest.trim();
+        const parentPath = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '';
+        const parent = parentPath ? this._valueAt(ConfigManager.getConfig(), this._findPath(parentPath) ?? parentPath) : this._settingsRoot();
+        if (!isGroup(parent)) return { line, candidates: [] };
+        const prefix = parentPath ? `${this._findPath(parentPath)}.` : '';
+        const children = Object.keys(parent)
+            .filter(key => parentPath || key in this._settingsRoot())
+            .map(key => `${prefix}${key}${isGroup(parent[key]) ? '.' : ''}`);
+        const completed = this._completeWord(`${command} `, path, children, '');
+        if (name === 'set' && completed.candidates.length === 0 && !completed.line.endsWith('.')) {
+            const completedPath = completed.line.slice(command.length + 1);
+            if (completedPath !== path || this._isLeaf(completedPath)) completed.line += ' = ';
+        }
+        return completed;
+    }
+
+    // Completes `word` against the choices (case-insensitive) to their longest common start
+    _completeWord(before, word, choices, suffix) {
+        const candidates = choices.filter(choice => choice.toLowerCase().startsWith(word.toLowerCase()));
+        if (candidates.length === 0) return { line: before + word, candidates: [] };
+        if (candidates.length === 1) return { line: before + candidates[0] + suffix, candidates: [] };
+        let common = candidates[0];
+        candidates.forEach(candidate => {
+            while (!candidate.toLowerCase().startsWith(common.toLowerCase())) common = common.slice(0, -1);
+        });
+        return { line: before + (common.length >= word.length ? common : word), candidates };
+    }
+
+    _get(args) {
+        if (!args) return this._commands(false);
+        const paths = this._matchPaths(args);
+        if (paths.length === 0) return [`Invalid name: ${args}`];
+        return paths.map(path => this._setCommand(path));
+    }
+
+    // Leaves under an exact (case-insensitive) path, or every leaf whose path contains the text
+    _matchPaths(text) {
+        const exact = this._findPath(text);
+        const leaves = this._leafPaths();
+        if (exact) return leaves.filter(path => path === exact || path.startsWith(`${exact}.`));
+        return leaves.filter(path => path.toLowerCase().includes(text.toLowerCase()));
+    }
+
+    _set(args) {
+        const equals = args.indexOf('=');
+        if (equals < 0) return this._get(args); // Like Betaflight, `set name` lists
+        const name = args.slice(0, equals).trim();
+        // Drops a trailing comment, like the `# not saved` that get, dump and diff print, so their lines paste back
+        const text = args.slice(equals + 1).replace(/\s+#.*$/, '').trim();
+        const path = this._findPath(name);
+        if (!path) return [`Invalid name: ${name}`];
+        if (!this._isLeaf(path)) return [`${path} is a group, set its values one by one`];
+
+        const { value, error } = this._parseValue(path, text);
+        if (error) return [`Invalid value for ${path}: ${error}`];
+        this.pending.set(path, value);
+        return [`${path} set to ${this._format(value)}`];
+    }
+
+    // Parses a value of the same type as the setting's current one
+    _parseValue(path, text) {
+        const current = this._effectiveValue(path);
+        const options = settingOptions(path);
+        if (options) {
+            const option = options.find(choice => `${choice}`.toLowerCase() === text.toLowerCase());
+            return option !== undefined ? { value: option } : { error: `allowed values: ${options.join(', ')}` };
+        }
+        if (typeof current === 'number') {
+            const value = Number(text);
+            return text !== '' && Number.isFinite(value) ? { value } : { error: 'not a number' };
+        }
+        if (typeof current === 'boolean') {
+            const value = { on: true, true: true, 1: true, off: false, false: false, 0: false }[text.toLowerCase()];
+            return value !== undefined ? { value } : { error: 'ON or OFF' };
+        }
+        if (Array.isArray(current)) {
+            try {
+                const value = JSON.parse(text);
+                return Array.isArray(value) ? { value } : { error: 'not a list, e.g. [1, 2]' };
+            } catch {
+                return { error: 'not a list, e.g. [1, 2]' };
+            }
+        }
+        return text ? { value: text } : { error: 'empty' };
+    }
+
+    _save() {
+        const count = this.pending.size;
+        if (count === 0) return ['Nothing to save'];
+        ConfigManager.updateUserSettings(Object.fromEntries(this.pending));
+        this.pending.clear();
+        return [`Saved ${count} change${count === 1 ? '' : 's'}`];
+    }
+
+    _defaults(args) {
+        this.pending.clear();
+        if (!args) {
+            ConfigManager.resetToDefaults('all');
+            return ['All settings reset to defaults'];
+        }
+        const path = this._findPath(args);
+        if (!path) return [`Invalid name: ${args}`];
+        ConfigManager.resetToDefaults(path);
+        return [`${path} reset to defaults`];
+    }
+
+    _profile(args) {
+        const selected = ConfigManager.getConfig().DRONE_PRESET;
+        if (!args) {
+            return ConfigManager.getDronePresets().map(({ id, name, custom }) =>
+                `${id === selected ? '*' : ' '} ${id} (${name}${custom ? ', custom' : ''})`);
+        }
+        const presetId = this._presetIds().find(id => id.toLowerCase() === args.toLowerCase());
+        if (!presetId) return [`Unknown preset: ${args}. Type profile for the list.`];
+        ConfigManager.selectDronePreset(presetId); // Values set but not saved are kept, and saved for this preset
+        return [`profile ${presetId}`];
+    }
+
+    // `profile` plus `set` lines for every setting, or for the ones that differ from the preset's defaults
+    _commands(changesOnly) {
+        const presetId = ConfigManager.getConfig().DRONE_PRESET;
+        const defaults = ConfigManager.getDefaultConfig(presetId);
+        const paths = this._leafPaths().filter(path =>
+            !changesOnly || JSON.stringify(this._effectiveValue(path)) !== JSON.stringify(this._valueAt(defaults, path)));
+        return [`# ${changesOnly ? 'diff' : 'dump'}`, `profile ${presetId}`, ...paths.map(path => this._setCommand(path))];
+    }
+
+    _setCommand(path) {
+        return `set ${path} = ${this._format(this._effectiveValue(path))}${this.pending.has(path) ? '   # not saved' : ''}`;
+    }
+
+    _format(value) {
+        if (typeof value === 'boolean') return value ? 'ON' : 'OFF';
+        if (Array.isArray(value)) return JSON.stringify(value);
+        return `${value}`;
+    }
+
+    // The settings the CLI works on: everything but the core config and the preset selection (see profile)
+    _settingsRoot() {
+        const root = { ...ConfigManager.getConfig() };
+        Object.keys(Config).forEach(key => delete root[key]);
+        delete root.DRONE_PRESET;
+        return root;
+    }
+
+    _leafPaths() {
+        const paths = [];
+        const walk = (value, path) => {
+            if (isGroup(value)) Object.entries(value).forEach(([key, child]) => walk(child, path ? `${path}.${key}` : key));
+            else paths.push(path);
+        };
+        walk(this._settingsRoot(), '');
+        return paths;
+    }
+
+    // Canonical spelling of a key path typed in any case, null when it doesn't exist
+    _findPath(text) {
+        let node = this._settingsRoot();
+        const keys = [];
+        for (const part of text.split('.')) {
+            if (!isGroup(node)) return null;
+            const key = Object.keys(node).find(candidate => candidate.toLowerCase() === part.toLowerCase());
+            if (key === undefined) return null;
+            keys.push(key);
+            node = node[key];
+        }
+        return keys.join('.');
+    }
+
+    _isLeaf(path) {
+        return !isGroup(this._valueAt(ConfigManager.getConfig(), path));
+    }
+
+    _valueAt(config, path) {
+        return path.split('.').reduce((node, key) => node?.[key], config);
+    }
+
+    // The value `save` would store: the pending one if set, else the current one
+    _effectiveValue(path) {
+        return this.pending.has(path) ? this.pending.get(path) : this._valueAt(ConfigManager.getConfig(), path);
+    }
+
+    _presetIds() {
+        return ConfigManager.getDronePresets().map(({ id }) => id);
+    }
+}
+
+export default ConfigCLI;
@@ -1,14 +1,38 @@
 // src/ConfigManager.js
 import defaultConfig from './defaultConfig.js';
 import Config from './Config.js';
+import DRONE_PRESETS, { DEFAULT_DRONE_PRESET, DRONE_PRESET_KEYS } from './dronePresets.js';
 import EventBus, { EVENTS } from '../utils/EventBus.js';
 import StateManager from "../managers/StateManager.js"; // Import EventBus if emitting save events
 
 const LOCAL_STORAGE_KEY = 'droneSimUserConfig';
+const CUSTOM_PRESETS_STORAGE_KEY = 'droneSimCustomPresets'; // Separate, so resetting all settings keeps the user's presets
+const CUSTOM_PRESET_PREFIX = 'CUSTOM_';
+// Settings are kept in the browser's localStorage. Headless (Node) runs have none, they start from the defaults and save nothing
+const storage = typeof localStorage !== 'undefined' ? localStorage : null;
+
+const deepCopy = value => JSON.parse(JSON.stringify(value));
+
+// Deep-merges source into target: nested objects key by key, everything else (arrays included) replaced
+function merge(target, source) {
+    for (const key in source) {
+        if (Object.prototype.hasOwnProperty.call(source, key)) {
+            const sourceVal = source[key];
+            const targetVal = target[key];
+            if (sourceVal !== null && typeof sourceVal === 'object' && !Array.isArray(sourceVal) &&
+                targetVal !== null && typeof targetVal === 'object' && !Array.isArray(targetVal)) {
+                merge(targetVal, sourceVal);
+            } else if (sourceVal !== undefined) {
+                target[key] = sourceVal;
+            }
+        }
+    }
+}
 
 class ConfigManager {
     constructor() {
-        this.userConfig = {};
+        this.userConfig = {};     // Shared settings, plus DRONE_PRESET and DRONE_PRESET_OVERRIDES { presetId: settings }
+        this.customPresets = {};  // { id: { name, description, settings } } - clones of other presets
         this.mergedConfig = {};
         this.loadConfig();
 
@@ -19,8 +43,14 @@ class ConfigManager {
     }
 
     loadConfig() {
+        if (!storage) {
+            this.userConfig = {};
+            this.customPresets = {};
+            this._mergeConfigs();
+            return;
+        }
         try {
-            const savedConfig = localStorage.getItem(LOCAL_STORAGE_KEY);
+            const savedConfig = storage.getItem(LOCAL_STORAGE_KEY);
             if (savedConfig) {
                 this.userConfig = JSON.parse(savedConfig);
             } else {
@@ -30,12 +60,31 @@ class ConfigManager {
             console.error("ConfigManager: Error loading user config from localStorage:", error);
             this.userConfig = {};
         }
+        try {
+            this.customPresets = JSON.parse(storage.getItem(CUSTOM_PRESETS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error("ConfigManager: Error loading custom drone presets from localStorage:", error);
+            this.customPresets = {};
+        }
+        this._migrateDroneSettings();
         this._mergeConfigs();
     }
 
+    // Drone settings saved before presets existed were tuned on the default airframe, keep them there
+    _migrateDroneSettings() {
+        const legacyKeys = DRONE_PRESET_KEYS.filter(key => key in this.userConfig);
+        if (legacyKeys.length === 0) return;
+        const overrides = this._presetOverrides(DEFAULT_DRONE_PRESET);
+        legacyKeys.forEach(key => {
+            overrides[key] = this.userConfig[key];
+            delete this.userConfig[key];
+        });
+    }
+
     saveConfig() {
+        if (!storage) return;
         try {
-            localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(this.userConfig));
+            storage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(this.userConfig));
             if (this.mergedConfig.DEBUG_MODE) {
                 console.log("ConfigManager: User config auto-saved to localStorage.");
             }
@@ -46,24 +95,53 @@ class ConfigManager {
         }
     }
 
+    saveCustomPresets() {
+        if (!storage) return;
+        try {
+            storage.setItem(CUSTOM_PRESETS_STORAGE_KEY, JSON.stringify(this.customPresets));
+        } catch (error) {
+            console.error("ConfigManager: Error saving custom drone presets to localStorage:", error);
+        }
+    }
+
     _mergeConfigs() {
-        this.mergedConfig = JSON.parse(JSON.stringify(defaultConfig));
-        const merge = (target, source) => {
-            for (const key in source) {
-                if (Object.prototype.hasOwnProperty.call(source, key)) {
-                    const sourceVal = source[key];
-                    const targetVal = target[key];
-                    if (sourceVal !== null && typeof sourceVal === 'object' && !Array.isArray(sourceVal) &&
-                        targetVal !== null && typeof targetVal === 'object' && !Array.isArray(targetVal)) {
-                        merge(targetVal, sourceVal);
-                    } else if (sourceVal !== undefined) {
-                        target[key] = sourceVal;
-                    }
-                }
-            }
-        };
-        merge(this.mergedConfig, Config); // Merge core non-user config
-        merge(this.mergedConfig, this.userConfig); // Merge user config over defaults+core
+        // Airframe preset, then the user's changes: shared ones, and the ones saved for this preset
+        const { DRONE_PRESET_OVERRIDES: presetOverrides = {}, ...sharedSettings } = this.userConfig;
+        let presetId = sharedSettings.DRONE_PRESET ?? DEFAULT_DRONE_PRESET;
+        if (!this.getDronePreset(presetId)) {
+            console.warn(`ConfigManager: Unknown drone preset "${presetId}", using ${DEFAULT_DRONE_PRESET}.`);
+            presetId = DEFAULT_DRONE_PRESET;
+        }
+        this.mergedConfig = this.getDefaultConfig(presetId);
+        merge(this.mergedConfig, sharedSettings); // Merge user config over defaults+core
+        merge(this.mergedConfig, presetOverrides[presetId] || {});
+        this.mergedConfig.DRONE_PRESET = presetId;
+    }
+
+    /**
+     * The settings without any user changes: defaults, core config and a drone preset's values.
+     * @param {string} presetId Drone preset, the selected one if left out.
+     * @returns {object} A fresh copy, same shape as getConfig().
+     */
+    getDefaultConfig(presetId = this.mergedConfig.DRONE_PRESET ?? DEFAULT_DRONE_PRESET) {
+        const config = deepCopy(defaultConfig);
+        merge(config, Config); // Merge core non-user config
+        merge(config, this.getDronePreset(presetId)?.settings ?? {});
+        config.DRONE_PRESET = presetId;
+        return config;
+    }
+
+    // Where changes to a setting are kept: drone settings per preset, everything else shared
+    _userSettingsFor(rootKey) {
+        return DRONE_PRESET_KEYS.includes(rootKey)
+            ? this._presetOverrides(this.mergedConfig.DRONE_PRESET ?? DEFAULT_DRONE_PRESET)
+            : this.userConfig;
+    }
+
+    _presetOverrides(presetId) {
+        this.userConfig.DRONE_PRESET_OVERRIDES ??= {};
+        this.userConfig.DRONE_PRESET_OVERRIDES[presetId] ??= {};
+        return this.userConfig.DRONE_PRESET_OVERRIDES[presetId];
     }
 
     getConfig() {
@@ -71,22 +149,14 @@ class ConfigManager {
     }
 
     updateUserSetting(keyPath, value) {
-        const keys = keyPath.split('.');
-        let current = this.userConfig;
-        for (let i = 0; i < keys.length - 1; i++) {
-            const key = keys[i];
-            if (current[key] === undefined || typeof current[key] !== 'object' || current[key] === null) {
-                current[key] = {};
-            }
-            current = current[key];
-        }
-        current[keys[keys.length - 1]] = value;
+        this._setUserValue(keyPath, value);
 
         this._mergeConfigs(); // Re-merge after updating user config in memory
 
         // --- NEW/MODIFIED: Implement Auto-Saving ---
         this.saveConfig(); // Save immediately after updating the value
         // --- END Auto-Saving ---
+        EventBus.emit(EVENTS.CONFIG_UPDATED, { keyPath }); // Let live views (e.g. the rate graph) refresh
 
         // Apply the setting immediately to the engine
         // Note: This might cause many sequential applies. Consider debouncing or a different strategy
@@ -107,15 +177,39 @@ class ConfigManager {
         }
     }
 
+    /**
+     * Changes several settings at once (e.g. accepted autotune gains): saved, announced and applied once.
+     * @param {object} settings { keyPath: value }
+     */
+    updateUserSettings(settings) {
+        Object.entries(settings).forEach(([keyPath, value]) => this._setUserValue(keyPath, value));
+        this._commitChange(Object.keys(settings).join(','));
+    }
+
+    _setUserValue(keyPath, value) {
+        const keys = keyPath.split('.');
+        let current = this._userSettingsFor(keys[0]);
+        for (let i = 0; i < keys.length - 1; i++) {
+            const key = keys[i];
+            if (current[key] === undefined || typeof current[key] !== 'object' || current[key] === null) {
+                current[key] = {};
+            }
+            current = current[key];
+        }
+        current[keys[keys.length - 1]] = value;
+    }
+
     applySettingsToEngine(engine) {
         if (!engine) return;
         const config = this.getConfig();
         if (config.DEBUG_MODE) console.log("ConfigManager: Applying settings to engine modules...");
 
         try {
+            engine.applyConfiguration?.(config); // Simulation loop rates
             engine.renderer?.applyConfiguration(config);
             engine.physicsEngine?.applyConfiguration(config);
             engine.inputManager?.applyConfiguration(config);
+            engine.world?.applyConfiguration(config);
             engine.drone?.applyConfiguration(config);
             // Removed uiManager?.applyConfiguration(config); - MenuManager doesn't need it currently
             if (config.DEBUG_MODE) console.log("ConfigManager: Finished applying settings to modules.");
@@ -126,6 +220,16 @@ class ConfigManager {
         }
     }
 
+    /**
+     * Replaces all of the user's settings, e.g. with an experiment's settings in a headless run, and applies them.
+     * @param {object} userConfig Same shape as the saved settings: any config keys (over the selected preset), DRONE_PRESET
+     *   and DRONE_PRESET_OVERRIDES.
+     */
+    setUserConfig(userConfig) {
+        this.userConfig = deepCopy(userConfig);
+        this._commitChange('all');
+    }
+
     // --- NEW (Optional): Reset functionality ---
     /**
      * Resets user configuration for a specific category or all settings.
@@ -137,7 +241,7 @@ class ConfigManager {
             if (this.mergedConfig.DEBUG_MODE) console.log("ConfigManager: Resetting all user settings to defaults.");
         } else {
             const keys = categoryPath.split('.');
-            let userCurrent = this.userConfig;
+            let userCurrent = this._userSettingsFor(keys[0]); // Drone settings go back to the preset's values
             let defaultCurrent = defaultConfig;
 
             // Traverse userConfig to find the parent object to delete the key from
@@ -163,6 +267,7 @@ class ConfigManager {
 
         this._mergeConfigs(); // Re-merge to apply defaults
         this.saveConfig();   // Save the cleared/updated user config
+        EventBus.emit(EVENTS.CONFIG_UPDATED, { keyPath: categoryPath });
 
         // Apply the reset settings immediately
         const engine = StateManager?.context?.simulatorEngine;
@@ -172,6 +277,75 @@ class ConfigManager {
         }
     }
 
+    // --- Drone Presets ---
+
+    /**
+     * Looks up a built-in or custom preset.
+     * @param {string} presetId
+     * @returns {{name: string, description: string, settings: object}|undefined}
+     */
+    getDronePreset(presetId) {
+        return DRONE_PRESETS[presetId] || this.customPresets[presetId];
+    }
+
+    /**
+     * All presets, built-in ones first.
+     * @returns {Array<{id: string, name: string, description: string, custom: boolean}>}
+     */
+    getDronePresets() {
+        const list = (presets, custom) => Object.entries(presets).map(([id, { name, description }]) => ({ id, name, description, custom }));
+        return [...list(DRONE_PRESETS, false), ...list(this.customPresets, true)];
+    }
+
+    selectDronePreset(presetId) {
+        if (!this.getDronePreset(presetId)) {
+            console.warn(`ConfigManager: Unknown drone preset "${presetId}".`);
+            return;
+        }
+        this.userConfig.DRONE_PRESET = presetId;
+        this._commitChange('DRONE_PRESET');
+        if (this.mergedConfig.DEBUG_MODE) console.log(`ConfigManager: Drone preset set to ${presetId}.`);
+    }
+
+    /**
+     * Copies the selected preset, including the user's changes to it, into a new custom preset and selects it.
+     * @param {string} name Name for the copy.
+     * @returns {string} Id of the new preset.
+     */
+    cloneDronePreset(name) {
+        const source = this.getDronePreset(this.mergedConfig.DRONE_PRESET);
+        const settings = {};
+        DRONE_PRESET_KEYS.forEach(key => { settings[key] = deepCopy(this.mergedConfig[key]); });
+
+        const presetId = `${CUSTOM_PRESET_PREFIX}${Date.now().toString(36)}`;
+        this.customPresets[presetId] = { name, description: `Custom, based on ${source.name}.`, settings };
+        this.saveCustomPresets();
+        this.selectDronePreset(presetId);
+        return presetId;
+    }
+
+    // Built-in presets can't be deleted. Deleting the selected preset falls back to the default one
+    deleteCustomPreset(presetId) {
+        if (!this.customPresets[presetId]) return;
+        delete this.customPresets[presetId];
+        delete this.userConfig.DRONE_PRESET_OVERRIDES?.[presetId];
+        this.saveCustomPresets();
+        if (this.userConfig.DRONE_PRESET === presetId) {
+            this.selectDronePreset(DEFAULT_DRONE_PRESET);
+        } else {
+            this.saveConfig();
+        }
+    }
+
+    // Re-merge, save, notify and apply after a change that isn't a single setting
+    _commitChange(keyPath) {
+        this._mergeConfigs();
+        this.saveConfig();
+        EventBus.emit(EVENTS.CONFIG_UPDATED, { keyPath });
+        const engine = StateManager?.context?.simulatorEngine;
+        if (engine) this.applySettingsToEngine(engine);
+    }
+
 }
 
 // Keep singleton export
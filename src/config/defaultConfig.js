@@ -16,13 +16,77 @@ const defaultConfig = {
         // vignetteDarkness: 0.8,
     },
 
+    // Simulation loop. Runs at fixed rates regardless of the display frame rate, rendering interpolates between
+    // physics steps - the same inputs and seed fly the same on every machine.
+    SIMULATION_SETTINGS: {
+        pidLoopRate: 1000,  // Hz, flight controller loop (gyro, filters, PIDs, motors), rounded to a whole multiple or fraction of the physics rate
+        physicsRate: 1000,  // Hz, physics steps
+        maxFrameTime: 0.1,  // s, most simulated time per rendered frame - longer stalls slow the sim down instead of piling up steps
+        seed: 1,            // Random seed for gyro noise, wind gusts/turbulence and propwash
+    },
+    // Flight data recorder (see Blackbox.js): records while armed, every arming starts a new log
+    BLACKBOX_SETTINGS: {
+        enabled: true,
+        rateHz: 500,        // Samples per second, at most one per physics step (like blackbox_sample_rate)
+        maxDuration: 60,    // s of flight kept, older samples are overwritten
+    },
+    // Tuning graphs in the pause menu (see TuningGraph.js), drawn from the blackbox log
+    TUNING_GRAPH_SETTINGS: {
+        duration: 10,       // s, the last part of the flight since the menu was closed
+    },
+    // PID autotune (see Autotune.js): scripted stick steps per axis, gains adjusted until the response meets these
+    AUTOTUNE_SETTINGS: {
+        targetOvershoot: 10,      // % past the setpoint
+        targetRiseTime: 0.04,     // s from 10% to 90% of a step, roll and pitch
+        targetRiseTimeYaw: 0.08,  // s, yaw (props turn the quad slowly around it)
+        stepRate: 150,            // deg/s the test steps command
+        maxIterations: 6,         // Tests per axis
+    },
+    // Software-in-the-loop bridge (see SitlBridge.js): external flight controller firmware flies the drone over a
+    // WebSocket instead of the built-in FlightController
+    SITL_SETTINGS: {
+        enabled: false,
+        url: 'ws://localhost:8765',
+        timeout: 0.25,      // s without motor commands before the motors are stopped (failsafe)
+        reconnectDelay: 1,  // s between connection attempts while the firmware isn't reachable
+    },
+
+    // Airframe preset (see dronePresets.js) - its values replace the drone settings below, user changes go on top
+    DRONE_PRESET: 'FREESTYLE_5',
+
     // Physics Settings
-    DRONE_MASS: 0.8, // kg
+    DRONE_MASS: 0.8, // kg, all-up weight
+    // Frame geometry (m) and part masses (kg). Inertia, center of gravity and the collision shape are built from these
+    // (see FrameGeometry.js). One arm per motor in DRONE_MOTOR_SETTINGS.layout, which also sets the wheelbase.
+    DRONE_FRAME: {
+        body: { width: 0.05, height: 0.03, depth: 0.12 }, // Center stack; gets the mass the parts below don't account for
+        arm: { width: 0.012, thickness: 0.005, mass: 0.015 },
+        motorMass: 0.035,    // Per motor, prop included
+        battery: { mass: 0.19, width: 0.035, height: 0.035, depth: 0.075, mount: 'TOP' }, // mount: 'TOP' or 'BOTTOM'
+        cameraMass: 0.02,    // FPV camera at the front of the body
+        propGuards: { enabled: false, mass: 0.01 }, // Per guard / duct
+        centerOfGravityOffset: { x: 0, y: 0, z: 0 }, // Extra CG shift (m), e.g. an off-center action camera
+    },
     DRONE_PHYSICS_SETTINGS: {
-        linearDamping: 0.5,
-        angularDamping: 0.9,
+        // Extra cannon damping on top of the drag model (0 = aerodynamics only)
+        linearDamping: 0,
+        angularDamping: 0,
+        // Quadratic air drag, F = 0.5 * rho * CdA * v² per body axis (rho from ENVIRONMENT_SETTINGS)
+        dragCoefficients: { // Drag coefficient x reference area (m²) per local axis
+            x: 0.014,  // Side
+            y: 0.04,   // Top/bottom - props and frame seen from above, slows vertical drops
+            z: 0.012,  // Front/back - smallest area, sets top speed in forward flight
+        },
+        rotationalDragCoefficient: 2e-5, // N·m per (rad/s)², slows down free spins
+    },
+    // Where the drone flies (see environmentPresets.js). Gravity pulls the drone down, altitude and temperature set the
+    // air density that prop thrust/torque, drag and propwash scale with. All apply in flight.
+    ENVIRONMENT_SETTINGS: {
+        preset: 'SEA_LEVEL', // SEA_LEVEL, MOUNTAIN, HOT_DAY, MOON, or CUSTOM for the values below
+        gravity: 9.81,       // m/s²
+        altitude: 0,         // Above sea level (m)
+        temperature: 15,     // °C
     },
-    // Maybe GRAVITY later
 
     // Input/Control Settings
     KEYBOARD_SENSITIVITY: {
@@ -53,35 +117,180 @@ const defaultConfig = {
         // Common indices: PS(X=0,O=1,Square=2,Tri=3,L1=4,R1=5,L2=6,R2=7,Share=8,Options=9,L3=10,R3=11)
         armDisarm: 5,
         reset: 4,
+        flightMode: 3, // Cycles Rate -> Angle -> Horizon
+        turtle: 2,     // Turtle mode on/off (while disarmed)
     },
 
     // Flight Controller Settings
     FLIGHT_CONTROLLER_SETTINGS: {
         // PID Gains (Start low, especially I and D. Tune extensively!)
         PID: {
-            // Rate PID Gains
-            roll:  { kp: 0.26, ki: 0.05, kd: 0.01 },
-            pitch: { kp: 0.16, ki: 0.05, kd: 0.01 }, // Often same as roll initially
+            // Rate PID Gains (outputs are mixer commands, see DRONE_MOTOR_SETTINGS)
+            roll:  { kp: 0.02, ki: 0.03, kd: 0.0003 },
+            pitch: { kp: 0.02, ki: 0.03, kd: 0.0003 }, // Often same as roll initially
             yaw:   { kp: 0.3, ki: 0.07, kd: 0.0 },  // Yaw often needs different tuning, less D typically
             // Shared Integral Limit (adjust based on output scale and desired response)
             iLimit: 0.3,
+            // PID sum limits in mixer units (1.0 = full motor range), like Betaflight's pidsum_limit / pidsum_limit_yaw
+            sumLimit: 0.5,
+            sumLimitYaw: 0.4,
+        },
+        // Gyro filter chain, applied in this order: RPM notches -> static notch -> lowpass 1 -> lowpass 2.
+        // Filters at or above half the loop rate can't do anything and are passed through.
+        GYRO_FILTERS: {
+            lowpass1: { type: 'PT1', cutoffHz: 250 },       // gyro_lpf1_type / gyro_lpf1_static_hz (0 = off)
+            lowpass2: { type: 'PT1', cutoffHz: 500 },       // gyro_lpf2_type / gyro_lpf2_static_hz (0 = off)
+            staticNotch: { centerHz: 0, cutoffHz: 0 },      // gyro_notch1_hz / gyro_notch1_cutoff (0 = off)
+            rpmFilter: {                                    // Notches that follow each motor's RPM
+                enabled: true,
+                harmonics: 3,   // rpm_filter_harmonics
+                q: 500,         // rpm_filter_q (Q x100)
+                minHz: 100,     // rpm_filter_min_hz
+            },
+        },
+        // D-term lowpass (like dterm_lpf1_type / dterm_lpf1_static_hz). D acts on the measured rate only.
+        DTERM_FILTER: {
+            type: 'PT1',    // 'PT1' or 'BIQUAD'
+            cutoffHz: 100,  // 0 = off. Cutoffs at or above half the loop rate are passed through
+        },
+        // Feedforward: adds setpoint rate of change (rad/s²) x gain, so the quad starts moving before an error builds up
+        FEEDFORWARD: {
+            roll: 0.0005,
+            pitch: 0.0005,
+            yaw: 0.0005,
+            smoothingCutoffHz: 20, // Lowpass on the setpoint derivative, smooths stepped (keyboard) input
+        },
+        // Throttle PID Attenuation (tpa_mode / tpa_rate / tpa_breakpoint)
+        TPA: {
+            mode: 'D',          // 'D' = attenuate D only, 'PD' = attenuate P and D
+            rate: 65,           // % reduction at full throttle
+            breakpoint: 1350,   // Throttle (µs, 1000-2000) where attenuation starts
+        },
+        // I-term relax (iterm_relax / iterm_relax_cutoff): stops I from winding up during fast stick moves
+        ITERM_RELAX: {
+            enabled: true,
+            axes: 'RP',         // 'RP' or 'RPY'
+            cutoffHz: 15,       // Setpoint lowpass cutoff, lower = relax stays active longer after a move
+        },
+        // Stick -> rotation rate curves, in Betaflight CLI units so real-quad rates carry over (see RateCurves.js)
+        RATES: {
+            rateType: 'BETAFLIGHT', // 'BETAFLIGHT', 'ACTUAL', 'QUICK' or 'KISS' (rates_type)
+            // rcRate: rc_rate (center sensitivity), superRate: srate (max rate), expo: expo
+            roll:  { rcRate: 100, superRate: 70, expo: 0 }, // 667 °/s at full stick
+            pitch: { rcRate: 100, superRate: 70, expo: 0 },
+            yaw:   { rcRate: 100, superRate: 70, expo: 0 },
+        },
+        // Flight mode at startup: 'RATE' (acro), 'ANGLE' (self-level) or 'HORIZON' (self-level, rate near full stick)
+        FLIGHT_MODE: 'RATE',
+        // Angle / Horizon mode settings
+        SELF_LEVEL: {
+            maxAngle: 55,            // Degrees of tilt at full stick in Angle mode (like Betaflight's angle_limit)
+            levelStrength: 6,        // Target rate per unit of angle error (1/s), higher = snappier leveling
+            horizonTransition: 0.75, // Stick deflection (0-1) at which Horizon mode stops leveling and flies like Rate
         },
-        // Max Rotation Rates (Degrees per second) - Pilot input scales up to these rates
-        RATE_LIMITS: {
-            roll: 720,  // Example: 2 full rotations per second
-            pitch: 720,
-            yaw: 360,
+        // Pre-arm checks (see ArmingChecks.js)
+        ARMING: {
+            maxAngle: 25,     // Max tilt from level to arm (deg), like Betaflight's small_angle (180 = arm at any angle)
+            maxThrottle: 0.05, // Throttle must be at or below this to arm (0-1)
         },
-        // FLIGHT_MODE: 'RATE', // Could add later if switchable modes needed
+        // Turtle mode (flip over after crash, like Betaflight's crashflip): arms with the motors reversed,
+        // the sticks spin the motors on the side to lift
+        TURTLE: {
+            expo: 35,       // crashflip_expo (%), softer response around center stick
+            maxOutput: 1.0, // Motor output at full stick (0-1)
+        },
+    },
+
+    // Motor Layout & Mixer (Quad-X, Betaflight motor order: 1 = rear right, 2 = front right, 3 = rear left, 4 = front left)
+    DRONE_MOTOR_SETTINGS: {
+        kv: 2400,                    // Motor KV rating (RPM per volt)
+        spoolUpTime: 0.03,           // s, first-order time constant when accelerating
+        spoolDownTime: 0.05,         // s, first-order time constant when braking (slower without active braking)
+        // Prop constants in sea-level air, they scale with the air density (ENVIRONMENT_SETTINGS)
+        thrustCoefficient: 1.6e-8,   // N per RPM² (~20 N per motor at full RPM on a fresh 4S pack)
+        torqueCoefficient: 1.1e-10,  // N·m per RPM² - prop drag torque, this is what yaws the quad
+        efficiency: 0.7,             // Motor + ESC efficiency, sets current draw for a given prop load
+        idleOutput: 0.04,            // Minimum motor output while armed (like Betaflight's dshot_idle_value)
+        // Motor positions relative to the frame center (m), one arm each (see DRONE_FRAME). Local axes: +X right, +Y up, -Z forward.
+        // spin: 1 = counter-clockwise seen from above, -1 = clockwise ("props in" layout)
+        layout: {
+            rearRight:  { x: 0.08,  y: 0.01, z: 0.08,  spin: -1 },
+            frontRight: { x: 0.08,  y: 0.01, z: -0.08, spin: 1 },
+            rearLeft:   { x: -0.08, y: 0.01, z: 0.08,  spin: 1 },
+            frontLeft:  { x: -0.08, y: 0.01, z: -0.08, spin: -1 },
+        },
+    },
+
+    // Gyro (IMU) imperfections - what the gyro filters have to deal with
+    DRONE_IMU_SETTINGS: {
+        noiseStdDev: 1.5,       // White sensor noise (deg/s, standard deviation)
+        biasDriftRate: 0.05,    // Bias random walk (deg/s per √s)
+        motorVibration: 3,      // Motor vibration amplitude at 10,000 RPM (deg/s), grows with RPM²
+        frameResonanceHz: 250,  // Frame resonance, vibration near this frequency gets amplified
+        frameResonanceQ: 4,     // Sharpness of the resonance peak
+    },
+
+    // Battery (LiPo pack powering the motors, supply voltage comes from here)
+    DRONE_BATTERY: {
+        cells: 4,                          // Cells in series (4S)
+        capacity: 1300,                    // mAh
+        internalResistancePerCell: 0.006,  // Ohm - causes voltage sag under load
+        // Resting cell voltage vs state of charge (0 = empty, 1 = full), typical LiPo discharge curve
+        dischargeCurve: [
+            [0.0, 3.30], [0.05, 3.50], [0.1, 3.60], [0.2, 3.68], [0.3, 3.73], [0.4, 3.77],
+            [0.5, 3.80], [0.6, 3.84], [0.7, 3.90], [0.8, 3.98], [0.9, 4.07], [1.0, 4.20],
+        ],
+    },
+
+    // Airflow around the props: ground effect near the terrain and propwash when descending into your own wash
+    DRONE_AIRFLOW_SETTINGS: {
+        propRadius: 0.0635,         // m (5" props)
+        groundEffect: {
+            enabled: true,
+            bodyLiftCoefficient: 2, // Extra lift from air trapped under the frame (Kb, empirical)
+            maxThrustGain: 1.5,     // Cap on the thrust multiplier right at the ground
+        },
+        propwash: {
+            enabled: true,
+            thrustLoss: 0.25,       // Average thrust lost fully in the wash (fraction)
+            turbulence: 0.2,        // Per-motor thrust buffeting fully in the wash (fraction, standard deviation)
+            frequencyHz: 8,         // How fast the buffeting changes
+        },
+    },
+
+    // Crash damage: impacts (speed into the surface) bend or break the props near the hit
+    DRONE_DAMAGE_SETTINGS: {
+        enabled: true,
+        bendSpeed: 5,           // m/s - softer hits do no damage
+        breakSpeed: 12,         // m/s - a direct hit this hard breaks a prop
+        crashDisarmSpeed: 15,   // m/s - crash-disarm at or above this
+        bentThrustLoss: 0.3,    // Thrust lost by a prop just short of breaking (fraction, scales with damage)
+        brokenThrust: 0.1,      // Thrust left from a broken prop's stump (fraction)
+        damageVibration: 20,    // Extra vibration from a badly bent prop (deg/s at 10,000 RPM)
+    },
+
+    // Wind (mean wind + gusts + turbulence, pushes the drone through the drag model)
+    WIND_SETTINGS: {
+        speed: 3,               // Mean wind at 10 m above ground (m/s), weaker near the ground
+        direction: 270,         // Where the wind comes from (deg): 0 = -Z (straight ahead at spawn), 90 = +X
+        gustiness: 0.3,         // 0-1, how often and how strong gusts are
+        turbulence: 0.15,       // Turbulence intensity (fraction of the wind speed)
+        turbulenceScale: 20,    // Typical eddy size (m)
+        shelter: true,          // Calmer, more turbulent air downwind of trees, rocks, gates and hills
+        showIndicator: true,    // Wind line on the OSD
     },
 
-    // Drone Control Multipliers (These are now less direct, acting more as limits/scaling for PID output or direct thrust)
-    DRONE_CONTROL_MULTIPLIERS: {
-        MAX_THRUST: 80.0, // Thrust remains direct for now
-        // Torque values are now primarily used as OUTPUT LIMITS for the PID controllers
-        PITCH_TORQUE: 0.1, // Rename/repurpose? Represents a scale/limit. Tune this!
-        ROLL_TORQUE: 0.1,
-        YAW_TORQUE: 0.06,
+    // Surfaces the world is made of, each with its own contact behavior against the drone: friction (0 = ice,
+    // 1+ = grippy) and restitution (0 = no bounce, 1 = perfect bounce). The world generator gives the terrain,
+    // trees, rocks and gates one of these, and DRONE_COLLISION reports which one was hit.
+    SURFACE_MATERIALS: {
+        grass:    { friction: 0.5,  restitution: 0.05 },
+        dirt:     { friction: 0.6,  restitution: 0.02 },
+        rock:     { friction: 0.7,  restitution: 0.3 },
+        wood:     { friction: 0.5,  restitution: 0.15 },
+        metal:    { friction: 0.25, restitution: 0.35 }, // Gate frames
+        water:    { friction: 0.05, restitution: 0 },
+        concrete: { friction: 0.8,  restitution: 0.2 },
     },
 
 
@@ -91,6 +300,7 @@ const defaultConfig = {
         terrainNoiseScale: 0.4,
         propDensity: 0.008,
         gateCount: 32,
+        terrainSurface: 'grass', // SURFACE_MATERIALS entry for the ground
         debugShadowCamera: false,
     },
 };
@@ -0,0 +1,165 @@
+// src/config/dronePresets.js
+
+// Built-in airframes. A preset sits between defaultConfig and the user's own settings:
+// defaultConfig -> Config -> preset -> user changes (kept per preset, see ConfigManager).
+// FREESTYLE_5 is the base airframe that defaultConfig.js already describes, the others list what differs from it.
+
+export const DEFAULT_DRONE_PRESET = 'FREESTYLE_5';
+
+// Top-level config keys that describe the airframe and its tune. These come from the preset,
+// and changes to them are saved for the selected preset only. Everything else (graphics, controls, wind...) is shared.
+export const DRONE_PRESET_KEYS = [
+    'DRONE_MASS',
+    'DRONE_FRAME',
+    'DRONE_PHYSICS_SETTINGS',
+    'DRONE_MOTOR_SETTINGS',
+    'DRONE_IMU_SETTINGS',
+    'DRONE_BATTERY',
+    'DRONE_AIRFLOW_SETTINGS',
+    'DRONE_DAMAGE_SETTINGS',
+    'FLIGHT_CONTROLLER_SETTINGS',
+    'FPV_CAMERA_ANGLE_DEG',
+];
+
+const DRONE_PRESETS = {
+    FREESTYLE_5: {
+        name: '5" Freestyle',
+        description: '4S, 2400KV, 5" props. Punchy all-rounder for freestyle and racing.',
+        settings: {},
+    },
+    CINEWHOOP_3: {
+        name: '3" Cinewhoop',
+        description: '4S, 3000KV, ducted 3" props. Smooth and stable, built to carry a camera indoors and in tight spaces.',
+        settings: {
+            DRONE_MASS: 0.35,
+            DRONE_FRAME: {
+                body: { width: 0.04, height: 0.025, depth: 0.08 },
+                arm: { width: 0.01, thickness: 0.004, mass: 0.006 },
+                motorMass: 0.018,
+                battery: { mass: 0.08, width: 0.03, height: 0.025, depth: 0.06, mount: 'TOP' },
+                cameraMass: 0.015,
+                propGuards: { enabled: true, mass: 0.02 }, // Ducts
+            },
+            DRONE_PHYSICS_SETTINGS: {
+                dragCoefficients: { x: 0.012, y: 0.035, z: 0.012 }, // Ducts and a camera catch a lot of air
+                rotationalDragCoefficient: 4e-6,
+            },
+            DRONE_MOTOR_SETTINGS: {
+                kv: 3000,
+                spoolUpTime: 0.025,
+                spoolDownTime: 0.04,
+                thrustCoefficient: 1.6e-9,
+                torqueCoefficient: 6.6e-12,
+                layout: {
+                    rearRight:  { x: 0.05,  y: 0.01, z: 0.05,  spin: -1 },
+                    frontRight: { x: 0.05,  y: 0.01, z: -0.05, spin: 1 },
+                    rearLeft:   { x: -0.05, y: 0.01, z: 0.05,  spin: 1 },
+                    frontLeft:  { x: -0.05, y: 0.01, z: -0.05, spin: -1 },
+                },
+            },
+            DRONE_IMU_SETTINGS: { motorVibration: 2 },
+            DRONE_BATTERY: { cells: 4, capacity: 650, internalResistancePerCell: 0.012 },
+            DRONE_AIRFLOW_SETTINGS: { propRadius: 0.0381 },
+            DRONE_DAMAGE_SETTINGS: { bendSpeed: 7, breakSpeed: 15 }, // Ducts protect the props
+            FLIGHT_CONTROLLER_SETTINGS: {
+                RATES: {
+                    roll:  { rcRate: 100, superRate: 50, expo: 20 },
+                    pitch: { rcRate: 100, superRate: 50, expo: 20 },
+                    yaw:   { rcRate: 100, superRate: 40, expo: 20 },
+                },
+            },
+            FPV_CAMERA_ANGLE_DEG: 10,
+        },
+    },
+    TINYWHOOP: {
+        name: 'Tinywhoop (65mm)',
+        description: '1S, 25000KV, 31mm props in ducts. Light and floaty, bounces off walls.',
+        settings: {
+            DRONE_MASS: 0.03,
+            DRONE_FRAME: {
+                body: { width: 0.025, height: 0.01, depth: 0.03 },
+                arm: { width: 0.004, thickness: 0.002, mass: 0.0005 },
+                motorMass: 0.0025,
+                battery: { mass: 0.008, width: 0.012, height: 0.007, depth: 0.04, mount: 'BOTTOM' }, // 1S pack slotted under the frame
+                cameraMass: 0.003,
+                propGuards: { enabled: true, mass: 0.001 }, // Ducts, part of the one-piece frame
+            },
+            DRONE_PHYSICS_SETTINGS: {
+                dragCoefficients: { x: 0.002, y: 0.006, z: 0.002 },
+                rotationalDragCoefficient: 2e-8,
+            },
+            DRONE_MOTOR_SETTINGS: {
+                kv: 25000,
+                spoolUpTime: 0.02,
+                spoolDownTime: 0.03,
+                thrustCoefficient: 2.3e-11,
+                torqueCoefficient: 3.9e-14,
+                layout: {
+                    rearRight:  { x: 0.023,  y: 0.005, z: 0.023,  spin: -1 },
+                    frontRight: { x: 0.023,  y: 0.005, z: -0.023, spin: 1 },
+                    rearLeft:   { x: -0.023, y: 0.005, z: 0.023,  spin: 1 },
+                    frontLeft:  { x: -0.023, y: 0.005, z: -0.023, spin: -1 },
+                },
+            },
+            DRONE_IMU_SETTINGS: { motorVibration: 0.1 }, // Tiny props, but they spin 10x faster (vibration grows with RPM²)
+            DRONE_BATTERY: { cells: 1, capacity: 300, internalResistancePerCell: 0.05 }, // 1S packs sag hard
+            DRONE_AIRFLOW_SETTINGS: { propRadius: 0.0155 },
+            DRONE_DAMAGE_SETTINGS: { bendSpeed: 8, breakSpeed: 20 },
+            FLIGHT_CONTROLLER_SETTINGS: {
+                RATES: {
+                    roll:  { rcRate: 100, superRate: 60, expo: 0 },
+                    pitch: { rcRate: 100, superRate: 60, expo: 0 },
+                    yaw:   { rcRate: 100, superRate: 50, expo: 0 },
+                },
+            },
+            FPV_CAMERA_ANGLE_DEG: 5,
+        },
+    },
+    LONG_RANGE_7: {
+        name: '7" Long Range',
+        description: '6S, 1300KV, 7" props. Efficient cruiser with a big pack, gentle rates.',
+        settings: {
+            DRONE_MASS: 1.1,
+            DRONE_FRAME: {
+                body: { width: 0.06, height: 0.035, depth: 0.15 },
+                arm: { width: 0.015, thickness: 0.006, mass: 0.025 },
+                motorMass: 0.06,
+                battery: { mass: 0.34, width: 0.045, height: 0.045, depth: 0.1, mount: 'TOP' },
+                cameraMass: 0.025,
+            },
+            DRONE_PHYSICS_SETTINGS: {
+                dragCoefficients: { x: 0.02, y: 0.06, z: 0.016 },
+                rotationalDragCoefficient: 6e-5,
+            },
+            DRONE_MOTOR_SETTINGS: {
+                kv: 1300,
+                spoolUpTime: 0.045,
+                spoolDownTime: 0.07,
+                thrustCoefficient: 1.5e-8,
+                torqueCoefficient: 1.45e-10,
+                layout: {
+                    rearRight:  { x: 0.11,  y: 0.01, z: 0.11,  spin: -1 },
+                    frontRight: { x: 0.11,  y: 0.01, z: -0.11, spin: 1 },
+                    rearLeft:   { x: -0.11, y: 0.01, z: 0.11,  spin: 1 },
+                    frontLeft:  { x: -0.11, y: 0.01, z: -0.11, spin: -1 },
+                },
+            },
+            DRONE_BATTERY: { cells: 6, capacity: 2200, internalResistancePerCell: 0.005 },
+            DRONE_AIRFLOW_SETTINGS: { propRadius: 0.0889 },
+            FLIGHT_CONTROLLER_SETTINGS: {
+                PID: {
+                    roll:  { kp: 0.04, ki: 0.06, kd: 0.0006 }, // Less control authority for its inertia than a 5"
+                    pitch: { kp: 0.04, ki: 0.06, kd: 0.0006 },
+                },
+                RATES: {
+                    roll:  { rcRate: 100, superRate: 40, expo: 20 },
+                    pitch: { rcRate: 100, superRate: 40, expo: 20 },
+                    yaw:   { rcRate: 100, superRate: 30, expo: 20 },
+                },
+            },
+            FPV_CAMERA_ANGLE_DEG: 20,
+        },
+    },
+};
+
+export default DRONE_PRESETS;
@@ -0,0 +1,40 @@
+// src/config/environmentPresets.js
+
+// Where the drone flies: gravity, and the altitude and temperature that set the air density (see Atmosphere.js).
+// ENVIRONMENT_SETTINGS.preset picks one of these, or 'CUSTOM' for the values in ENVIRONMENT_SETTINGS itself.
+
+export const DEFAULT_ENVIRONMENT_PRESET = 'SEA_LEVEL';
+export const CUSTOM_ENVIRONMENT = 'CUSTOM';
+
+const ENVIRONMENT_PRESETS = {
+    SEA_LEVEL: {
+        name: 'Sea Level',
+        description: 'Standard day at sea level: 15 °C, 1.225 kg/m³ air.',
+        gravity: 9.81,
+        altitude: 0,
+        temperature: 15,
+    },
+    MOUNTAIN: {
+        name: 'High-Altitude Mountain',
+        description: '3000 m up on a cool day. Thin air: less thrust, less drag, the quad feels floaty and slow to stop.',
+        gravity: 9.8,
+        altitude: 3000,
+        temperature: 0,
+    },
+    HOT_DAY: {
+        name: 'Hot Day',
+        description: 'Sea level at 38 °C. Warm air is thinner, a few percent less thrust than a standard day.',
+        gravity: 9.81,
+        altitude: 0,
+        temperature: 38,
+    },
+    MOON: {
+        name: 'Moon',
+        description: 'Lunar gravity (1/6 g) with breathable air under a dome, props need air to push on.',
+        gravity: 1.62,
+        altitude: 0,
+        temperature: 15,
+    },
+};
+
+export default ENVIRONMENT_PRESETS;
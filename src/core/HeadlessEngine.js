@@ -0,0 +1,281 @@
+// src/core/HeadlessEngine.js
+import ConfigManager, { getCurrentConfig } from '../config/ConfigManager.js';
+import PhysicsEngine from './PhysicsEngine.js';
+import DronePhysics from '../simulation/DronePhysics.js';
+import World from '../simulation/World.js';
+import Blackbox from '../simulation/Blackbox.js';
+import Autotune from '../simulation/Autotune.js';
+import SitlBridge from './SitlBridge.js';
+import { getArmingDisableFlags } from '../simulation/ArmingChecks.js';
+import { createRandom } from '../utils/Utils.js';
+import EventBus, { EVENTS } from '../utils/EventBus.js';
+import * as CANNON from 'cannon-es';
+
+const IDLE_CONTROLS = { roll: 0, pitch: 0, yaw: 0, thrust: 0 };
+
+/**
+ * The simulation without rendering or input: physics world, generated terrain and obstacles, wind and the drone's
+ * flight physics, advanced one fixed step at a time on request. Needs nothing but cannon-es, so it runs in Node
+ * (tuning experiments, flight regression checks). SimulatorEngine builds the browser simulator on top of it.
+ *
+ * @example
+ * const engine = new HeadlessEngine({ DRONE_PRESET: 'CINEWHOOP_3', DEBUG_MODE: false });
+ * await engine.initialize();
+ * engine.arm();
+ * const { drone } = engine.run(2, { roll: 0, pitch: 0, yaw: 0, thrust: 0.5 }); // 2 s at half throttle
+ */
+class HeadlessEngine {
+    /**
+     * @param {object|null} userConfig Settings for this run, same shape as the saved user settings (see
+     *   ConfigManager.setUserConfig). Leave out to use the current settings.
+     * @param {{WebSocket?: function}} options WebSocket: constructor for the SITL bridge (SITL_SETTINGS), the global one
+     *   by default. Node before 22 has none, pass e.g. the `ws` package's.
+     */
+    constructor(userConfig = null, { WebSocket: webSocketClass = globalThis.WebSocket } = {}) {
+        if (userConfig) ConfigManager.setUserConfig(userConfig);
+        const config = getCurrentConfig(); // Get config early
+
+        // Seeded randomness for everything that affects the flight (gyro noise, wind, propwash), shared so a run repeats exactly
+        this.random = createRandom(config.SIMULATION_SETTINGS.seed);
+
+        // Core Modules
+        this.physicsEngine = new PhysicsEngine(this);
+        this.world = new World(this);
+        this.drone = this.createDrone();
+        this.blackbox = new Blackbox(config.BLACKBOX_SETTINGS); // Flight log of the current/last arming, see toCSV()
+        this.autotune = null;       // Running autotune, flies in place of the sticks (see startAutotune)
+        this.autotuneResult = null; // Result of the last autotune run
+        this.webSocketClass = webSocketClass;
+        this.sitlBridge = null;     // Link to external firmware while SITL_SETTINGS.enabled, it flies in place of the FlightController
+
+        this.stepCount = 0;      // Physics steps since start, schedules PID loops slower than the physics rate
+        this.pidLoopCount = 0;   // Flight controller loops since start (blackbox loopIteration)
+        this.simulationTime = 0; // Simulated time since start (s)
+        this.applyConfiguration(config); // Loop rates (this.timing)
+    }
+
+    // The drone to fly: physics only here, SimulatorEngine adds the rendered one
+    createDrone() {
+        return new DronePhysics(this);
+    }
+
+    async initialize() {
+        // Module Initialization (Order matters)
+        this.physicsEngine.initialize();
+        await this.world.initialize(); // World now depends on generator
+        await this.drone.initialize(); // Ensure drone is initialized after world/physics
+        this.flightStartRandomState = this.random.getState(); // Where the first flight's randomness starts, see restartFlight
+    }
+
+    applyConfiguration(config) {
+        const { pidLoopRate, physicsRate, maxFrameTime } = config.SIMULATION_SETTINGS;
+        // The PID loop runs a whole number of times per physics step, or once every whole number of steps
+        const pidLoopsPerStep = Math.max(1, Math.round(pidLoopRate / physicsRate));
+        const stepsPerPidLoop = Math.max(1, Math.round(physicsRate / pidLoopRate));
+        this.timing = {
+            physicsDt: 1 / physicsRate,
+            pidDt: stepsPerPidLoop / (physicsRate * pidLoopsPerStep),
+            pidLoopsPerStep,
+            stepsPerPidLoop,
+            maxFrameTime,
+        };
+        this.blackbox?.applyConfiguration(config.BLACKBOX_SETTINGS);
+
+        if (config.SITL_SETTINGS.enabled && !this.sitlBridge) {
+            this.sitlBridge = new SitlBridge(this, this.webSocketClass);
+        } else if (!config.SITL_SETTINGS.enabled && this.sitlBridge) {
+            this.sitlBridge.dispose();
+            this.sitlBridge = null;
+        }
+        this.sitlBridge?.applyConfiguration(config);
+    }
+
+    /**
+     * Replaces the settings (ConfigManager.setUserConfig) and applies them to this engine's modules.
+     * The world layout and the random seed are kept, they're only read when the engine is created.
+     * @param {object} userConfig Same shape as the saved user settings.
+     */
+    configure(userConfig) {
+        ConfigManager.setUserConfig(userConfig);
+        ConfigManager.applySettingsToEngine(this);
+    }
+
+    /**
+     * Advances the simulation by one physics step: the flight controller loop(s) due, then physics and wind,
+     * then the blackbox sample if one is due. With the SITL bridge, the firmware's latest motor commands are flown
+     * and the sensor data is sent to it after the step.
+     * Motor forces and drag are applied on cannon's preStep, so they act on every step whatever the PID loop rate.
+     * @param {object} controls Stick inputs for this step, replaced by autotune's while it runs.
+     */
+    stepSimulation(controls) {
+        if (this.autotune) controls = this._updateAutotune();
+        const { physicsDt, pidDt, pidLoopsPerStep, stepsPerPidLoop } = this.timing;
+        this.sitlBridge?.applyMotorCommands();
+        if (this.stepCount % stepsPerPidLoop === 0) {
+            for (let i = 0; i < pidLoopsPerStep; i++) {
+                this.drone?.update(pidDt, controls);
+                this.pidLoopCount++;
+            }
+        }
+        this.physicsEngine?.step(physicsDt);
+        this.world?.update(physicsDt);
+        this.stepCount++;
+        this.simulationTime += physicsDt;
+        this.sitlBridge?.sendSensors(this.simulationTime, controls);
+        this.blackbox.update(this.simulationTime, this.drone, controls, this.pidLoopCount);
+    }
+
+    /**
+     * Advances the simulation by a number of physics steps with the sticks held.
+     * @param {number} steps Physics steps (SIMULATION_SETTINGS.physicsRate per second).
+     * @param {{roll: number, pitch: number, yaw: number, thrust: number}} controls Roll/pitch/yaw -1 to 1, thrust 0 to 1.
+     * @returns {{time: number, drone: object}} State after the last step (see getState).
+     */
+    step(steps = 1, controls = IDLE_CONTROLS) {
+        for (let i = 0; i < steps; i++) {
+            this.stepSimulation(controls);
+        }
+        return this.getState();
+    }
+
+    /**
+     * Advances the simulation by (at least) a stretch of simulated time with the sticks held.
+     * @param {number} duration Simulated time (s), rounded up to whole physics steps.
+     * @param {{roll: number, pitch: number, yaw: number, thrust: number}} controls
+     * @returns {{time: number, drone: object}} State after the last step.
+     */
+    run(duration, controls = IDLE_CONTROLS) {
+        return this.step(Math.ceil(duration / this.timing.physicsDt - 1e-9), controls);
+    }
+
+    /**
+     * Starts autotuning the rate PIDs (see Autotune.js) with AUTOTUNE_SETTINGS. It takes over the sticks from the
+     * next step on and ends with EVENTS.AUTOTUNE_FINISHED; the result is also kept in this.autotuneResult.
+     */
+    startAutotune() {
+        if (this.autotune || !this.drone?.flightController) return;
+        this.autotuneResult = null;
+        this.autotune = new Autotune(this, getCurrentConfig().AUTOTUNE_SETTINGS);
+    }
+
+    // Ends a running autotune early, with the axes finished so far as the result
+    stopAutotune() {
+        if (!this.autotune) return;
+        this.autotune.abort();
+        this._updateAutotune();
+    }
+
+    /**
+     * Autotunes to the end without rendering (headless runs), see startAutotune.
+     * @param {number} maxDuration Simulated time (s) after which it's stopped.
+     * @returns {object} Autotune result (Autotune._finish): { error, axes, gains }.
+     */
+    runAutotune(maxDuration = 300) {
+        this.startAutotune();
+        const endTime = this.simulationTime + maxDuration;
+        while (this.autotune && this.simulationTime < endTime) {
+            this.stepSimulation(IDLE_CONTROLS);
+        }
+        this.stopAutotune();
+        return this.autotuneResult;
+    }
+
+    // Autotune's sticks for this step, and its result once it's done
+    _updateAutotune() {
+        const controls = this.autotune.update(this.simulationTime);
+        if (this.autotune.result) {
+            this.autotuneResult = this.autotune.result;
+            this.autotune = null;
+            EventBus.emit(EVENTS.AUTOTUNE_FINISHED, this.autotuneResult);
+        }
+        return controls;
+    }
+
+    /**
+     * Current state: simulated time (s) and the drone's state (Drone.getState: position, attitude, motors, battery...).
+     * @returns {{time: number, drone: object}}
+     */
+    getState() {
+        return { time: this.simulationTime, drone: this.drone?.getState() };
+    }
+
+    /**
+     * Runs the pre-arm checks (see ArmingChecks.js).
+     * @param {{throttle: number, hasInputSource?: boolean, menuOpen?: boolean}} inputs Headless runs are
+     *   driven by their caller, so they have an input source and no menu unless told otherwise.
+     * @returns {string[]} Active arming disable flags.
+     */
+    getArmingDisableFlags({ throttle, hasInputSource = true, menuOpen = false }) {
+        if (!this.drone?.flightController) return [];
+        return getArmingDisableFlags({
+            throttle,
+            tiltAngle: this.drone.tiltAngle,
+            hasInputSource,
+            crashed: this.drone.damageModel?.crashed ?? false,
+            menuOpen,
+            turtleMode: this.drone.flightController.turtleMode,
+        }, getCurrentConfig().FLIGHT_CONTROLLER_SETTINGS.ARMING);
+    }
+
+    /**
+     * Arms the drone if the pre-arm checks pass.
+     * @param {number} throttle Throttle stick position while arming (0-1).
+     * @returns {string[]} Arming disable flags that blocked arming, empty when armed.
+     */
+    arm(throttle = 0) {
+        const flags = this.getArmingDisableFlags({ throttle });
+        if (flags.length === 0) this.drone?.arm();
+        return flags;
+    }
+
+    disarm() {
+        this.drone?.disarm();
+    }
+
+    /**
+     * Puts the drone back at the start position, disarmed, with fresh props and battery. The simulation clock, wind
+     * and random sequence start over too, so a restarted flight repeats the first one given the same inputs.
+     */
+    restartFlight() {
+        const config = getCurrentConfig();
+        if (this.drone) {
+            if (config.DEBUG_MODE) console.log(`${this.constructor.name}: Restarting flight...`);
+            // Use the configured start position
+            const startPos = config.DRONE_START_POSITION;
+            const resetVec = startPos ? new CANNON.Vec3(startPos.x, startPos.y, startPos.z) : new CANNON.Vec3(0, 1, 0); // Default fallback
+            this.drone.reset(resetVec); // Pass Vec3 directly
+
+            // Back to the first flight's start: clocks, wind and the random sequence (gyro noise, gusts, propwash),
+            // so the same inputs fly the same as after creating the engine
+            this.stepCount = 0;
+            this.pidLoopCount = 0;
+            this.simulationTime = 0;
+            this.world?.windField?.reset();
+            this.random.setState(this.flightStartRandomState);
+            this.sitlBridge?.reset();
+        } else {
+            if (config.DEBUG_MODE) console.warn(`${this.constructor.name}: Cannot restart flight, drone not initialized.`);
+        }
+    }
+
+    dispose() {
+        this.sitlBridge?.dispose(); // Closes the socket, a Node process can exit
+        this.sitlBridge = null;
+        this.world?.dispose();
+
+        // Clear physics world bodies (more robust cleanup)
+        if (this.physicsEngine?.world) {
+            while (this.physicsEngine.world.bodies.length > 0) {
+                this.physicsEngine.world.removeBody(this.physicsEngine.world.bodies[0]);
+            }
+            this.physicsEngine.bodyMap?.clear();
+        }
+
+        // Reset references
+        this.drone = null; // Allow garbage collection
+        this.world = null;
+        this.physicsEngine = null;
+    }
+}
+
+export default HeadlessEngine;
@@ -1,21 +1,27 @@
 // src/PhysicsEngine.js
 import Config from '../config/Config.js';
+import { getCurrentConfig } from '../config/ConfigManager.js';
+import { resolveEnvironment } from '../simulation/Atmosphere.js';
 // Access CANNON via window object (as loaded in index.html)
 import * as CANNON from 'cannon-es'; // <<<--- Import directly
 
+const interpolatedPosition = new CANNON.Vec3();
+const interpolatedQuaternion = new CANNON.Quaternion();
+
 class PhysicsEngine {
     constructor(engine) {
         this.engine = engine;
         this.world = null;
-        // Map: physics body -> { visual: THREE.Object3D, options: {} }
-        // Store visual object reference for synchronization
+        // Map: physics body -> { visual: THREE.Object3D, options: {}, previousPosition, previousQuaternion }
+        // Store visual object reference for synchronization, and the state before the last step for interpolation
         this.bodyMap = new Map();
 
         // Define materials here for easy access
         this.materials = {
-            ground: null,
             default: null, // For dynamic objects like the drone, test cube
+            // + one per SURFACE_MATERIALS entry (grass, rock, wood, metal...), added in initialize()
         };
+        this.surfaceContacts = {}; // Surface name -> its CANNON.ContactMaterial with the drone (default material)
 
         if (Config.DEBUG_MODE) {
             console.log('PhysicsEngine: Initialized');
@@ -25,7 +31,15 @@ class PhysicsEngine {
     applyConfiguration(config) {
         if (!config) return;
         const C = config;
-        // Apply physics-related settings later (e.g., gravity if made configurable)
+        // Gravity of the selected environment, cannon applies it from the next step
+        this.world?.gravity.set(0, -resolveEnvironment(C.ENVIRONMENT_SETTINGS).gravity, 0);
+        // Surface friction/restitution, read by the narrowphase on every contact so it applies straight away
+        Object.entries(this.surfaceContacts).forEach(([name, contactMaterial]) => {
+            const surface = C.SURFACE_MATERIALS?.[name];
+            if (!surface) return;
+            contactMaterial.friction = surface.friction;
+            contactMaterial.restitution = surface.restitution;
+        });
         if(C.DEBUG_MODE) console.log("PhysicsEngine: Configuration applied."); // Add log
     }
 
@@ -34,8 +48,9 @@ class PhysicsEngine {
             console.error("PhysicsEngine: CANNON is not loaded!");
             return;
         }
+        const config = getCurrentConfig();
         this.world = new CANNON.World({
-            gravity: new CANNON.Vec3(0, Config.GRAVITY, 0),
+            gravity: new CANNON.Vec3(0, -resolveEnvironment(config.ENVIRONMENT_SETTINGS).gravity, 0),
             // broadphase: new CANNON.SAPBroadphase(world) // Optional: Can improve performance for many objects
             allowSleep: true, // Allow bodies to sleep when inactive (performance)
         });
@@ -45,24 +60,27 @@ class PhysicsEngine {
         // this.world.solver.tolerance = 0.01; // Default is 0.01
 
         // --- Define Materials ---
-        this.materials.ground = new CANNON.Material("groundMaterial");
         this.materials.default = new CANNON.Material("defaultMaterial");
 
-        // --- Define Contact Materials ---
-        // Adjust friction and restitution (bounciness)
-        const default_ground_contact = new CANNON.ContactMaterial(
-            this.materials.ground,     // Material 1
-            this.materials.default,    // Material 2
-            {
-                friction: 0.4,        // How much friction? (0 to 1+)
-                restitution: 0.1,     // How bouncy? (0 = no bounce, 1 = perfect bounce)
-                // contactEquationStiffness: 1e8, // Default
-                // contactEquationRelaxation: 3, // Default
-                // frictionEquationStiffness: 1e8, // Default
-                // frictionEquationRelaxation: 3, // Default
-            }
-        );
-        this.world.addContactMaterial(default_ground_contact);
+        // --- Surface Materials ---
+        // One material per surface, each with its own contact against the drone. Named after its
+        // SURFACE_MATERIALS key so collisions can tell what was hit.
+        const surfaces = config.SURFACE_MATERIALS;
+        Object.entries(surfaces).forEach(([name, surface]) => {
+            this.materials[name] = new CANNON.Material(name);
+            const contactMaterial = new CANNON.ContactMaterial(
+                this.materials[name],      // Surface
+                this.materials.default,    // Drone
+                {
+                    friction: surface.friction,       // How much friction? (0 to 1+)
+                    restitution: surface.restitution, // How bouncy? (0 = no bounce, 1 = perfect bounce)
+                    // contactEquationStiffness: 1e8, // Default
+                    // contactEquationRelaxation: 3, // Default
+                }
+            );
+            this.world.addContactMaterial(contactMaterial);
+            this.surfaceContacts[name] = contactMaterial;
+        });
 
         if (Config.DEBUG_MODE) {
             console.log('PhysicsEngine: CANNON world created and materials defined.');
@@ -84,7 +102,12 @@ class PhysicsEngine {
 
         this.world.addBody(body);
         // Store mapping for synchronization
-        this.bodyMap.set(body, { visual: visualObject, options: options });
+        this.bodyMap.set(body, {
+            visual: visualObject,
+            options: options,
+            previousPosition: body.position.clone(),
+            previousQuaternion: body.quaternion.clone(),
+        });
 
         if (Config.DEBUG_MODE) {
             console.log(`PhysicsEngine: Added body ID ${body.id} (Mass: ${body.mass}, Type: ${body.type === CANNON.Body.STATIC ? 'Static' : 'Dynamic'})`);
@@ -103,35 +126,50 @@ class PhysicsEngine {
         }
     }
 
-    update(deltaTime) {
+    /**
+     * Advances the world by exactly one fixed step (the fixed-rate loop lives in SimulatorEngine).
+     * @param {number} timeStep Step length (s).
+     */
+    step(timeStep) {
         if (!this.world) return;
 
-        // Fixed timestep update loop
-        // Recommended for stability. Steps the simulation forward in fixed increments.
-        // Handle cases where deltaTime is larger than the timestep (prevents large jumps)
-        const maxSubSteps = 10; // Prevent spiral of death if rendering lags badly
-        this.world.step(Config.PHYSICS_TIMESTEP, deltaTime, maxSubSteps);
-
-        // Synchronization is now handled AFTER the step in the main loop
-        // This ensures visuals reflect the state *after* the latest physics update.
-        // this.syncVisuals(); // REMOVED FROM HERE
+        // Remember where the bodies were, the visuals are drawn between this and the new state
+        this.bodyMap.forEach((entry, body) => {
+            if (body.type === CANNON.Body.STATIC) return;
+            entry.previousPosition.copy(body.position);
+            entry.previousQuaternion.copy(body.quaternion);
+        });
+        this.world.step(timeStep);
     }
 
-    // Synchronization logic - Called from the main loop
-    syncVisuals() {
+    /**
+     * Moves the visuals to the physics state, interpolated between the last two steps.
+     * @param {number} alpha How far the render time is past the last step, in steps (0 = previous state, 1 = latest).
+     */
+    syncVisuals(alpha = 1) {
         if (!this.world) return;
 
         this.bodyMap.forEach((entry, body) => {
             // Only update dynamic bodies that have a visual counterpart
             // and are not sleeping (optimization)
             if (entry.visual && body.type !== CANNON.Body.STATIC && body.sleepState !== CANNON.Body.SLEEPING) {
-                entry.visual.position.copy(body.position);
-                entry.visual.quaternion.copy(body.quaternion);
+                entry.previousPosition.lerp(body.position, alpha, interpolatedPosition);
+                entry.previousQuaternion.slerp(body.quaternion, alpha, interpolatedQuaternion);
+                entry.visual.position.copy(interpolatedPosition);
+                entry.visual.quaternion.copy(interpolatedQuaternion);
             }
         });
     }
 
-    // Helper to get a material by name
+    // After teleporting a body (reset): no interpolating from where it was
+    resetInterpolation(body) {
+        const entry = this.bodyMap.get(body);
+        if (!entry) return;
+        entry.previousPosition.copy(body.position);
+        entry.previousQuaternion.copy(body.quaternion);
+    }
+
+    // Helper to get a material by name ('default' or a SURFACE_MATERIALS key)
     getMaterial(name = 'default') {
         return this.materials[name] || this.materials.default;
     }
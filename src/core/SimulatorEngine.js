@@ -1,19 +1,25 @@
 // src/core/SimulatorEngine.js
 import { getCurrentConfig } from '../config/ConfigManager.js'; // Updated path
+import HeadlessEngine from './HeadlessEngine.js';
 import Renderer from './Renderer.js';                           // Path ok
-import PhysicsEngine from './PhysicsEngine.js';                 // Path ok
 import InputManager from '../managers/InputManager.js';         // Updated path
 import Drone from '../simulation/Drone.js';                     // Updated path
-import World from '../simulation/World.js';                     // Updated path
+import WorldVisuals from '../simulation/WorldVisuals.js';
 import { clamp } from '../utils/Utils.js';                      // Updated path
 import AssetLoader from '../utils/AssetLoader.js';              // Updated path
-import * as CANNON from 'cannon-es';
 import EventBus, {EVENTS} from "../utils/EventBus.js";          // Updated path
 import CannonDebugger from 'cannon-es-debugger';
 
 
-class SimulatorEngine {
+// Blackbox columns the tuning graphs plot (see TuningGraph.js)
+const TUNING_COLUMNS = ['setpoint', 'gyroADC', 'axisP', 'axisI', 'axisD', 'axisF']
+    .flatMap(name => [0, 1, 2].map(axis => `${name}[${axis}]`))
+    .concat([0, 1, 2, 3, 4, 5, 6, 7].map(motor => `motor[${motor}]`)); // Up to octo, missing motors are skipped
+
+// The browser simulator: the headless simulation plus rendering, input and the requestAnimationFrame loop
+class SimulatorEngine extends HeadlessEngine {
     constructor(context) {
+        super(); // Physics, world, drone, loop rates
         const config = getCurrentConfig(); // Get config early
 
         this.canvas = document.getElementById('webgl-canvas');
@@ -23,18 +29,18 @@ class SimulatorEngine {
 
         // Core Modules
         this.context = context || {};
-
         this.renderer = new Renderer(this);
-        this.physicsEngine = new PhysicsEngine(this);
         this.inputManager = InputManager; // Use singleton directly
-        this.world = new World(this);
-        this.drone = new Drone(this);
+        this.worldVisuals = null; // Meshes, lights and skybox, built once the world is generated
 
         // Simulation State
         this.isRunning = false;
         this.isPaused = false;
         this.lastTime = 0;
+        this.accumulator = 0; // Frame time not simulated yet (s), carried over to the next frame
+        this.runStartTime = 0; // Simulation time the menu was last closed, the tuning graphs show the flight since then
         this.simulationState = {}; // Store current state for UI etc.
+        this.armingDisableFlags = []; // Failing pre-arm checks (see ArmingChecks.js)
         this.animationFrameId = null;
 
         this._boundLoop = this.loop.bind(this); // Bind loop once
@@ -44,6 +50,10 @@ class SimulatorEngine {
         this.handleResumeRequest = this.resume.bind(this);
         this.handleResetRequest = this.restartFlight.bind(this);
         this.handleArmToggleRequest = this.toggleArmDisarm.bind(this);
+        this.handleFlightModeCycleRequest = this.cycleFlightMode.bind(this);
+        this.handleTurtleModeToggleRequest = this.toggleTurtleMode.bind(this);
+        this.handleBlackboxExportRequest = this.exportBlackboxLog.bind(this);
+        this.handleAutotuneStartRequest = this.startAutotune.bind(this);
 
 
         if (config.DEBUG_MODE) {
@@ -52,6 +62,11 @@ class SimulatorEngine {
     }
 
 
+    // The rendered drone: physics plus model, FPV camera and props
+    createDrone() {
+        return new Drone(this);
+    }
+
     async initialize() {
         const config = getCurrentConfig();
         if (config.DEBUG_MODE) console.log('SimulatorEngine: Initializing modules...');
@@ -59,9 +74,9 @@ class SimulatorEngine {
 
         // Module Initialization (Order matters)
         this.renderer.initialize(this.canvas);
-        this.physicsEngine.initialize();
-        await this.world.initialize(); // World now depends on generator
-        await this.drone.initialize(); // Ensure drone is initialized after world/physics
+        await super.initialize(); // Physics, world, drone
+        this.worldVisuals = new WorldVisuals(this.renderer, this.world.generator);
+        this.worldVisuals.initialize();
 
         // Set initial camera (should be FPV cam if drone initialized correctly)
         if (this.drone.FPVCamera) {
@@ -80,6 +95,10 @@ class SimulatorEngine {
         EventBus.on(EVENTS.SIM_RESUME_REQUESTED, this.handleResumeRequest);
         EventBus.on(EVENTS.SIM_RESET_REQUESTED, this.handleResetRequest);
         EventBus.on(EVENTS.ARM_DISARM_TOGGLE_REQUESTED, this.handleArmToggleRequest);
+        EventBus.on(EVENTS.FLIGHT_MODE_CYCLE_REQUESTED, this.handleFlightModeCycleRequest);
+        EventBus.on(EVENTS.TURTLE_MODE_TOGGLE_REQUESTED, this.handleTurtleModeToggleRequest);
+        EventBus.on(EVENTS.BLACKBOX_EXPORT_REQUESTED, this.handleBlackboxExportRequest);
+        EventBus.on(EVENTS.AUTOTUNE_START_REQUESTED, this.handleAutotuneStartRequest);
 
         if (config.DEBUG_CANNON) { // <<< Check the flag from Config.js
             try {
@@ -124,6 +143,7 @@ class SimulatorEngine {
         // Pause simulation logic. Rendering continues in the loop if needed (for menus).
         if (!this.isRunning || this.isPaused) return;
         this.isPaused = true;
+        this.publishTuningRun();
         if (config.DEBUG_MODE) console.log('SimulatorEngine: Paused simulation logic.');
     }
 
@@ -132,23 +152,11 @@ class SimulatorEngine {
         if (!this.isRunning || !this.isPaused) return;
         this.isPaused = false;
         this.lastTime = performance.now(); // Reset time to avoid large deltaTime jump
+        this.runStartTime = this.simulationTime;
         if (config.DEBUG_MODE) console.log('SimulatorEngine: Resumed simulation logic.');
         // Requesting pointer lock is handled by SimulatingState based on user interaction (click).
     }
 
-    restartFlight() {
-        const config = getCurrentConfig();
-        if (this.drone) {
-            if (config.DEBUG_MODE) console.log("SimulatorEngine: Restarting flight...");
-            // Use the configured start position
-            const startPos = config.DRONE_START_POSITION;
-            const resetVec = startPos ? new CANNON.Vec3(startPos.x, startPos.y, startPos.z) : new CANNON.Vec3(0, 1, 0); // Default fallback
-            this.drone.reset(resetVec); // Pass Vec3 directly
-        } else {
-            if (config.DEBUG_MODE) console.warn("SimulatorEngine: Cannot restart flight, drone not initialized.");
-        }
-    }
-
     loop(currentTime) {
         if (!this.isRunning) return;
         const config = getCurrentConfig();
@@ -158,29 +166,29 @@ class SimulatorEngine {
 
         const deltaTime = (currentTime - this.lastTime) * 0.001;
         this.lastTime = currentTime;
-        const physicsTimestep = getCurrentConfig().PHYSICS_TIMESTEP; // Get current timestep
-        const clampedDeltaTime = clamp(deltaTime, 0, physicsTimestep * 5); // Clamp delta time slightly larger than physics step
+        const clampedDeltaTime = clamp(deltaTime, 0, this.timing.maxFrameTime); // A long stall doesn't pile up steps
 
         // --- Main Update Cycle (Runs only if NOT paused) ---
         if (!this.isPaused) {
-            // 1. InputManager polls independently, just get latest state
+            // 1. InputManager polls independently, just get latest state (held for all steps of this frame).
+            // A running autotune flies instead (see stepSimulation)
             const controls = this.inputManager.getControls();
 
-            // 2. Update Drone Logic (Flight Controller applies forces/torques)
-            this.drone?.update(clampedDeltaTime, controls);
-
-            // 3. Step Physics Engine
-            this.physicsEngine?.update(clampedDeltaTime); // Use clampedDeltaTime for physics step
-
-            // 4. Synchronize Visuals with Physics state (After physics step)
-            this.physicsEngine?.syncVisuals();
+            // 2-4. Fixed-rate simulation: as many steps as the frame time covers, the remainder carries over
+            this.accumulator += clampedDeltaTime;
+            while (this.accumulator >= this.timing.physicsDt) {
+                this.stepSimulation(controls);
+                this.accumulator -= this.timing.physicsDt;
+            }
 
-            // 5. Update World (e.g., animations, dynamic elements)
-            this.world?.update(clampedDeltaTime);
+            // 5. Synchronize Visuals with Physics state, between the last two steps
+            this.physicsEngine?.syncVisuals(this.accumulator / this.timing.physicsDt);
 
             // 6. Prepare State for UI/OSD
             this.simulationState.drone = this.drone?.getState();
             this.simulationState.controls = controls;
+            this.simulationState.autotune = this.autotune?.getStatus() ?? null;
+            this.simulationState.sitl = this.sitlBridge?.getStatus() ?? null;
             EventBus.emit(EVENTS.SIMULATION_STATE_UPDATE, this.simulationState);
         }
         // --- End Main Update Cycle ---
@@ -189,23 +197,44 @@ class SimulatorEngine {
             this.physicsDebugger.update();
         }
 
+        // Pre-arm checks also run while paused, the open menu is one of them
+        this.updateArmingChecks();
+
         // 7. Render Scene (Always render, even when paused, for menu visibility)
         this.renderer?.render(clampedDeltaTime); // Pass delta time for potential animations/effects in renderer
     }
 
+    /**
+     * Runs the pre-arm checks and publishes the failing ones (EVENTS.ARMING_DISABLE_FLAGS_CHANGED) when they change.
+     * @returns {string[]} Active arming disable flags.
+     */
+    updateArmingChecks() {
+        if (!this.drone?.flightController) return this.armingDisableFlags;
+        const flags = this.getArmingDisableFlags({
+            throttle: this.inputManager.getControls().thrust,
+            hasInputSource: this.inputManager.hasInputSource(),
+            menuOpen: this.isPaused,
+        });
+
+        if (flags.join() !== this.armingDisableFlags.join()) {
+            this.armingDisableFlags = flags;
+            EventBus.emit(EVENTS.ARMING_DISABLE_FLAGS_CHANGED, { flags });
+        }
+        return flags;
+    }
+
     toggleArmDisarm() {
         const config = getCurrentConfig();
         if (this.drone && this.drone.flightController) { // Check FC exists
             if (this.drone.flightController.armed) {
-                this.drone.disarm();
+                this.drone.disarm(); // Disarming is always allowed
             } else {
-                // Only arm if reasonably level? (Optional safety check)
-                // const state = this.drone.getState();
-                // if (state && Math.abs(state.euler.roll) < 15 && Math.abs(state.euler.pitch) < 15) {
-                this.drone.arm();
-                // } else if (config.DEBUG_MODE) {
-                //    console.log("Arming prevented: Drone not level.");
-                // }
+                const flags = this.updateArmingChecks();
+                if (flags.length === 0) {
+                    this.drone.arm();
+                } else if (config.DEBUG_MODE) {
+                    console.log(`SimulatorEngine: Arming disabled: ${flags.join(' ')}`);
+                }
             }
 
             // Emit state update immediately after toggle if not paused
@@ -220,6 +249,50 @@ class SimulatorEngine {
         }
     }
 
+    cycleFlightMode() {
+        const config = getCurrentConfig();
+        if (this.isPaused || !this.drone?.flightController) return; // Only switch modes while flying
+        const mode = this.drone.flightController.cycleFlightMode();
+        if (config.DEBUG_MODE) console.log(`SimulatorEngine: Flight mode switched to ${mode}.`);
+    }
+
+    toggleTurtleMode() {
+        const config = getCurrentConfig();
+        const fc = this.drone?.flightController;
+        if (this.isPaused || !fc) return;
+        if (fc.armed) { // Like the switch on a real quad, it only counts when arming
+            if (config.DEBUG_MODE) console.log('SimulatorEngine: Disarm to switch turtle mode.');
+            return;
+        }
+        const enabled = fc.setTurtleMode(!fc.turtleMode);
+        if (config.DEBUG_MODE) console.log(`SimulatorEngine: Turtle mode ${enabled ? 'selected' : 'off'}.`);
+    }
+
+    // Hands the flight since the menu was last closed (at most TUNING_GRAPH_SETTINGS.duration) to the tuning graphs
+    publishTuningRun() {
+        const config = getCurrentConfig();
+        const since = Math.max(this.runStartTime, this.simulationTime - config.TUNING_GRAPH_SETTINGS.duration);
+        const series = this.blackbox.getSeries(TUNING_COLUMNS, since);
+        if (!series) return; // Nothing recorded (disarmed or blackbox off)
+        const pid = JSON.parse(JSON.stringify(config.FLIGHT_CONTROLLER_SETTINGS.PID)); // The gains this was flown with
+        EventBus.emit(EVENTS.TUNING_RUN_RECORDED, { series, pid });
+    }
+
+    // Saves the blackbox log (current or last flight) as a CSV download
+    exportBlackboxLog() {
+        const csv = this.blackbox.toCSV();
+        if (!csv) {
+            console.warn('SimulatorEngine: No blackbox log to export, arm and fly first.');
+            return;
+        }
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `blackbox_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     dispose() {
         const config = getCurrentConfig();
         if (config.DEBUG_MODE) console.log('SimulatorEngine: Disposing resources...');
@@ -230,23 +303,19 @@ class SimulatorEngine {
         EventBus.off(EVENTS.SIM_RESUME_REQUESTED, this.handleResumeRequest);
         EventBus.off(EVENTS.SIM_RESET_REQUESTED, this.handleResetRequest);
         EventBus.off(EVENTS.ARM_DISARM_TOGGLE_REQUESTED, this.handleArmToggleRequest);
+        EventBus.off(EVENTS.FLIGHT_MODE_CYCLE_REQUESTED, this.handleFlightModeCycleRequest);
+        EventBus.off(EVENTS.TURTLE_MODE_TOGGLE_REQUESTED, this.handleTurtleModeToggleRequest);
+        EventBus.off(EVENTS.BLACKBOX_EXPORT_REQUESTED, this.handleBlackboxExportRequest);
+        EventBus.off(EVENTS.AUTOTUNE_START_REQUESTED, this.handleAutotuneStartRequest);
 
 
         // Dispose modules in reverse order of initialization (roughly)
         // REMOVE THIS LINE:
         // this.inputManager?.dispose(); // InputManager is singleton, careful with dispose logic if reused
 
-        this.world?.dispose();
+        this.worldVisuals?.dispose();
         this.renderer?.dispose(); // Renderer dispose handles canvas listeners etc.
-        // PhysicsEngine might not need explicit dispose beyond clearing bodies
-
-        // Clear physics world bodies (more robust cleanup)
-        if (this.physicsEngine?.world) {
-            while (this.physicsEngine.world.bodies.length > 0) {
-                this.physicsEngine.world.removeBody(this.physicsEngine.world.bodies[0]);
-            }
-            this.physicsEngine.bodyMap?.clear();
-        }
+        super.dispose(); // World, physics bodies
 
 
         // Clear Three.js scene (more robust cleanup)
@@ -267,9 +336,7 @@ class SimulatorEngine {
         }
 
         // Reset references
-        this.drone = null; // Allow garbage collection
-        this.world = null;
-        this.physicsEngine = null;
+        this.worldVisuals = null;
         this.renderer = null;
 
 
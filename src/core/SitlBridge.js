@@ -0,0 +1,216 @@
+// src/core/SitlBridge.js
+import { getCurrentConfig } from '../config/ConfigManager.js';
+import { MOTOR_ORDER } from '../simulation/MotorMixer.js';
+import { resolveEnvironment, pressureAt } from '../simulation/Atmosphere.js';
+import { clamp } from '../utils/Utils.js';
+import * as CANNON from 'cannon-es';
+
+const SOCKET_OPEN = 1; // WebSocket.OPEN, the same in browsers and the `ws` package
+const RC_CHANNELS = 16; // Like Betaflight SITL's rc_packet
+const RC_MIN = 1000;    // µs
+const RC_MID = 1500;
+const RC_MAX = 2000;
+const FLIGHT_MODE_CHANNEL = { RATE: RC_MIN, ANGLE: RC_MID, HORIZON: RC_MAX }; // AUX2 position per flight mode
+
+const acceleration = new CANNON.Vec3();     // Reusable vector for the world acceleration / specific force
+const localAcceleration = new CANNON.Vec3(); // Reusable vector for the specific force in body axes
+
+// Sim axes (X right, Y up, Z back) to forward-right-down for body vectors, north-east-down for world ones (north = -Z)
+const toFrd = ({ x, y, z }) => [-z, x, -y];
+
+/**
+ * Software-in-the-loop bridge: external flight controller firmware (Betaflight SITL, ArduPilot/PX4 SITL, behind a
+ * relay that forwards their UDP) flies the drone over a WebSocket. The firmware's motor commands replace the
+ * FlightController's PIDs and mixer; the sim keeps the motors, battery, gyro model and physics.
+ *
+ * Sim -> firmware, a JSON message after every physics step. Field names and frames follow Betaflight SITL's
+ * fdm_packet, so a relay only has to pack them: body axes forward-right-down, world north-east-down from the origin.
+ *   { timestamp (s), imu_angular_velocity_rpy (rad/s, the raw gyro), imu_linear_acceleration_xyz (m/s², specific
+ *     force - [0, 0, -9.81] level at rest), imu_orientation_quat ([w, x, y, z], body to world), velocity_xyz (m/s),
+ *     position_xyz (m), pressure (Pa, barometer), rc_channels (µs, see _rcChannels) }
+ * Firmware -> sim: { motor_speed: [0-1, ...] } in Betaflight motor order (MotorMixer.MOTOR_ORDER).
+ *
+ * Not lockstep, like Betaflight SITL: the latest commands are flown until new ones arrive, and the motors stop
+ * when none came for SITL_SETTINGS.timeout of simulated time (the firmware stopped or is too slow). Commands only
+ * arrive between steps, so the engine has to step asynchronously at about real time for the firmware to keep up
+ * (as the browser loop does); a synchronous HeadlessEngine.run() hits the failsafe. It reconnects on its own.
+ */
+class SitlBridge {
+    /**
+     * @param {HeadlessEngine} engine Engine whose drone the firmware flies.
+     * @param {function} WebSocketClass WebSocket constructor: the browser's, or one with the same API in Node
+     *   (e.g. the `ws` package's).
+     */
+    constructor(engine, WebSocketClass) {
+        this.engine = engine;
+        this.WebSocketClass = WebSocketClass;
+        this.url = null;
+        this.socket = null;
+        this.status = 'DISCONNECTED';       // CONNECTING, CONNECTED, DISCONNECTED, or UNAVAILABLE without WebSockets
+        this.motorCommands = null;          // Latest motor_speed received, Betaflight motor order
+        this.lastSensorTime = 0;            // Simulated time of the latest sensor message (s)
+        this.lastCommandTime = -Infinity;   // lastSensorTime when motorCommands arrived, the data they answer (s)
+        this.stoppedMotors = new Array(MOTOR_ORDER.length).fill(0);
+        this.previousVelocity = new CANNON.Vec3(); // For the accelerometer
+        this.reconnectTimer = null;
+        this.disposed = false;
+    }
+
+    applyConfiguration(config) {
+        const { url, timeout, reconnectDelay } = config.SITL_SETTINGS;
+        this.timeout = timeout;
+        this.reconnectDelayMs = reconnectDelay * 1000;
+        this.altitude = resolveEnvironment(config.ENVIRONMENT_SETTINGS).altitude; // Ground level, for the barometer
+        if (url !== this.url) {
+            this.url = url;
+            this.connect();
+        }
+    }
+
+    connect() {
+        this._closeSocket();
+        if (this.disposed) return;
+        if (!this.WebSocketClass) {
+            this.status = 'UNAVAILABLE';
+            console.warn('SitlBridge: No WebSocket available (in Node, pass one to HeadlessEngine, e.g. from the ws package).');
+            return;
+        }
+
+        this.status = 'CONNECTING';
+        let socket;
+        try {
+            socket = new this.WebSocketClass(this.url);
+        } catch (error) {
+            this.status = 'DISCONNECTED'; // Malformed URL, retrying won't help
+            console.warn(`SitlBridge: Can't connect to "${this.url}":`, error.message);
+            return;
+        }
+        this.socket = socket;
+        socket.onopen = () => {
+            this.status = 'CONNECTED';
+            if (getCurrentConfig().DEBUG_MODE) console.log(`SitlBridge: Connected to ${this.url}`);
+        };
+        socket.onmessage = (event) => this._receive(event.data);
+        socket.onerror = () => {}; // Always followed by close, which retries
+        socket.onclose = () => {
+            if (this.socket !== socket) return; // Replaced or disposed
+            this.socket = null;
+            this.status = 'DISCONNECTED';
+            this.motorCommands = null;
+            this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelayMs);
+        };
+    }
+
+    _receive(data) {
+        let message;
+        try {
+            message = JSON.parse(String(data));
+        } catch {
+            return; // Not a motor packet
+        }
+        if (!Array.isArray(message?.motor_speed)) return;
+        this.motorCommands = MOTOR_ORDER.map((_, i) => Number(message.motor_speed[i]) || 0);
+        this.lastCommandTime = this.lastSensorTime;
+    }
+
+    // Whether motor commands are arriving (within the failsafe timeout, in simulated time)
+    isReceiving() {
+        return this.motorCommands !== null && this.engine.simulationTime - this.lastCommandTime <= this.timeout;
+    }
+
+    // Back to the start of a flight (HeadlessEngine.restartFlight): the clock restarts, so commands received
+    // before count as stale, and the accelerometer starts from the reset drone's velocity
+    reset() {
+        this.lastSensorTime = 0;
+        this.lastCommandTime = -Infinity;
+        const body = this.engine.drone?.physicsBody;
+        if (body) this.previousVelocity.copy(body.velocity);
+        else this.previousVelocity.setZero();
+    }
+
+    /**
+     * Hands the firmware's latest motor commands to the flight controller for the coming step, stopped motors
+     * without a link or fresh commands. Called before the flight controller loops.
+     */
+    applyMotorCommands() {
+        const flightController = this.engine.drone?.flightController;
+        if (!flightController) return;
+        flightController.externalMotorCommands = this.isReceiving() ? this.motorCommands : this.stoppedMotors;
+    }
+
+    /**
+     * Sends the sensor data after a physics step.
+     * @param {number} time Simulated time (s).
+     * @param {{roll: number, pitch: number, yaw: number, thrust: number}} controls Sticks flown this step.
+     */
+    sendSensors(time, controls) {
+        const body = this.engine.drone?.physicsBody;
+        const flightController = this.engine.drone?.flightController;
+        if (!body || !flightController) return;
+
+        // Specific force, what an accelerometer measures: acceleration minus gravity (tracked even without a link)
+        body.velocity.vsub(this.previousVelocity, acceleration);
+        acceleration.scale(1 / this.engine.timing.physicsDt, acceleration);
+        acceleration.vsub(this.engine.physicsEngine.world.gravity, acceleration);
+        this.previousVelocity.copy(body.velocity);
+        this.lastSensorTime = time;
+        if (this.socket?.readyState !== SOCKET_OPEN) return;
+        body.vectorToLocalFrame(acceleration, localAcceleration);
+
+        const { position, velocity, quaternion: q } = body;
+        this.socket.send(JSON.stringify({
+            timestamp: time,
+            imu_angular_velocity_rpy: toFrd(flightController.gyroRaw),
+            imu_linear_acceleration_xyz: toFrd(localAcceleration),
+            imu_orientation_quat: [q.w, -q.z, q.x, -q.y], // Same axis change as toFrd, applied to the rotation
+            velocity_xyz: toFrd(velocity),
+            position_xyz: toFrd(position),
+            pressure: pressureAt(this.altitude + position.y),
+            rc_channels: this._rcChannels(controls, flightController),
+        }));
+    }
+
+    // Sticks and switches as RC channels, in Betaflight's default AETR order: roll, pitch, throttle, yaw, then
+    // AUX1 = arm (the sim's arm switch) and AUX2 = flight mode (low RATE, middle ANGLE, high HORIZON).
+    // The sim's stick values turn the drone around the body axes the FlightController works in (positive = roll left,
+    // nose up, yaw left), a radio's channels go high for roll right, nose down and yaw right - hence the flip
+    _rcChannels(controls, flightController) {
+        const stick = value => Math.round(RC_MID - clamp(value, -1, 1) * (RC_MAX - RC_MID));
+        const channels = new Array(RC_CHANNELS).fill(RC_MIN);
+        channels[0] = stick(controls.roll);
+        channels[1] = stick(controls.pitch);
+        channels[2] = Math.round(RC_MIN + clamp(controls.thrust, 0, 1) * (RC_MAX - RC_MIN));
+        channels[3] = stick(controls.yaw);
+        channels[4] = flightController.armed ? RC_MAX : RC_MIN;
+        channels[5] = FLIGHT_MODE_CHANNEL[flightController.flightMode] ?? RC_MIN;
+        return channels;
+    }
+
+    /**
+     * Link state for the OSD.
+     * @returns {{status: string, receiving: boolean}} status: CONNECTING, CONNECTED, DISCONNECTED or UNAVAILABLE.
+     */
+    getStatus() {
+        return { status: this.status, receiving: this.isReceiving() };
+    }
+
+    _closeSocket() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        const socket = this.socket;
+        this.socket = null; // Before close(), so its onclose doesn't reconnect
+        socket?.close();
+        this.motorCommands = null;
+        this.status = 'DISCONNECTED';
+    }
+
+    // Closes the link for good and hands the motors back to the FlightController
+    dispose() {
+        this.disposed = true;
+        this._closeSocket();
+        const flightController = this.engine.drone?.flightController;
+        if (flightController) flightController.externalMotorCommands = null;
+    }
+}
+
+export default SitlBridge;
@@ -5,6 +5,7 @@ import OSDManager from './ui/OSDManager.js';         // Updated path
 import EventBus, { EVENTS } from './utils/EventBus.js'; // Updated path
 import ConfigManager from './config/ConfigManager.js'; // Updated path
 import InputManager from './managers/InputManager.js';   // Updated path
+import ConsoleManager from './ui/ConsoleManager.js';
 // Import initial state
 import MenuState from './states/MenuState.js';
 import * as THREE from "three"; // Path likely ok
@@ -27,6 +28,7 @@ function initializeApp() {
     MenuManager.initialize();   // Set up menus and listeners
     OSDManager.initialize();    // Set up OSD display
     InputManager.initialize();
+    ConsoleManager.initialize(); // CLI console, opened with the backtick key
 
     // Initialize State Manager with the starting state and context
     StateManager.setContext(sharedContext); // Pass context if needed by states
@@ -38,6 +40,9 @@ function initializeApp() {
         if (event.key === 'Escape') {
             event.preventDefault();
             StateManager.handleEscape();
+        } else if (event.key === '`') {
+            event.preventDefault();
+            StateManager.handleConsoleKey();
         }
         // Forward other specific keys if needed, or let InputManager handle them
         // Propagate key events for InputManager (if it needs global events)
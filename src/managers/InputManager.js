@@ -115,6 +115,12 @@ class InputManager {
     }
 
 
+    // Something to fly with: an active gamepad, or the keyboard (which only gets key events while the page has focus)
+    hasInputSource() {
+        const gamepadActive = this.activeGamepadIndex !== null;
+        return gamepadActive || document.hasFocus();
+    }
+
     // --- Event Emitters ---
     handleKeyDown(event) {
         this.keys[event.key] = true;
@@ -131,6 +137,16 @@ class InputManager {
             if (config.DEBUG_MODE) console.log("InputManager: Reset key (R) pressed - Emitting event.");
             EventBus.emit(EVENTS.SIM_RESET_REQUESTED);
         }
+        if (event.key === 'm' || event.key === 'M') {
+            event.preventDefault();
+            if (config.DEBUG_MODE) console.log("InputManager: Flight mode key (M) pressed - Emitting event.");
+            EventBus.emit(EVENTS.FLIGHT_MODE_CYCLE_REQUESTED);
+        }
+        if (event.key === 't' || event.key === 'T') {
+            event.preventDefault();
+            if (config.DEBUG_MODE) console.log("InputManager: Turtle mode key (T) pressed - Emitting event.");
+            EventBus.emit(EVENTS.TURTLE_MODE_TOGGLE_REQUESTED);
+        }
 
         // Prevent default for simulation flight keys ONLY when sim is active (pointer lock)
         const simKeys = ['w', 's', 'a', 'd', 'q', 'e', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Shift', 'Control', ' '];
@@ -162,6 +178,18 @@ class InputManager {
             if (config.DEBUG_MODE) console.log(`InputManager: Reset triggered via Gamepad button ${resetButtonIndex} - Emitting event`);
             EventBus.emit(EVENTS.SIM_RESET_REQUESTED);
         }
+
+        const flightModeButtonIndex = mapping.flightMode;
+        if (flightModeButtonIndex !== undefined && currentState[flightModeButtonIndex] === true && prevState[flightModeButtonIndex] === false) {
+            if (config.DEBUG_MODE) console.log(`InputManager: Flight mode change triggered via Gamepad button ${flightModeButtonIndex} - Emitting event`);
+            EventBus.emit(EVENTS.FLIGHT_MODE_CYCLE_REQUESTED);
+        }
+
+        const turtleButtonIndex = mapping.turtle;
+        if (turtleButtonIndex !== undefined && currentState[turtleButtonIndex] === true && prevState[turtleButtonIndex] === false) {
+            if (config.DEBUG_MODE) console.log(`InputManager: Turtle mode toggle triggered via Gamepad button ${turtleButtonIndex} - Emitting event`);
+            EventBus.emit(EVENTS.TURTLE_MODE_TOGGLE_REQUESTED);
+        }
     }
 
     // Reads keyboard state and updates flight controls
@@ -73,6 +73,12 @@ class StateManager {
         }
     }
 
+    handleConsoleKey() {
+        if (this.currentState && typeof this.currentState.handleConsoleKey === 'function') {
+            this.currentState.handleConsoleKey();
+        }
+    }
+
     handlePointerLockChange(isLocked) {
         if (this.currentState && typeof this.currentState.handlePointerLockChange === 'function') {
             this.currentState.handlePointerLockChange(isLocked);
@@ -113,6 +119,8 @@ export class BaseState {
     update(deltaTime) {}
     /** Handles the Escape key press. */
     handleEscape() {}
+    /** Handles the CLI console key (backtick). */
+    handleConsoleKey() {}
     /** Handles pointer lock changes. @param {boolean} isLocked */
     handlePointerLockChange(isLocked) {}
     /** Handles clicks on the main canvas. */
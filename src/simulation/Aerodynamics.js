@@ -0,0 +1,85 @@
+// src/simulation/Aerodynamics.js
+import * as CANNON from 'cannon-es';
+
+const wind = new CANNON.Vec3();               // Reusable vectors, this runs every physics step
+const airVelocity = new CANNON.Vec3();
+const localVelocity = new CANNON.Vec3();
+const localAngularVelocity = new CANNON.Vec3();
+const localForce = new CANNON.Vec3();
+const worldForce = new CANNON.Vec3();
+const worldCenterOfPressure = new CANNON.Vec3();
+const localTorque = new CANNON.Vec3();
+const worldTorque = new CANNON.Vec3();
+
+/**
+ * Quadratic air drag on the drone body.
+ * Drag is computed per body axis so the frame can be slippery head-on (-Z) but draggy when falling flat (Y):
+ *   F_axis = -0.5 * rho * CdA_axis * v_axis * |v|
+ * v is the airspeed (body velocity minus the wind at the body), so wind and turbulence push the drone around.
+ * A matching quadratic rotational drag slows down free spins. Both replace cannon's linear/angular damping.
+ * Drag acts at the frame's geometric center, so a CG away from it (e.g. a battery on top) makes the drone tilt in the airflow.
+ */
+class Aerodynamics {
+    /**
+     * @param {CANNON.Body} body Drone body.
+     * @param {object} physicsSettings DRONE_PHYSICS_SETTINGS.
+     * @param {number} airDensity Air density (kg/m³, see Atmosphere.js).
+     * @param {WindField} windField Wind to fly through, or null for still air.
+     */
+    constructor(body, physicsSettings, airDensity, windField = null) {
+        this.body = body;
+        this.windField = windField;
+        this.centerOfPressure = new CANNON.Vec3(); // From the center of gravity (m, body frame)
+        this.applyConfiguration(physicsSettings, airDensity);
+    }
+
+    /**
+     * @param {{x: number, y: number, z: number}} point Where drag acts, from the center of gravity (m, body frame).
+     */
+    setCenterOfPressure(point) {
+        this.centerOfPressure.set(point.x, point.y, point.z);
+    }
+
+    applyConfiguration(physicsSettings, airDensity) {
+        this.airDensity = airDensity;                                         // kg/m³
+        this.dragCoefficients = { ...physicsSettings.dragCoefficients };      // Cd·A per local axis (m²)
+        this.rotationalDragCoefficient = physicsSettings.rotationalDragCoefficient; // N·m per (rad/s)²
+    }
+
+    // Applies drag forces for the current physics step (forces are cleared by cannon after every step)
+    apply() {
+        const body = this.body;
+
+        if (this.windField) {
+            this.windField.sample(body.position, wind);
+            body.velocity.vsub(wind, airVelocity);
+        } else {
+            airVelocity.copy(body.velocity);
+        }
+        body.vectorToLocalFrame(airVelocity, localVelocity);
+        const speed = localVelocity.length();
+        if (speed > 0) {
+            const q = 0.5 * this.airDensity * speed; // v_axis * |v| keeps the force quadratic in airspeed
+            localForce.set(
+                -q * this.dragCoefficients.x * localVelocity.x,
+                -q * this.dragCoefficients.y * localVelocity.y,
+                -q * this.dragCoefficients.z * localVelocity.z
+            );
+            body.vectorToWorldFrame(localForce, worldForce);
+            body.vectorToWorldFrame(this.centerOfPressure, worldCenterOfPressure);
+            body.applyForce(worldForce, worldCenterOfPressure);
+        }
+
+        body.vectorToLocalFrame(body.angularVelocity, localAngularVelocity);
+        const k = this.rotationalDragCoefficient;
+        localTorque.set(
+            -k * localAngularVelocity.x * Math.abs(localAngularVelocity.x),
+            -k * localAngularVelocity.y * Math.abs(localAngularVelocity.y),
+            -k * localAngularVelocity.z * Math.abs(localAngularVelocity.z)
+        );
+        body.vectorToWorldFrame(localTorque, worldTorque);
+        body.applyTorque(worldTorque);
+    }
+}
+
+export default Aerodynamics;
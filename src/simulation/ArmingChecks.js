@@ -0,0 +1,34 @@
+// src/simulation/ArmingChecks.js
+
+// Pre-arm checks, reported like Betaflight's arming disable flags (the list `status` prints in the CLI).
+// Any active flag blocks arming. Flags are listed in this order.
+const ARMING_DISABLE_FLAGS = [
+    'RXLOSS',   // No input source: no gamepad, and the page doesn't have keyboard focus
+    'CRASH',    // Crash-disarmed, reset the drone or arm in turtle mode to clear
+    'CMS',      // A menu is open (Betaflight's name for its OSD menu)
+    'THROTTLE', // Throttle not low
+    'ANGLE',    // Tilted further than the arming angle
+];
+
+// Turtle mode is for getting a crashed quad off its back, so it may arm past these
+const TURTLE_MODE_EXEMPT = ['CRASH', 'ANGLE'];
+
+/**
+ * Runs the pre-arm checks.
+ * @param {{throttle: number, tiltAngle: number, hasInputSource: boolean, crashed: boolean, menuOpen: boolean, turtleMode: boolean}} status
+ *   Throttle 0-1, tilt from level in degrees.
+ * @param {{maxAngle: number, maxThrottle: number}} armingSettings FLIGHT_CONTROLLER_SETTINGS.ARMING.
+ * @returns {string[]} Active ARMING_DISABLE_FLAGS, empty when arming is allowed.
+ */
+function getArmingDisableFlags(status, armingSettings) {
+    const active = {
+        RXLOSS: !status.hasInputSource,
+        CRASH: status.crashed,
+        CMS: status.menuOpen,
+        THROTTLE: status.throttle > armingSettings.maxThrottle,
+        ANGLE: status.tiltAngle > armingSettings.maxAngle,
+    };
+    return ARMING_DISABLE_FLAGS.filter(flag => active[flag] && !(status.turtleMode && TURTLE_MODE_EXEMPT.includes(flag)));
+}
+
+export { ARMING_DISABLE_FLAGS, getArmingDisableFlags };
@@ -0,0 +1,42 @@
+// src/simulation/Atmosphere.js
+import ENVIRONMENT_PRESETS from '../config/environmentPresets.js';
+
+// Air density of the International Standard Atmosphere at sea level (15 °C). Prop thrust and torque
+// coefficients (DRONE_MOTOR_SETTINGS) are measured in this air and scale with the actual density.
+export const SEA_LEVEL_AIR_DENSITY = 1.225; // kg/m³
+
+const SEA_LEVEL_PRESSURE = 101325;  // Pa
+const LAPSE_RATE = 0.0065;          // Standard temperature drop with height (K/m)
+const SEA_LEVEL_TEMPERATURE = 288.15; // K
+const GAS_CONSTANT_AIR = 287.05;    // Specific gas constant of dry air (J/(kg·K))
+const PRESSURE_EXPONENT = 5.25588;  // g·M / (R·L) of the standard atmosphere
+
+/**
+ * Static pressure of the standard atmosphere, what a barometer reads at the altitude.
+ * @param {number} altitude Height above sea level (m).
+ * @returns {number} Pressure (Pa).
+ */
+export function pressureAt(altitude) {
+    return SEA_LEVEL_PRESSURE * Math.pow(Math.max(0, 1 - LAPSE_RATE * altitude / SEA_LEVEL_TEMPERATURE), PRESSURE_EXPONENT);
+}
+
+/**
+ * Dry air density from the ideal gas law: standard-atmosphere pressure at the altitude, at the actual temperature.
+ * @param {number} altitude Height above sea level (m).
+ * @param {number} temperature Air temperature (°C).
+ * @returns {number} Air density (kg/m³).
+ */
+export function airDensityAt(altitude, temperature) {
+    return pressureAt(altitude) / (GAS_CONSTANT_AIR * (temperature + 273.15));
+}
+
+/**
+ * The environment to simulate: the selected preset, or the custom values when the preset is 'CUSTOM' (or unknown).
+ * @param {object} environmentSettings ENVIRONMENT_SETTINGS.
+ * @returns {{gravity: number, altitude: number, temperature: number, airDensity: number}} Gravity (m/s², downwards),
+ *   altitude (m), temperature (°C) and the air density they give (kg/m³).
+ */
+export function resolveEnvironment(environmentSettings) {
+    const { gravity, altitude, temperature } = ENVIRONMENT_PRESETS[environmentSettings.preset] ?? environmentSettings;
+    return { gravity, altitude, temperature, airDensity: airDensityAt(altitude, temperature) };
+}
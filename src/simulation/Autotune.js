@@ -0,0 +1,335 @@
+// src/simulation/Autotune.js
+import * as CANNON from 'cannon-es';
+import { calculateRate } from './RateCurves.js';
+import { analyzeStepResponse } from './StepResponse.js';
+import { clamp } from '../utils/Utils.js';
+
+export const AUTOTUNE_AXES = ['roll', 'pitch', 'yaw'];
+
+const RAD_TO_DEG = 180 / Math.PI;
+const GYRO_AXES = { roll: 'z', pitch: 'x', yaw: 'y' }; // Body axis each rate loop acts on
+const IDLE_CONTROLS = { roll: 0, pitch: 0, yaw: 0, thrust: 0 };
+const bodyUp = new CANNON.Vec3();    // Reusable vector for the drone's up direction in the world
+const bodyRight = new CANNON.Vec3(); // Reusable vector for the drone's right (body X) direction in the world
+const bodyBack = new CANNON.Vec3();  // Reusable vector for the drone's back (body Z) direction in the world
+
+// Flight plan
+const CLIMB_HEIGHT = 2;      // m above the point autotune started at, where the tests are flown
+const CLIMB_TIMEOUT = 5;     // s to get there before testing anyway
+const LEVEL_TIME = 1;        // s in Angle mode before each test: levels out and settles
+const STEP_TIME = 0.25;      // s each stick position is held, longer than StepResponse's hold window
+// Stick positions of one test in stepRate units. Each rotation is undone by the step right after it, so the quad is
+// level again every second step and never tilts further than stepRate x STEP_TIME
+const STEP_PATTERN = [1, -1, 0, -1, 1, 0];
+
+// Altitude hold on the throttle while testing
+const ALTITUDE_P = 0.15;        // Throttle per m below the test height
+const ALTITUDE_D = 0.08;        // Throttle per m/s of sink rate
+const HOVER_LEARN_RATE = 0.05;  // Hover throttle correction per m·s below the test height
+const HOVER_GUESS = 0.35;       // Hover throttle to start from
+const MIN_TILT_COS = 0.7;       // Tilt compensation stops growing past ~45°, leaving the motors room to rotate back
+
+// Position hold on the Angle mode sticks between tests, so the run doesn't drift into trees
+const POSITION_P = 0.1;         // Stick per m off the start point
+const POSITION_D = 0.15;        // Stick per m/s of drift
+const POSITION_MAX_STICK = 0.3; // Tilt it may use (of the Angle mode max angle)
+const AIRBORNE_HEIGHT = 0.5;    // m above the start point, from where any contact ends the run
+const MAX_RETESTS = 1;          // Times a test the gyro didn't follow is flown again before giving up
+
+// Gain changes between tests
+const GAIN_UP = 1.2;
+const GAIN_DOWN = 0.85;
+const D_MAX_FACTOR = 3;          // D goes up to this multiple of its starting value, then P comes down instead
+const OVERSHOOT_TOLERANCE = 5;   // % either side of the target overshoot that counts as on target
+const RISE_TOLERANCE = 1.1;      // Rise times up to 10% over the target count as on target
+const MIN_RISE_GAIN = 0.95;      // Raising P has to cut the rise time by 5% to be tried again
+
+const round = value => Number(value.toPrecision(3)); // Suggestions keep 3 significant digits, and are flown rounded
+
+/**
+ * Rate PID autotune. Flies scripted stick steps on each axis in Rate mode, measures the step response (see
+ * StepResponse.js) and adjusts the gains between tests until the overshoot and rise time meet AUTOTUNE_SETTINGS:
+ * too much overshoot raises D (up to D_MAX_FACTOR times its starting value) or lowers P, I and feedforward together,
+ * a slow rise raises them, and a fast rise with little overshoot gives back some D. The best test of each axis is
+ * the suggestion. The gains are only changed on the flight controller while testing; when done, the drone flies
+ * with its configured gains again and the caller decides whether to save the suggestion (see autotuneSettings).
+ *
+ * Throttle and sticks are taken over for the whole run: it arms if needed, climbs CLIMB_HEIGHT and holds that
+ * height, leveling out and holding its position in Angle mode between tests. Disarming, crashing or touching anything
+ * once airborne ends the run with an error, and so do tests whose gyro didn't follow the steps (after a retry).
+ * Driven one physics step at a time by the engine (HeadlessEngine.startAutotune / runAutotune).
+ */
+class Autotune {
+    /**
+     * @param {HeadlessEngine} engine Engine flying the drone to tune.
+     * @param {object} autotuneSettings AUTOTUNE_SETTINGS.
+     */
+    constructor(engine, autotuneSettings) {
+        this.engine = engine;
+        this.fc = engine.drone.flightController;
+        this.targetOvershoot = Number(autotuneSettings.targetOvershoot);   // %
+        this.targetRiseTimes = {                                           // s
+            roll: Number(autotuneSettings.targetRiseTime),
+            pitch: Number(autotuneSettings.targetRiseTime),
+            yaw: Number(autotuneSettings.targetRiseTimeYaw),
+        };
+        this.stepRate = Number(autotuneSettings.stepRate);                 // deg/s
+        this.maxIterations = Math.max(1, Math.round(Number(autotuneSettings.maxIterations)));
+
+        this.originalGains = this._readGains();
+        this.originalFlightMode = this.fc.flightMode;
+        this.gains = structuredClone(this.originalGains); // Flown now, the best found so far on finished axes
+        this.axisIndex = 0;
+        this.tests = {};          // { axis: [{ gains, response }] } - every test flown, in order
+        this.phase = 'start';     // 'start', 'climb', 'level', 'test', 'done'
+        this.phaseStartTime = 0;
+        this.lastTime = null;
+        this.samples = null;      // { time, setpoint, gyro } of the running test (deg/s)
+        this.stepStick = 0;       // Stick deflection of the running test's steps
+        this.retests = 0;         // Tests of the current gains flown again, see _evaluate
+        this.airborne = false;    // Left the ground, contacts count as hitting something from here on
+        this.result = null;       // Set when done, see _finish
+    }
+
+    /**
+     * Status for the OSD and menu.
+     * @returns {{axis: string|null, test: number, maxTests: number, phase: string}}
+     */
+    getStatus() {
+        const axis = AUTOTUNE_AXES[this.axisIndex] ?? null;
+        return { axis, test: (this.tests[axis]?.length ?? 0) + 1, maxTests: this.maxIterations, phase: this.phase };
+    }
+
+    /**
+     * Advances the flight plan. Call before each physics step, in place of the pilot's sticks.
+     * @param {number} time Simulation time (s).
+     * @returns {{roll: number, pitch: number, yaw: number, thrust: number}} Sticks for this step.
+     */
+    update(time) {
+        if (this.phase === 'done') return IDLE_CONTROLS;
+        if (this.phase === 'start') {
+            const flags = this.fc.armed ? [] : this.engine.arm();
+            if (flags.length > 0) return this._finish(`Arming disabled: ${flags.join(' ')}`);
+            const position = this.fc.body.position;
+            this.testHeight = position.y + CLIMB_HEIGHT;
+            this.startPosition = { x: position.x, y: position.y, z: position.z };
+            this.hoverThrottle = HOVER_GUESS;
+            this._setPhase('climb', time);
+        }
+        if (!this.fc.armed) return this._finish('Disarmed');
+        if (this.engine.drone.damageModel?.crashed) return this._finish('Crashed');
+        this.airborne ||= this.fc.body.position.y > this.startPosition.y + AIRBORNE_HEIGHT;
+        const obstacle = this.airborne ? this._touchedSurface() : null;
+        if (obstacle) return this._finish(`Hit ${obstacle}`);
+
+        const deltaTime = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+        const controls = { roll: 0, pitch: 0, yaw: 0, thrust: this._holdAltitude(deltaTime) };
+        const elapsed = time - this.phaseStartTime;
+        const axis = AUTOTUNE_AXES[this.axisIndex];
+
+        if (this.phase === 'climb') {
+            const { position, velocity } = this.fc.body;
+            const arrived = Math.abs(this.testHeight - position.y) < 0.2 && Math.abs(velocity.y) < 0.3;
+            if (arrived || elapsed >= CLIMB_TIMEOUT) this._setPhase('level', time);
+        } else if (this.phase === 'level' && elapsed >= LEVEL_TIME) {
+            this._applyGains(); // From here on PIDs and the stick step are what's being measured
+            this.fc.setFlightMode('RATE');
+            this.stepStick = this._stepStick(axis);
+            this.samples = { time: [], setpoint: [], gyro: [] };
+            this._setPhase('test', time);
+        } else if (this.phase === 'test') {
+            const stepIndex = Math.floor(elapsed / STEP_TIME);
+            if (stepIndex < STEP_PATTERN.length) {
+                controls[axis] = STEP_PATTERN[stepIndex] * this.stepStick;
+                this.samples.time.push(time);
+                this.samples.setpoint.push(this.fc.setpoints[axis] * RAD_TO_DEG);
+                this.samples.gyro.push(this.fc.gyroFiltered[GYRO_AXES[axis]] * RAD_TO_DEG);
+            } else {
+                this._evaluate(axis);
+                if (this.phase === 'done') return IDLE_CONTROLS;
+                this._setPhase('level', time);
+            }
+        }
+        if (this.phase !== 'test') {
+            if (this.fc.flightMode !== 'ANGLE') this.fc.setFlightMode('ANGLE');
+            this._holdPosition(controls);
+        }
+        return controls;
+    }
+
+    /**
+     * Stops early: the gains found on finished axes are kept as the suggestion, like a finished run.
+     */
+    abort() {
+        if (this.phase !== 'done') this._finish('Stopped');
+    }
+
+    _setPhase(phase, time) {
+        this.phase = phase;
+        this.phaseStartTime = time;
+    }
+
+    // Throttle that holds the test height, corrected for tilt so Rate mode rolls don't lose height
+    _holdAltitude(deltaTime) {
+        const { position, velocity, quaternion } = this.fc.body;
+        const heightError = this.testHeight - position.y;
+        this.hoverThrottle = clamp(this.hoverThrottle + heightError * HOVER_LEARN_RATE * deltaTime, 0.05, 0.9);
+        quaternion.vmult(CANNON.Vec3.UNIT_Y, bodyUp);
+        const throttle = (this.hoverThrottle + heightError * ALTITUDE_P - velocity.y * ALTITUDE_D) / Math.max(MIN_TILT_COS, bodyUp.y);
+        return clamp(throttle, 0, 1);
+    }
+
+    // Angle mode roll/pitch sticks that lean the drone back over the start point. Sticks turn it around the body
+    // axes: roll positive to the left (towards -X), pitch positive nose up (accelerating towards +Z, backwards)
+    _holdPosition(controls) {
+        const { position, velocity, quaternion } = this.fc.body;
+        const toX = (this.startPosition.x - position.x) * POSITION_P - velocity.x * POSITION_D;
+        const toZ = (this.startPosition.z - position.z) * POSITION_P - velocity.z * POSITION_D;
+        quaternion.vmult(CANNON.Vec3.UNIT_X, bodyRight);
+        quaternion.vmult(CANNON.Vec3.UNIT_Z, bodyBack);
+        controls.roll = clamp(-(toX * bodyRight.x + toZ * bodyRight.z), -POSITION_MAX_STICK, POSITION_MAX_STICK);
+        controls.pitch = clamp(toX * bodyBack.x + toZ * bodyBack.z, -POSITION_MAX_STICK, POSITION_MAX_STICK);
+    }
+
+    // Material name of what the drone touched in the last physics step (a SURFACE_MATERIALS key), null if nothing
+    _touchedSurface() {
+        const body = this.fc.body;
+        for (const contact of this.engine.physicsEngine.world.contacts) {
+            if (contact.bi !== body && contact.bj !== body) continue;
+            const other = contact.bi === body ? contact.bj : contact.bi;
+            return other.material?.name ?? 'something';
+        }
+        return null;
+    }
+
+    // Stick deflection that commands stepRate on this axis (rate curves are symmetric and rise with the stick)
+    _stepStick(axis) {
+        const { rateType } = this.fc.rates;
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 20; i++) {
+            const stick = (low + high) / 2;
+            if (calculateRate(rateType, stick, this.fc.rates[axis]) < this.stepRate) low = stick;
+            else high = stick;
+        }
+        return high;
+    }
+
+    // Scores the test just flown and picks the next gains, or moves on to the next axis
+    _evaluate(axis) {
+        const { time, setpoint, gyro } = this.samples;
+        const response = analyzeStepResponse(time, setpoint, gyro);
+        // No step the gyro followed: a gust, or the rates can't reach stepRate. Flown again, then given up on
+        if (response.steps === 0) {
+            if (this.retests++ >= MAX_RETESTS) this._finish(`No usable step response on ${axis}`);
+            return;
+        }
+        this.retests = 0;
+        const tests = (this.tests[axis] ??= []);
+        tests.push({ gains: { ...this.gains[axis] }, response });
+
+        const next = this._nextGains(axis, response, tests.at(-2));
+        if (next && tests.length < this.maxIterations) {
+            this.gains[axis] = next;
+            return;
+        }
+        this.gains[axis] = { ...this._bestTest(axis).gains }; // Later axes are tested with it
+        this.axisIndex++;
+        if (this.axisIndex >= AUTOTUNE_AXES.length) this._finish(null);
+    }
+
+    // Next gains to try, null once on target (or when nothing more can be gained)
+    _nextGains(axis, { riseTime, overshoot }, previousTest) {
+        const { kp, ki, kd, kf } = this.gains[axis];
+        const startKd = this.originalGains[axis].kd;
+        const scaleP = factor => ({ kp: round(kp * factor), ki: round(ki * factor), kd, kf: round(kf * factor) });
+
+        if (overshoot > this.targetOvershoot + OVERSHOOT_TOLERANCE) {
+            if (kd > 0 && kd * GAIN_UP <= startKd * D_MAX_FACTOR) return { kp, ki, kd: round(kd * GAIN_UP), kf };
+            return scaleP(GAIN_DOWN);
+        }
+        if (riseTime === null || riseTime > this.targetRiseTimes[axis] * RISE_TOLERANCE) {
+            // More P that didn't speed it up: the motors are the limit, not the gains
+            const previous = previousTest?.response;
+            if (previousTest?.gains.kp < kp && previous.riseTime !== null && riseTime > previous.riseTime * MIN_RISE_GAIN) return null;
+            return scaleP(GAIN_UP);
+        }
+        if (overshoot < this.targetOvershoot - OVERSHOOT_TOLERANCE && kd > 0 && kd * GAIN_DOWN >= startKd / D_MAX_FACTOR) {
+            return { kp, ki, kd: round(kd * GAIN_DOWN), kf };
+        }
+        return null;
+    }
+
+    // How far a response is from the targets, 0 when both are met. Misses are in tolerances / target rise times
+    _score(axis, { riseTime, overshoot }) {
+        const overshootMiss = Math.max(0, Math.abs(overshoot - this.targetOvershoot) - OVERSHOOT_TOLERANCE) / OVERSHOOT_TOLERANCE;
+        const riseMiss = Math.max(0, (riseTime ?? STEP_TIME) / this.targetRiseTimes[axis] - RISE_TOLERANCE);
+        return overshootMiss + riseMiss;
+    }
+
+    // Best test of an axis, the earliest one on a tie (the starting gains win if nothing improved on them)
+    _bestTest(axis) {
+        return this.tests[axis].reduce((best, test) =>
+            this._score(axis, test.response) < this._score(axis, best.response) ? test : best);
+    }
+
+    _readGains() {
+        const pids = { roll: this.fc.pidRollRate, pitch: this.fc.pidPitchRate, yaw: this.fc.pidYawRate };
+        const gains = {};
+        AUTOTUNE_AXES.forEach(axis => {
+            const { kp, ki, kd, kf } = pids[axis];
+            gains[axis] = { kp, ki, kd, kf };
+        });
+        return gains;
+    }
+
+    _applyGains(gains = this.gains) {
+        const pids = { roll: this.fc.pidRollRate, pitch: this.fc.pidPitchRate, yaw: this.fc.pidYawRate };
+        AUTOTUNE_AXES.forEach(axis => {
+            const { kp, ki, kd, kf } = gains[axis];
+            pids[axis].setGains(kp, ki, kd);
+            pids[axis].kf = kf;
+        });
+    }
+
+    /**
+     * Ends the run: back to the configured gains and flight mode, and the result in this.result:
+     *   error: why it stopped early, null when all axes were tuned
+     *   axes: { axis: { before, after, tests } } for the axes tuned - before/after are { gains, response } of the
+     *     starting gains and the suggestion
+     *   gains: { axis: { kp, ki, kd, kf } } suggested for every axis (the starting gains where not tuned)
+     */
+    _finish(error) {
+        this._applyGains(this.originalGains);
+        this.fc.setFlightMode(this.originalFlightMode);
+        const axes = {};
+        const gains = structuredClone(this.originalGains);
+        AUTOTUNE_AXES.slice(0, this.axisIndex).forEach(axis => {
+            const best = this._bestTest(axis);
+            axes[axis] = { before: this.tests[axis][0], after: best, tests: this.tests[axis] };
+            gains[axis] = { ...best.gains };
+        });
+        this.result = { error, axes, gains };
+        this.phase = 'done';
+        return IDLE_CONTROLS;
+    }
+}
+
+/**
+ * Config changes that save autotune's suggested gains (for ConfigManager.updateUserSettings).
+ * @param {object} gains Autotune result gains: { axis: { kp, ki, kd, kf } }.
+ * @returns {object} { keyPath: value }
+ */
+export function autotuneSettings(gains) {
+    const settings = {};
+    Object.entries(gains).forEach(([axis, { kp, ki, kd, kf }]) => {
+        settings[`FLIGHT_CONTROLLER_SETTINGS.PID.${axis}.kp`] = kp;
+        settings[`FLIGHT_CONTROLLER_SETTINGS.PID.${axis}.ki`] = ki;
+        settings[`FLIGHT_CONTROLLER_SETTINGS.PID.${axis}.kd`] = kd;
+        settings[`FLIGHT_CONTROLLER_SETTINGS.FEEDFORWARD.${axis}`] = kf;
+    });
+    return settings;
+}
+
+export default Autotune;
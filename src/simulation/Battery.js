@@ -0,0 +1,79 @@
+// src/simulation/Battery.js
+import { clamp, lerp } from '../utils/Utils.js';
+
+/**
+ * LiPo battery pack model.
+ * Open-circuit voltage follows a per-cell discharge curve over the state of charge,
+ * and the terminal voltage sags under load through the pack's internal resistance (V = Voc - I * R).
+ * Once the usable capacity is gone the pack is flagged as depleted and delivers no more voltage.
+ */
+class Battery {
+    constructor(batterySettings) {
+        this.voltage = 0;   // V, terminal voltage under load
+        this.current = 0;   // A, last drawn current
+        this.mAhUsed = 0;
+        this.depleted = false;
+        this.applyConfiguration(batterySettings);
+        this.reset();
+    }
+
+    applyConfiguration(batterySettings) {
+        this.cells = batterySettings.cells;
+        this.capacity = batterySettings.capacity;                               // mAh
+        this.internalResistance = batterySettings.internalResistancePerCell * this.cells; // Ohm, cells in series
+        this.dischargeCurve = batterySettings.dischargeCurve;                   // [[stateOfCharge, cellVoltage], ...] sorted by charge
+    }
+
+    // State of charge from 0 (empty) to 1 (full)
+    get stateOfCharge() {
+        return this.capacity > 0 ? clamp(1 - this.mAhUsed / this.capacity, 0, 1) : 0;
+    }
+
+    get openCircuitVoltage() {
+        return this._cellVoltageAt(this.stateOfCharge) * this.cells;
+    }
+
+    // Average voltage per cell under load, what pilots watch on the OSD
+    get cellVoltage() {
+        return this.cells > 0 ? this.voltage / this.cells : 0;
+    }
+
+    /**
+     * Draws current from the pack for one time step and updates the terminal voltage.
+     * @param {number} current Current drawn (A).
+     * @param {number} deltaTime Time step (s).
+     */
+    update(current, deltaTime) {
+        this.current = Math.max(0, current);
+        this.mAhUsed += this.current * deltaTime * 1000 / 3600; // A·s -> mAh
+
+        if (this.mAhUsed >= this.capacity) {
+            this.depleted = true;
+        }
+        this.voltage = this.depleted ? 0 : Math.max(0, this.openCircuitVoltage - this.current * this.internalResistance);
+    }
+
+    // Linear interpolation through the discharge curve
+    _cellVoltageAt(stateOfCharge) {
+        const curve = this.dischargeCurve;
+        if (stateOfCharge <= curve[0][0]) return curve[0][1];
+        for (let i = 1; i < curve.length; i++) {
+            const [soc, voltage] = curve[i];
+            if (stateOfCharge <= soc) {
+                const [prevSoc, prevVoltage] = curve[i - 1];
+                return lerp(prevVoltage, voltage, (stateOfCharge - prevSoc) / (soc - prevSoc));
+            }
+        }
+        return curve[curve.length - 1][1];
+    }
+
+    // Fresh, fully charged pack
+    reset() {
+        this.mAhUsed = 0;
+        this.current = 0;
+        this.depleted = false;
+        this.voltage = this.openCircuitVoltage;
+    }
+}
+
+export default Battery;
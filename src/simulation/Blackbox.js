@@ -0,0 +1,215 @@
+// src/simulation/Blackbox.js
+import { toEulerYXZ } from './DronePhysics.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+const PID_SCALE = 1000;  // Mixer commands -> Betaflight PID units (pidsum_limit 500 is 0.5 here)
+const RC_SCALE = 500;    // Stick (-1 to 1) -> rcCommand roll/pitch/yaw
+// Betaflight's axis signs from ours (roll, pitch, yaw): yaw left matches, but Betaflight's roll is positive to the
+// right and its pitch positive nose down (stick forward), where the body Z axis is positive roll left and X nose up
+const AXIS_SIGNS = [-1, -1, 1];
+const ATTITUDE_DECIMALS = 2;
+
+const indexed = (name, count = 3) => Array.from({ length: count }, (_, i) => `${name}[${i}]`);
+
+/**
+ * Flight data recorder, like Betaflight's blackbox. Fed from every fixed simulation step, it records at
+ * BLACKBOX_SETTINGS.rateHz (at most once per physics step) while the drone is armed: every arming starts a new log,
+ * disarming ends it. The last maxDuration seconds are kept in a ring buffer.
+ *
+ * toCSV() writes the log with the column names of Betaflight's blackbox_decode, so log viewers and analysis
+ * scripts read it like a real flight. Units are the decoded ones: time in µs, rates and setpoints in deg/s
+ * (Betaflight axis signs), PID terms in Betaflight PID units, rcCommand ±500 and 1000-2000 throttle, motor 1000-2000.
+ * Columns Betaflight doesn't have use INAV's names: attitude (deg: roll right, pitch nose up, heading clockwise)
+ * and navPos/navVel (m, m/s in world X/Y/Z, Y up).
+ */
+class Blackbox {
+    /**
+     * @param {object} blackboxSettings BLACKBOX_SETTINGS.
+     */
+    constructor(blackboxSettings) {
+        this.recording = false;
+        this.columns = [];      // Column names of the current log
+        this.decimals = [];     // Decimal places written per column
+        this.buffer = null;     // Ring buffer, one row of columns per sample
+        this.capacity = 0;      // Rows the buffer holds
+        this.writeIndex = 0;    // Row the next sample goes to
+        this.sampleCount = 0;   // Rows holding samples (up to capacity)
+        this.startTime = 0;     // Simulation time at arming (s)
+        this.startLoop = 0;     // PID loop count at arming
+        this.nextSampleTime = 0;
+        this.applyConfiguration(blackboxSettings);
+    }
+
+    applyConfiguration(blackboxSettings) {
+        this.enabled = blackboxSettings.enabled;
+        this.sampleInterval = 1 / Number(blackboxSettings.rateHz); // Menu selects store strings
+        this.maxDuration = Number(blackboxSettings.maxDuration);   // s, applies from the next log
+        if (!this.enabled) this.stop(); // The recorded part stays exportable
+    }
+
+    /**
+     * Starts or stops the log with the arming state and records a sample when one is due. Call after each physics step.
+     * @param {number} time Simulation time (s).
+     * @param {DronePhysics} drone
+     * @param {{roll: number, pitch: number, yaw: number, thrust: number}} controls Stick inputs of this step.
+     * @param {number} loopIteration PID loops run so far.
+     */
+    update(time, drone, controls, loopIteration) {
+        const fc = drone?.flightController;
+        if (!fc) return;
+        if (fc.armed && !this.recording && this.enabled) {
+            this.start(time, loopIteration, fc.motorOutputs.length);
+        } else if (!fc.armed && this.recording) {
+            this.stop();
+        }
+        if (!this.recording || time < this.nextSampleTime - 1e-9) return;
+        // Never more than one interval behind, a rate above the physics rate records every step
+        this.nextSampleTime = Math.max(this.nextSampleTime + this.sampleInterval, time);
+        this._record(time, drone, controls, loopIteration);
+    }
+
+    /**
+     * Clears the buffer and starts a new log.
+     * @param {number} time Simulation time at arming (s).
+     * @param {number} loopIteration PID loop count at arming.
+     * @param {number} motorCount Motors on the airframe (one motor[] column each).
+     */
+    start(time, loopIteration, motorCount) {
+        const columns = [
+            ['loopIteration', 0], ['time (us)', 0],
+            ...['axisP', 'axisI', 'axisD', 'axisF'].flatMap(name => indexed(name).map(column => [column, 1])),
+            ...indexed('rcCommand', 4).map(column => [column, 0]),
+            ...indexed('setpoint', 4).map(column => [column, 1]),
+            ...indexed('gyroADC').map(column => [column, 2]),
+            ...indexed('gyroUnfilt').map(column => [column, 2]),
+            ...indexed('motor', motorCount).map(column => [column, 0]),
+            ['vbatLatest (V)', 2], ['amperageLatest (A)', 2], ['energyCumulative (mAh)', 1],
+            ...indexed('attitude').map(column => [column, ATTITUDE_DECIMALS]),
+            ...indexed('navPos').map(column => [column, 3]),
+            ...indexed('navVel').map(column => [column, 3]),
+        ];
+        this.columns = columns.map(([name]) => name);
+        this.decimals = columns.map(([, decimals]) => decimals);
+
+        const capacity = Math.max(1, Math.ceil(this.maxDuration / this.sampleInterval));
+        const size = capacity * this.columns.length;
+        if (!this.buffer || this.buffer.length !== size) this.buffer = new Float64Array(size);
+        this.capacity = capacity;
+        this.writeIndex = 0;
+        this.sampleCount = 0;
+        this.startTime = time;
+        this.startLoop = loopIteration;
+        this.nextSampleTime = time;
+        this.recording = true;
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    _record(time, drone, controls, loopIteration) {
+        const fc = drone.flightController;
+        const body = drone.physicsBody;
+        const buffer = this.buffer;
+        let index = this.writeIndex * this.columns.length;
+
+        buffer[index++] = loopIteration - this.startLoop;
+        buffer[index++] = Math.round((time - this.startTime) * 1e6);
+
+        const pids = [fc.pidRollRate, fc.pidPitchRate, fc.pidYawRate];
+        ['p', 'i', 'd', 'f'].forEach(term => {
+            pids.forEach((pid, axis) => { buffer[index++] = pid.terms[term] * PID_SCALE * AXIS_SIGNS[axis]; });
+        });
+
+        // Sticks command rates on the body axes, so they take the same signs
+        buffer[index++] = controls.roll * RC_SCALE * AXIS_SIGNS[0];
+        buffer[index++] = controls.pitch * RC_SCALE * AXIS_SIGNS[1];
+        buffer[index++] = controls.yaw * RC_SCALE * AXIS_SIGNS[2];
+        buffer[index++] = 1000 + controls.thrust * 1000;
+
+        const { roll, pitch, yaw } = fc.setpoints;
+        buffer[index++] = roll * RAD_TO_DEG * AXIS_SIGNS[0];
+        buffer[index++] = pitch * RAD_TO_DEG * AXIS_SIGNS[1];
+        buffer[index++] = yaw * RAD_TO_DEG * AXIS_SIGNS[2];
+        buffer[index++] = controls.thrust * 1000;
+
+        // Gyro axes: X pitch, Y yaw, Z roll
+        [fc.gyroFiltered, fc.gyroRaw].forEach(gyro => {
+            buffer[index++] = gyro.z * RAD_TO_DEG * AXIS_SIGNS[0];
+            buffer[index++] = gyro.x * RAD_TO_DEG * AXIS_SIGNS[1];
+            buffer[index++] = gyro.y * RAD_TO_DEG * AXIS_SIGNS[2];
+        });
+
+        fc.motorOutputs.forEach(output => { buffer[index++] = 1000 + output * 1000; });
+
+        buffer[index++] = fc.battery.voltage;
+        buffer[index++] = fc.battery.current;
+        buffer[index++] = fc.battery.mAhUsed;
+
+        const euler = toEulerYXZ(body.quaternion);
+        buffer[index++] = -euler.roll * RAD_TO_DEG; // Roll around Z is positive to the left
+        buffer[index++] = euler.pitch * RAD_TO_DEG;
+        // Yaw is positive to the left. Rounded to the column first, so a hair left of north is 0, not 360.00
+        const heading = Math.round(-euler.yaw * RAD_TO_DEG * 10 ** ATTITUDE_DECIMALS) / 10 ** ATTITUDE_DECIMALS;
+        buffer[index++] = (heading % 360 + 360) % 360;
+
+        buffer[index++] = body.position.x;
+        buffer[index++] = body.position.y;
+        buffer[index++] = body.position.z;
+        buffer[index++] = body.velocity.x;
+        buffer[index++] = body.velocity.y;
+        buffer[index++] = body.velocity.z;
+
+        this.writeIndex = (this.writeIndex + 1) % this.capacity;
+        this.sampleCount = Math.min(this.sampleCount + 1, this.capacity);
+    }
+
+    /**
+     * Columns of the current (or last) log as arrays, oldest sample first (the tuning graphs read these).
+     * @param {string[]} names Column names (see this.columns), unknown ones are left out.
+     * @param {number} since Simulation time (s) to start from, earlier samples are skipped.
+     * @returns {object|null} { time: seconds since arming, [name]: values } as Float64Arrays, null without samples.
+     */
+    getSeries(names, since = -Infinity) {
+        const columnCount = this.columns.length;
+        const timeColumn = this.columns.indexOf('time (us)');
+        const oldest = (this.writeIndex - this.sampleCount + this.capacity) % this.capacity;
+        const sinceUs = (since - this.startTime) * 1e6;
+        let first = 0; // Samples are in time order, skip the ones before `since`
+        while (first < this.sampleCount && this.buffer[((oldest + first) % this.capacity) * columnCount + timeColumn] < sinceUs - 1e-3) first++;
+        const length = this.sampleCount - first;
+        if (length <= 0) return null;
+
+        const indices = names.map(name => [name, this.columns.indexOf(name)]).filter(([, column]) => column >= 0);
+        const series = { time: new Float64Array(length) };
+        indices.forEach(([name]) => { series[name] = new Float64Array(length); });
+        for (let n = 0; n < length; n++) {
+            const row = ((oldest + first + n) % this.capacity) * columnCount;
+            series.time[n] = this.buffer[row + timeColumn] / 1e6;
+            indices.forEach(([name, column]) => { series[name][n] = this.buffer[row + column]; });
+        }
+        return series;
+    }
+
+    /**
+     * The current (or last) log as CSV, oldest sample first.
+     * @returns {string} Header row plus one row per sample, empty when nothing was recorded.
+     */
+    toCSV() {
+        if (this.sampleCount === 0) return '';
+        const columnCount = this.columns.length;
+        const lines = [this.columns.join(',')];
+        const oldest = (this.writeIndex - this.sampleCount + this.capacity) % this.capacity;
+        for (let n = 0; n < this.sampleCount; n++) {
+            const row = ((oldest + n) % this.capacity) * columnCount;
+            const values = new Array(columnCount);
+            for (let c = 0; c < columnCount; c++) {
+                values[c] = this.buffer[row + c].toFixed(this.decimals[c]);
+            }
+            lines.push(values.join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+export default Blackbox;
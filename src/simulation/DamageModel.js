@@ -0,0 +1,103 @@
+// src/simulation/DamageModel.js
+import { clamp } from '../utils/Utils.js';
+
+const BENT_THRESHOLD = 0.05; // Damage below this is cosmetic, the prop still counts as OK
+
+/**
+ * Propeller damage from impacts.
+ * An impact harder than bendSpeed damages the props near the contact point; damage (0-1) grows with impact speed
+ * and reaches 1 (broken) at breakSpeed. A damaged prop loses thrust and shakes the frame (more gyro vibration).
+ * Impacts at crashDisarmSpeed or above count as a crash: the drone disarms and can't re-arm (CRASH arming flag)
+ * until it's reset or armed in turtle mode to flip it back over. Props are only repaired on reset.
+ */
+class DamageModel {
+    /**
+     * @param {object} damageSettings DRONE_DAMAGE_SETTINGS.
+     * @param {Array<{position: {x: number, z: number}}>} motors Motor layout (MotorMixer.motors).
+     */
+    constructor(damageSettings, motors) {
+        this.propDamage = motors.map(() => 0);
+        this.thrustFactors = motors.map(() => 1);
+        this.crashed = false;
+        this.lastImpactSpeed = 0;
+        this.applyConfiguration(damageSettings, motors);
+    }
+
+    applyConfiguration(damageSettings, motors) {
+        this.enabled = damageSettings.enabled;
+        this.bendSpeed = damageSettings.bendSpeed;
+        this.breakSpeed = damageSettings.breakSpeed;
+        this.crashDisarmSpeed = damageSettings.crashDisarmSpeed;
+        this.bentThrustLoss = damageSettings.bentThrustLoss;
+        this.brokenThrust = damageSettings.brokenThrust;
+        this.damageVibration = damageSettings.damageVibration;
+        this.motorPositions = motors.map(({ position }) => ({ x: position.x, z: position.z }));
+        this.armLength = this.motorPositions.reduce((sum, { x, z }) => sum + Math.hypot(x, z), 0) / this.motorPositions.length;
+        this._updateThrustFactors();
+    }
+
+    /**
+     * Applies one impact.
+     * @param {number} impactSpeed Speed into the surface, along the contact normal (m/s).
+     * @param {{x: number, z: number}} contactPoint Contact point in the body frame (m).
+     * @returns {boolean} True if the impact was hard enough to crash-disarm.
+     */
+    registerImpact(impactSpeed, contactPoint) {
+        if (!this.enabled) return false;
+        this.lastImpactSpeed = impactSpeed;
+
+        if (impactSpeed > this.bendSpeed) {
+            const severity = (impactSpeed - this.bendSpeed) / Math.max(0.1, this.breakSpeed - this.bendSpeed);
+            const distances = this.motorPositions.map(({ x, z }) => Math.hypot(contactPoint.x - x, contactPoint.z - z));
+            const nearest = Math.min(...distances);
+            // The prop closest to the hit takes all of it, props further away (relative to the closest) less
+            distances.forEach((distance, i) => {
+                const exposure = clamp(1 - (distance - nearest) / this.armLength, 0, 1);
+                this.propDamage[i] = clamp(this.propDamage[i] + severity * exposure, 0, 1);
+            });
+            this._updateThrustFactors();
+        }
+
+        if (impactSpeed >= this.crashDisarmSpeed) {
+            this.crashed = true;
+            return true;
+        }
+        return false;
+    }
+
+    _updateThrustFactors() {
+        this.propDamage.forEach((damage, i) => {
+            this.thrustFactors[i] = damage >= 1 ? this.brokenThrust : 1 - damage * this.bentThrustLoss;
+        });
+    }
+
+    /**
+     * State of one prop.
+     * @param {number} index Motor index (MOTOR_ORDER).
+     * @returns {'OK'|'BENT'|'BROKEN'}
+     */
+    propState(index) {
+        const damage = this.propDamage[index];
+        if (damage >= 1) return 'BROKEN';
+        return damage >= BENT_THRESHOLD ? 'BENT' : 'OK';
+    }
+
+    // Recovered from a crash without a reset (turtle mode), the damage stays
+    clearCrash() {
+        this.crashed = false;
+    }
+
+    // Extra vibration from an unbalanced prop (deg/s at the IMU's reference RPM), per motor
+    get vibration() {
+        return this.propDamage.map(damage => damage * this.damageVibration);
+    }
+
+    reset() {
+        this.propDamage.fill(0);
+        this.crashed = false;
+        this.lastImpactSpeed = 0;
+        this._updateThrustFactors();
+    }
+}
+
+export default DamageModel;
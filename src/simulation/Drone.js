@@ -1,30 +1,32 @@
 // src/simulation/Drone.js
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
 import AssetLoader from '../utils/AssetLoader.js'; // Updated path
 import {getCurrentConfig} from "../config/ConfigManager.js"; // Updated path
-import FlightController from './FlightController.js'; // Updated path
-import EventBus, {EVENTS} from "../utils/EventBus.js"; // Updated path
-
-// Reuse Vec3 instances for torque calculations to reduce garbage collection
-const euler = new THREE.Euler(); // Create once, reuse
-
-class Drone {
+import DronePhysics from './DronePhysics.js';
+import { MOTOR_ORDER } from './MotorMixer.js';
+import { RPM_TO_RAD_PER_SEC } from './Motor.js';
+
+// Propeller mesh names in the GLTF model -> motor names (see MotorMixer.MOTOR_ORDER)
+const PROPELLER_MOTORS = {
+    Propeller_FR: 'frontRight',
+    Propeller_FL: 'frontLeft',
+    Propeller_BR: 'rearRight',
+    Propeller_BL: 'rearLeft',
+};
+// Real prop speeds (hundreds of revolutions per second) alias into a standstill at display frame rates,
+// so the visual spin is scaled down to stay readable while still following the motor RPM.
+const PROPELLER_VISUAL_SPEED_SCALE = 0.02;
+
+// The drone as rendered: DronePhysics plus the GLTF model, FPV camera and spinning props
+class Drone extends DronePhysics {
     constructor(engine) {
-        const config = getCurrentConfig(); // Get config early if needed
-        this.engine = engine; // Reference to SimulatorEngine
+        super(engine); // Reference to SimulatorEngine
         this.visual = null;
-        this.physicsBody = null;
         this.fpvCamera = null;
         this.propellers = [];
-        this.flightController = null; // <<<< ADD reference
-
-        if (config.DEBUG_MODE) {
-            console.log('Drone: Initialized');
-        }
+        this.propellerMotorIndices = []; // Motor index (MOTOR_ORDER) for each entry in this.propellers
     }
 
-
     // Replace procedural model with GLTF loading
     async createVisualModel() {
         const config = getCurrentConfig(); // Get config early if needed
@@ -71,40 +73,6 @@ class Drone {
 
 
 
-    createPhysicsBody(initialPosition) {
-        const config = getCurrentConfig(); // Get current config for physics settings
-        if (!this.engine.physicsEngine.getMaterial) {
-            console.error("Drone: CANNON or Physics materials not available.");
-            return null;
-        }
-        // Use dimensions from config or sensible defaults
-        const droneWidth = 0.3;
-        const droneHeight = 0.08;
-        const droneDepth = 0.3;
-        const bodyHalfExtents = new CANNON.Vec3(droneWidth / 2, droneHeight / 2, droneDepth / 2);
-        const bodyShape = new CANNON.Box(bodyHalfExtents);
-
-        const body = new CANNON.Body({
-            mass: config.DRONE_MASS, // <<< Use user-configurable mass
-            position: new CANNON.Vec3(initialPosition.x, initialPosition.y, initialPosition.z),
-            shape: bodyShape,
-            material: this.engine.physicsEngine.getMaterial('default'),
-            linearDamping: config.DRONE_PHYSICS_SETTINGS.linearDamping, // <<< Use user-configurable damping
-            angularDamping: config.DRONE_PHYSICS_SETTINGS.angularDamping, // <<< Use user-configurable damping
-        });
-
-        // Optional: Provide a more realistic inertia tensor if needed, otherwise CANNON estimates it
-        // body.inertia.set(ixx, 0, 0, 0, iyy, 0, 0, 0, izz); // requires calculation or estimation
-        body.updateMassProperties(); // Calculate inertia based on shape if not manually set
-
-        if (config.DEBUG_MODE) {
-            console.log(`Drone Physics: Mass=${body.mass.toFixed(3)}`);
-            console.log(`Drone Physics: Inertia=`, body.inertia); // CANNON calculates this
-            console.log(`Drone Physics: LinearDamping=${body.linearDamping}, AngularDamping=${body.angularDamping}`); // Log damping
-        }
-        return body;
-    }
-
     // src/simulation/Drone.js
     async initialize(initialPosition = undefined) {
         const config = getCurrentConfig();
@@ -115,15 +83,7 @@ class Drone {
             this.visual = await this.createVisualModel();
             this.visual.position.set(startPos.x, startPos.y, startPos.z);
             this.engine.renderer.addObject(this.visual);
-            this.physicsBody = this.createPhysicsBody(startPos);
-
-            if (this.physicsBody) {
-                this.engine.physicsEngine.addBody(this.physicsBody, this.visual); // Link visual for sync
-                this.flightController = new FlightController(this.physicsBody);
-                this.physicsBody.addEventListener('collide', this.handleCollision.bind(this));
-            } else {
-                console.error("Drone ERROR: Failed to create physics body."); // Keep this
-            }
+            this.initializePhysics(startPos, this.visual); // Body, flight controller, aerodynamics...
 
             // --- FPV Camera Setup ---
             this.fpvCamera = new THREE.PerspectiveCamera(
@@ -159,43 +119,20 @@ class Drone {
         }
     }
 
-    handleCollision(event) {
-        const config = getCurrentConfig();
-        const contact = event.contact;
-
-        // Calculate relative velocity at the contact point (approximation)
-        const v1 = contact.bi.velocity; // Drone body velocity
-        const v2 = contact.bj.velocity; // Other body velocity (often 0 for static)
-        const relativeVelocity = v1.vsub(v2); // v1 - v2
-        const impactSpeed = relativeVelocity.length();
-
-        // Determine collision intensity (adjust threshold as needed)
-        const intensityThreshold = 1.5; // Minimum impact speed to trigger shake
-        const maxIntensitySpeed = 15.0; // Speed at which shake is maximum
-        let shakeIntensity = 0;
-
-        if (impactSpeed > intensityThreshold) {
-            shakeIntensity = Math.min(1.0, (impactSpeed - intensityThreshold) / (maxIntensitySpeed - intensityThreshold));
-            if (config.DEBUG_MODE) {
-                // console.log(`Drone Collision Detected! Impact Speed: ${impactSpeed.toFixed(2)}, Shake Intensity: ${shakeIntensity.toFixed(2)}`);
-            }
-            // Trigger camera shake via the event bus
-            EventBus.emit(EVENTS.DRONE_COLLISION, { intensity: shakeIntensity });
-        }
-    }
-
     // Optional helper to find propeller meshes by name in the loaded model
     findPropsInModel() {
         const config = getCurrentConfig(); // Get config early if needed
 
         this.propellers = [];
+        this.propellerMotorIndices = [];
         if (this.visual) {
             // Example: Find objects named "Propeller_FL", "Propeller_FR", etc.
             // Adjust these names based on your actual GLTF model structure!
-            const propNames = ['Propeller_FR', 'Propeller_FL', 'Propeller_BR', 'Propeller_BL']; // Adjust names!
+            const propNames = Object.keys(PROPELLER_MOTORS); // Adjust names!
             this.visual.traverse((child) => {
                 if (child.isMesh && propNames.includes(child.name)) {
                     this.propellers.push(child);
+                    this.propellerMotorIndices.push(MOTOR_ORDER.indexOf(PROPELLER_MOTORS[child.name]));
                     if (config.DEBUG_MODE) console.log(`Drone: Found propeller mesh: ${child.name}`);
                 }
             });
@@ -206,23 +143,18 @@ class Drone {
     }
 
     update(deltaTime, controls) {
-        if (!this.physicsBody || !this.flightController) return; // Check FC too
-
-        // Delegate control logic to the FlightController
-        this.flightController.update(deltaTime, controls);
-
-        // Propeller Animation - Base it on FC's armed state and controls thrust
-        const isArmed = this.flightController.armed; // Get armed state from FC
-        if (isArmed && this.physicsBody.mass > 0 && this.propellers.length > 0) {
-            // Spin speed based roughly on thrust input + idle speed
-            const spinSpeed = controls.thrust * 80 + (isArmed ? 15 : 0); // Adjust multipliers
-            this.propellers.forEach(prop => {
-                prop.rotation.y += spinSpeed * deltaTime; // Rotate around local Y axis
-            });
-        } else if (!isArmed && this.propellers.length > 0) {
-            // Optional: Slow down propellers visually when disarmed
-            this.propellers.forEach(prop => {
-                prop.rotation.y *= 0.95; // Apply damping to rotation
+        super.update(deltaTime, controls);
+        if (!this.flightController) return;
+
+        // Propeller Animation - Driven by each motor's simulated RPM (spins up/down with the motor model)
+        if (this.propellers.length > 0) {
+            const fc = this.flightController;
+            this.propellers.forEach((prop, i) => {
+                const motorIndex = this.propellerMotorIndices[i];
+                prop.visible = this.damageModel.propState(motorIndex) !== 'BROKEN';
+                const rpm = fc.motorRpms[motorIndex] || 0;
+                const spin = (fc.mixer.motors[motorIndex]?.spin || 1) * fc.motorDirection; // Reversed in turtle mode
+                prop.rotation.y += spin * rpm * RPM_TO_RAD_PER_SEC * PROPELLER_VISUAL_SPEED_SCALE * deltaTime; // Rotate around local Y axis
             });
         }
     }
@@ -230,37 +162,13 @@ class Drone {
     applyConfiguration(config) {
         if (!config) return;
         const C = config;
-        let configChanged = false;
-
-        // Apply Physics settings
-        if (this.physicsBody) {
-            let physicsChanged = false;
-            if (this.physicsBody.mass !== C.DRONE_MASS) {
-                this.physicsBody.mass = C.DRONE_MASS;
-                physicsChanged = true;
-            }
-            if (this.physicsBody.linearDamping !== C.DRONE_PHYSICS_SETTINGS.linearDamping) {
-                this.physicsBody.linearDamping = C.DRONE_PHYSICS_SETTINGS.linearDamping;
-                physicsChanged = true;
-            }
-            if (this.physicsBody.angularDamping !== C.DRONE_PHYSICS_SETTINGS.angularDamping) {
-                this.physicsBody.angularDamping = C.DRONE_PHYSICS_SETTINGS.angularDamping;
-                physicsChanged = true;
-            }
-            if (physicsChanged) {
-                this.physicsBody.updateMassProperties(); // Recalculate inertia if mass/shape potentially changes
-                if(C.DEBUG_MODE) console.log("Drone: Applied physics config changes (Mass/Damping). Recalculated mass props.");
-                configChanged = true;
-            }
-        }
+        super.applyConfiguration(config); // Physics and flight controller
 
         // Apply Camera settings
         if (this.fpvCamera) {
-            let cameraChanged = false;
             if (this.fpvCamera.fov !== C.FPV_CAMERA_FOV) {
                 this.fpvCamera.fov = C.FPV_CAMERA_FOV;
                 this.fpvCamera.updateProjectionMatrix(); // IMPORTANT! Apply FOV change
-                cameraChanged = true;
                 if(C.DEBUG_MODE) console.log("Drone: Applied FPV Camera FOV change.");
             }
 
@@ -269,107 +177,25 @@ class Drone {
             if (this.fpvCamera.rotation.x !== targetAngleRad) {
                 // Set the LOCAL X-axis rotation of the camera relative to the drone body
                 this.fpvCamera.rotation.set(targetAngleRad, 0, 0, 'YXZ'); // Use Euler order if needed
-                cameraChanged = true;
                 if(C.DEBUG_MODE) console.log(`Drone: Applied FPV Camera Angle: ${C.FPV_CAMERA_ANGLE_DEG} deg`);
             }
             // <<< END NEW >>>
-
-            if (cameraChanged) configChanged = true;
-        }
-
-        // Apply Flight Controller settings
-        if (this.flightController) {
-            this.flightController.applyConfiguration(config); // Pass the whole config
-            if (C.DEBUG_MODE) console.log("Drone: Applied config to FlightController.");
-            configChanged = true; // Assume FC config might change
-        } else if (C.DEBUG_MODE) {
-            console.warn("Drone.applyConfiguration: FlightController not initialized yet.");
-        }
-
-        // Log if any configuration actually changed
-        if (configChanged && C.DEBUG_MODE) {
-            // console.log("Drone: Configuration successfully applied.");
-        }
-    }
-
-
-    arm() {
-        if (this.flightController) {
-            this.flightController.setArmed(true);
-        } else if (getCurrentConfig().DEBUG_MODE) {
-            console.warn("Drone: Cannot arm, FlightController not initialized.");
-        }
-        // Don't log here, FC logs internally
-    }
-
-    disarm() {
-        if (this.flightController) {
-            this.flightController.setArmed(false);
-        } else if (getCurrentConfig().DEBUG_MODE) {
-            console.warn("Drone: Cannot disarm, FlightController not initialized.");
         }
-        // Don't log here, FC logs internally
     }
 
     get FPVCamera() {
         return this.fpvCamera;
     }
 
-    // Get relevant state for UI Manager
-    getState() {
-        if (!this.physicsBody) return null;
-
-        const config = getCurrentConfig();
-        const speed = this.physicsBody.velocity.length();
-
-        // Calculate Euler angles from quaternion (ensure correct order 'YXZ' common for FPS/Vehicles)
-        euler.setFromQuaternion(this.physicsBody.quaternion, 'YXZ'); // Store in reused euler object
-        const pitchDeg = THREE.MathUtils.radToDeg(euler.x); // Pitch around X
-        const yawDeg = THREE.MathUtils.radToDeg(euler.y);   // Yaw around Y
-        const rollDeg = THREE.MathUtils.radToDeg(euler.z);  // Roll around Z
-
-        return {
-            position: this.physicsBody.position.clone(),
-            velocity: this.physicsBody.velocity.clone(),
-            quaternion: this.physicsBody.quaternion.clone(),
-            armed: this.flightController ? this.flightController.armed : false, // <<<< Get from FC
-            speed: speed,
-            altitude: this.physicsBody.position.y,
-            euler: { // Return degrees, common for display
-                roll: rollDeg,
-                pitch: pitchDeg,
-                yaw: yawDeg,
-            }
-        };
-    }
-
     reset(position = undefined) {
         if (!this.physicsBody || !this.visual) return;
-
-        const config = getCurrentConfig();
-        const resetPos = position || config.DRONE_START_POSITION;
-
-        this.disarm(); // Ensure drone is disarmed on reset
-
-        // Reset Physics State using the provided or config position
-        this.physicsBody.position.set(resetPos.x, resetPos.y, resetPos.z);
-        this.physicsBody.velocity.set(0, 0, 0);
-        this.physicsBody.angularVelocity.set(0, 0, 0);
-        this.physicsBody.quaternion.setFromEuler(0, 0, 0); // Reset orientation
-        this.physicsBody.force.set(0, 0, 0);
-        this.physicsBody.torque.set(0, 0, 0);
-        this.physicsBody.sleepState = 0; // Explicitly wake up the body
-        this.physicsBody.wakeUp(); // Ensure body is awake after reset
+        super.reset(position);
 
         // Reset Visual State Immediately to match physics
         this.visual.position.copy(this.physicsBody.position);
         this.visual.quaternion.copy(this.physicsBody.quaternion);
-
-        // Reset Flight Controller internal state (like PID integrals)
-        this.flightController?.reset(); // Call FC's reset method if it exists
-
-        if (config.DEBUG_MODE) console.log(`Drone Reset to position: (${resetPos.x.toFixed(2)}, ${resetPos.y.toFixed(2)}, ${resetPos.z.toFixed(2)})`);
+        this.propellers.forEach(prop => { prop.visible = true; });
     }
 }
 
-export default Drone;
\ No newline at end of file
+export default Drone;
@@ -0,0 +1,395 @@
+// src/simulation/DronePhysics.js
+import * as CANNON from 'cannon-es';
+import {getCurrentConfig} from "../config/ConfigManager.js";
+import FlightController from './FlightController.js';
+import Aerodynamics from './Aerodynamics.js';
+import GroundEffect from './GroundEffect.js';
+import Propwash from './Propwash.js';
+import DamageModel from './DamageModel.js';
+import { resolveEnvironment } from './Atmosphere.js';
+import { computeFrameProperties } from './FrameGeometry.js';
+import EventBus, {EVENTS} from "../utils/EventBus.js";
+import { clamp } from '../utils/Utils.js';
+
+// Reuse Vec3 instances for torque calculations to reduce garbage collection
+const windSample = new CANNON.Vec3();
+const airVelocity = new CANNON.Vec3();
+const localContactPoint = new CANNON.Vec3();
+const BODY_UP = new CANNON.Vec3(0, 1, 0);
+const worldUp = new CANNON.Vec3();
+const centerOfGravityShift = new CANNON.Vec3();
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Euler angles (rad) of a quaternion in 'YXZ' order (yaw, then pitch, then roll), the same ones three.js gives
+export function toEulerYXZ({ x, y, z, w }) {
+    const m13 = 2 * (x * z + w * y), m23 = 2 * (y * z - w * x), m33 = 1 - 2 * (x * x + y * y);
+    const pitch = Math.asin(-clamp(m23, -1, 1));
+    if (Math.abs(m23) < 0.9999999) {
+        return { pitch, yaw: Math.atan2(m13, m33), roll: Math.atan2(2 * (x * y + w * z), 1 - 2 * (x * x + z * z)) };
+    }
+    return { pitch, yaw: Math.atan2(-2 * (x * z - w * y), 1 - 2 * (y * y + z * z)), roll: 0 }; // Straight up or down
+}
+
+/**
+ * The flying part of the drone: physics body built from the frame geometry, flight controller, aerodynamics, ground
+ * effect, propwash and crash damage. It has no three.js, so a headless engine (Node) can fly it; Drone adds the model,
+ * FPV camera and spinning props on top.
+ */
+class DronePhysics {
+    constructor(engine) {
+        const config = getCurrentConfig(); // Get config early if needed
+        this.engine = engine; // Reference to the engine: physicsEngine, world, random
+        this.physicsBody = null;
+        this.flightController = null; // <<<< ADD reference
+        this.aerodynamics = null;
+        this.groundEffect = null;
+        this.propwash = null;
+        this.damageModel = null;
+        this.pendingImpact = null; // Hardest contact(s) since the last update: { speed, point (body frame), contacts }
+        this.frame = null; // Mass model from FrameGeometry: mass, center of gravity, inertia, wheelbase...
+        this.frameKey = null; // Settings the frame was built from, to rebuild it only when they change
+
+        if (config.DEBUG_MODE) {
+            console.log('DronePhysics: Initialized');
+        }
+    }
+
+    createPhysicsBody(initialPosition) {
+        const config = getCurrentConfig(); // Get current config for physics settings
+        if (!this.engine.physicsEngine.getMaterial) {
+            console.error("Drone: CANNON or Physics materials not available.");
+            return null;
+        }
+        const body = new CANNON.Body({
+            mass: config.DRONE_MASS, // <<< Use user-configurable mass
+            position: new CANNON.Vec3(initialPosition.x, initialPosition.y, initialPosition.z),
+            material: this.engine.physicsEngine.getMaterial('default'),
+            linearDamping: config.DRONE_PHYSICS_SETTINGS.linearDamping, // <<< Use user-configurable damping
+            angularDamping: config.DRONE_PHYSICS_SETTINGS.angularDamping, // <<< Use user-configurable damping
+        });
+
+        this._applyFrame(body, config); // Collision shapes, mass and inertia from the frame geometry
+
+        if (config.DEBUG_MODE) {
+            console.log(`Drone Physics: Mass=${body.mass.toFixed(3)}, CG=`, this.frame.centerOfGravity);
+            console.log(`Drone Physics: Inertia=`, body.inertia);
+            console.log(`Drone Physics: LinearDamping=${body.linearDamping}, AngularDamping=${body.angularDamping}`); // Log damping
+        }
+        return body;
+    }
+
+    // Frame key: the settings FrameGeometry builds the mass model from
+    _frameKeyFor(config) {
+        return JSON.stringify([config.DRONE_MASS, config.DRONE_FRAME, config.DRONE_MOTOR_SETTINGS.layout, config.DRONE_AIRFLOW_SETTINGS.propRadius]);
+    }
+
+    // Rebuilds the collision shapes around the center of gravity (cannon's body origin) and sets mass and inertia
+    // from the frame geometry, instead of cannon's estimate for the shapes
+    _applyFrame(body, config) {
+        this.frame = computeFrameProperties(config);
+        this.frameKey = this._frameKeyFor(config);
+        const cg = this.frame.centerOfGravity;
+
+        while (body.shapes.length > 0) body.removeShape(body.shapes[0]);
+        this.frame.shapes.forEach(({ shape, offset, orientation }) => {
+            body.addShape(shape, new CANNON.Vec3(offset.x - cg.x, offset.y - cg.y, offset.z - cg.z), orientation);
+        });
+
+        body.mass = this.frame.mass;
+        body.updateMassProperties(); // Updates invMass (and the shape inertia, replaced below)
+        const { x, y, z } = this.frame.inertia;
+        body.inertia.set(x, y, z);
+        body.invInertia.set(x > 0 ? 1 / x : 0, y > 0 ? 1 / y : 0, z > 0 ? 1 / z : 0);
+        body.updateInertiaWorld(true);
+    }
+
+    // Motor forces act around the CG, drag at the geometric center
+    _applyCenterOfGravity() {
+        const cg = this.frame.centerOfGravity;
+        this.flightController?.setCenterOfGravity(cg);
+        this.aerodynamics?.setCenterOfPressure({ x: -cg.x, y: -cg.y, z: -cg.z });
+    }
+
+    async initialize(initialPosition = undefined) {
+        const config = getCurrentConfig();
+        this.initializePhysics(initialPosition || config.DRONE_START_POSITION);
+        this.applyConfiguration(config);
+    }
+
+    /**
+     * Creates the physics body and everything acting on it, and adds the body to the physics world.
+     * @param {{x: number, y: number, z: number}} startPos
+     * @param {object|null} visual Object3D the physics engine keeps in sync with the body (none when headless).
+     */
+    initializePhysics(startPos, visual = null) {
+        const config = getCurrentConfig();
+        this.physicsBody = this.createPhysicsBody(startPos);
+
+        if (this.physicsBody) {
+            this.engine.physicsEngine.addBody(this.physicsBody, visual); // Link visual for sync
+            this.flightController = new FlightController(this.physicsBody, this.engine.random);
+            // Motor forces and drag act on every physics step (cannon clears forces after each one)
+            const { airDensity } = resolveEnvironment(config.ENVIRONMENT_SETTINGS);
+            this.aerodynamics = new Aerodynamics(this.physicsBody, config.DRONE_PHYSICS_SETTINGS, airDensity, this.engine.world?.windField);
+            this.engine.physicsEngine.world.addEventListener('preStep', () => {
+                this.flightController.applyMotorForces();
+                this.aerodynamics.apply();
+            });
+            const motors = this.flightController.mixer.motors;
+            this.groundEffect = new GroundEffect(this.physicsBody, config.DRONE_AIRFLOW_SETTINGS, this.engine.world?.generator?.terrainBody, motors);
+            this.propwash = new Propwash(this.physicsBody, config.DRONE_AIRFLOW_SETTINGS, airDensity, motors.length, this.engine.random);
+            this.damageModel = new DamageModel(config.DRONE_DAMAGE_SETTINGS, motors);
+            this.physicsBody.addEventListener('collide', this.handleCollision.bind(this));
+            this._applyCenterOfGravity();
+        } else {
+            console.error("DronePhysics ERROR: Failed to create physics body."); // Keep this
+        }
+    }
+
+    handleCollision(event) {
+        const config = getCurrentConfig();
+        const contact = event.contact;
+
+        // Calculate relative velocity at the contact point (approximation)
+        const v1 = contact.bi.velocity; // Drone body velocity
+        const v2 = contact.bj.velocity; // Other body velocity (often 0 for static)
+        const relativeVelocity = v1.vsub(v2); // v1 - v2
+        const impactSpeed = relativeVelocity.length();
+
+        // Determine collision intensity (adjust threshold as needed)
+        const intensityThreshold = 1.5; // Minimum impact speed to trigger shake
+        const maxIntensitySpeed = 15.0; // Speed at which shake is maximum
+        let shakeIntensity = 0;
+
+        if (impactSpeed > intensityThreshold) {
+            shakeIntensity = Math.min(1.0, (impactSpeed - intensityThreshold) / (maxIntensitySpeed - intensityThreshold));
+            if (config.DEBUG_MODE) {
+                // console.log(`Drone Collision Detected! Impact Speed: ${impactSpeed.toFixed(2)}, Shake Intensity: ${shakeIntensity.toFixed(2)}`);
+            }
+            // Trigger camera shake via the event bus, with what was hit (SURFACE_MATERIALS key) for sounds and effects
+            const surface = event.body.material?.name ?? 'default';
+            EventBus.emit(EVENTS.DRONE_COLLISION, { intensity: shakeIntensity, surface });
+        }
+
+        // Damage only counts the speed into the surface (sliding along it doesn't break props).
+        // A hit usually produces several contacts (e.g. all four corners on a flat landing), so the hardest ones are
+        // merged into one impact at their average point and applied once in update().
+        const normalSpeed = Math.max(0, relativeVelocity.dot(contact.ni)); // ni points from bi to bj
+        const pending = this.pendingImpact;
+        if (normalSpeed <= 0 || (pending && normalSpeed < pending.speed * 0.9)) return;
+
+        const contactOffset = contact.bi === this.physicsBody ? contact.ri : contact.rj; // From the drone's center, world axes
+        this.physicsBody.vectorToLocalFrame(contactOffset, localContactPoint);
+        localContactPoint.vadd(this.frame.centerOfGravity, localContactPoint); // Damage works on the motor layout, not CG-relative
+        if (!pending || normalSpeed > pending.speed * 1.1) {
+            this.pendingImpact = { speed: normalSpeed, point: { x: localContactPoint.x, z: localContactPoint.z }, contacts: 1 };
+        } else {
+            pending.contacts++;
+            pending.point.x += (localContactPoint.x - pending.point.x) / pending.contacts;
+            pending.point.z += (localContactPoint.z - pending.point.z) / pending.contacts;
+            pending.speed = Math.max(pending.speed, normalSpeed);
+        }
+    }
+
+    _processImpact() {
+        if (!this.pendingImpact) return;
+        const { speed, point } = this.pendingImpact;
+        this.pendingImpact = null;
+        const crashed = this.damageModel.registerImpact(speed, point);
+        if (crashed && this.flightController.armed) {
+            this.disarm(); // Crash-disarm
+            if (getCurrentConfig().DEBUG_MODE) console.log(`DronePhysics: Crash detected (${speed.toFixed(1)} m/s impact), disarmed.`);
+        }
+    }
+
+    update(deltaTime, controls) {
+        if (!this.physicsBody || !this.flightController) return; // Check FC too
+
+        this._processImpact();
+
+        // Ground effect, propwash and prop damage change how much thrust each prop actually makes
+        this._updateThrustFactors(deltaTime);
+
+        // Delegate control logic to the FlightController
+        this.flightController.update(deltaTime, controls);
+    }
+
+    _updateThrustFactors(deltaTime) {
+        const fc = this.flightController;
+        const groundFactors = this.groundEffect.update(fc.motorPoints);
+
+        const windField = this.engine.world?.windField;
+        if (windField) {
+            windField.sample(this.physicsBody.position, windSample);
+            this.physicsBody.velocity.vsub(windSample, airVelocity);
+        } else {
+            airVelocity.copy(this.physicsBody.velocity);
+        }
+        const washFactors = this.propwash.update(deltaTime, airVelocity, fc.motorThrusts);
+
+        const damageFactors = this.damageModel.thrustFactors;
+
+        for (let i = 0; i < fc.thrustFactors.length; i++) {
+            fc.thrustFactors[i] = groundFactors[i] * washFactors[i] * damageFactors[i];
+        }
+        fc.imu.setMotorImbalance(this.damageModel.vibration); // Bent props shake the frame
+    }
+
+    applyConfiguration(config) {
+        if (!config) return;
+        const C = config;
+
+        // Apply Physics settings
+        if (this.physicsBody) {
+            let physicsChanged = false;
+            if (this.frameKey !== this._frameKeyFor(C)) {
+                // Move the body so the frame stays where it is while its CG shifts
+                const previousCg = this.frame.centerOfGravity;
+                this._applyFrame(this.physicsBody, C);
+                const cg = this.frame.centerOfGravity;
+                centerOfGravityShift.set(cg.x - previousCg.x, cg.y - previousCg.y, cg.z - previousCg.z);
+                this.physicsBody.vectorToWorldFrame(centerOfGravityShift, centerOfGravityShift);
+                this.physicsBody.position.vadd(centerOfGravityShift, this.physicsBody.position);
+                physicsChanged = true;
+            }
+            if (this.physicsBody.linearDamping !== C.DRONE_PHYSICS_SETTINGS.linearDamping) {
+                this.physicsBody.linearDamping = C.DRONE_PHYSICS_SETTINGS.linearDamping;
+                physicsChanged = true;
+            }
+            if (this.physicsBody.angularDamping !== C.DRONE_PHYSICS_SETTINGS.angularDamping) {
+                this.physicsBody.angularDamping = C.DRONE_PHYSICS_SETTINGS.angularDamping;
+                physicsChanged = true;
+            }
+            const { airDensity } = resolveEnvironment(C.ENVIRONMENT_SETTINGS);
+            this.aerodynamics?.applyConfiguration(C.DRONE_PHYSICS_SETTINGS, airDensity);
+            this.propwash?.applyConfiguration(C.DRONE_AIRFLOW_SETTINGS, airDensity);
+            if (physicsChanged && C.DEBUG_MODE) {
+                console.log("DronePhysics: Applied physics config changes (Frame/Mass/Inertia/Damping).");
+            }
+        }
+
+        // Apply Flight Controller settings
+        if (this.flightController) {
+            this.flightController.applyConfiguration(config); // Pass the whole config
+            this._applyCenterOfGravity();
+            this.groundEffect?.applyConfiguration(C.DRONE_AIRFLOW_SETTINGS, this.flightController.mixer.motors); // Layout may have changed
+            this.damageModel?.applyConfiguration(C.DRONE_DAMAGE_SETTINGS, this.flightController.mixer.motors);
+            if (C.DEBUG_MODE) console.log("DronePhysics: Applied config to FlightController.");
+        } else if (C.DEBUG_MODE) {
+            console.warn("DronePhysics.applyConfiguration: FlightController not initialized yet.");
+        }
+    }
+
+    arm() {
+        if (this.flightController) {
+            if (this.flightController.turtleMode) this.damageModel?.clearCrash(); // Flipping over is how a crash is recovered
+            this.flightController.setArmed(true);
+        } else if (getCurrentConfig().DEBUG_MODE) {
+            console.warn("Drone: Cannot arm, FlightController not initialized.");
+        }
+        // Don't log here, FC logs internally
+    }
+
+    disarm() {
+        if (this.flightController) {
+            this.flightController.setArmed(false);
+        } else if (getCurrentConfig().DEBUG_MODE) {
+            console.warn("Drone: Cannot disarm, FlightController not initialized.");
+        }
+        // Don't log here, FC logs internally
+    }
+
+    // Angle between the drone's up axis and vertical (deg), for the arming angle check
+    get tiltAngle() {
+        if (!this.physicsBody) return 0;
+        this.physicsBody.quaternion.vmult(BODY_UP, worldUp);
+        return Math.acos(clamp(worldUp.y, -1, 1)) * RAD_TO_DEG;
+    }
+
+    // Get relevant state for UI Manager
+    getState() {
+        if (!this.physicsBody) return null;
+
+        const config = getCurrentConfig();
+        const speed = this.physicsBody.velocity.length();
+
+        // Calculate Euler angles from quaternion (order 'YXZ', common for FPS/Vehicles)
+        const euler = toEulerYXZ(this.physicsBody.quaternion);
+        const pitchDeg = euler.pitch * RAD_TO_DEG; // Pitch around X
+        const yawDeg = euler.yaw * RAD_TO_DEG;     // Yaw around Y
+        const rollDeg = euler.roll * RAD_TO_DEG;   // Roll around Z
+
+        const windField = this.engine.world?.windField;
+        if (windField) windField.sample(this.physicsBody.position, windSample);
+
+        return {
+            position: this.physicsBody.position.clone(),
+            velocity: this.physicsBody.velocity.clone(),
+            quaternion: this.physicsBody.quaternion.clone(),
+            armed: this.flightController ? this.flightController.armed : false, // <<<< Get from FC
+            flightMode: this.flightController ? this.flightController.flightMode : null, // 'RATE', 'ANGLE' or 'HORIZON'
+            turtleMode: this.flightController ? this.flightController.turtleMode : false, // Flip over after crash selected
+            motors: this.flightController ? [...this.flightController.motorOutputs] : [], // Per-motor outputs (0-1), Betaflight order
+            motorThrusts: this.flightController ? [...this.flightController.motorThrusts] : [], // Newtons
+            motorRpms: this.flightController ? [...this.flightController.motorRpms] : [],
+            battery: this.flightController ? { // Pack voltage under load (V), current (A) and consumed capacity (mAh)
+                voltage: this.flightController.battery.voltage,
+                cellVoltage: this.flightController.battery.cellVoltage,
+                current: this.flightController.battery.current,
+                mAhUsed: this.flightController.battery.mAhUsed,
+                depleted: this.flightController.battery.depleted,
+            } : null,
+            damage: this.damageModel ? { // Crash flag and per-prop damage (MOTOR_ORDER)
+                crashed: this.damageModel.crashed,
+                props: this.damageModel.propDamage.map((_, i) => this.damageModel.propState(i)), // 'OK', 'BENT' or 'BROKEN'
+                propDamage: [...this.damageModel.propDamage], // 0 (intact) to 1 (broken)
+                lastImpactSpeed: this.damageModel.lastImpactSpeed, // m/s
+            } : null,
+            wind: windField ? { // Wind at the drone (m/s, world frame)
+                x: windSample.x,
+                y: windSample.y,
+                z: windSample.z,
+                speed: windSample.length(),
+            } : null,
+            speed: speed,
+            altitude: this.physicsBody.position.y,
+            euler: { // Return degrees, common for display
+                roll: rollDeg,
+                pitch: pitchDeg,
+                yaw: yawDeg,
+            }
+        };
+    }
+
+    reset(position = undefined) {
+        if (!this.physicsBody) return;
+
+        const config = getCurrentConfig();
+        const resetPos = position || config.DRONE_START_POSITION;
+
+        this.disarm(); // Ensure drone is disarmed on reset
+
+        // Reset Physics State using the provided or config position
+        this.physicsBody.position.set(resetPos.x, resetPos.y, resetPos.z);
+        this.physicsBody.velocity.set(0, 0, 0);
+        this.physicsBody.angularVelocity.set(0, 0, 0);
+        this.physicsBody.quaternion.setFromEuler(0, 0, 0); // Reset orientation
+        this.physicsBody.updateInertiaWorld(true); // cannon only refreshes the world inertia after a step, the first one would use the crash attitude's
+        this.physicsBody.previousPosition.copy(this.physicsBody.position);
+        this.physicsBody.force.set(0, 0, 0);
+        this.physicsBody.torque.set(0, 0, 0);
+        this.physicsBody.sleepState = 0; // Explicitly wake up the body
+        this.physicsBody.wakeUp(); // Ensure body is awake after reset
+        this.engine.physicsEngine.resetInterpolation(this.physicsBody);
+
+        // Reset Flight Controller internal state (like PID integrals)
+        this.flightController?.reset(); // Call FC's reset method if it exists
+        this.propwash?.reset();
+        this.damageModel?.reset(); // Fresh props
+        this.pendingImpact = null;
+
+        if (config.DEBUG_MODE) console.log(`Drone Reset to position: (${resetPos.x.toFixed(2)}, ${resetPos.y.toFixed(2)}, ${resetPos.z.toFixed(2)})`);
+    }
+}
+
+export default DronePhysics;
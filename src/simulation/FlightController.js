@@ -1,40 +1,84 @@
 // src/FlightController.js
 import * as CANNON from 'cannon-es';
 import { getCurrentConfig } from '../config/ConfigManager.js';
-import { clamp } from '../utils/Utils.js'; // Assuming clamp is in Utils
-
-// Simple PID Controller Implementation
+import { clamp, lerp } from '../utils/Utils.js'; // Assuming clamp is in Utils
+import MotorMixer from './MotorMixer.js';
+import Motor from './Motor.js';
+import Battery from './Battery.js';
+import { calculateRate, calculateMaxRate } from './RateCurves.js';
+import { PT1Filter, createLowpassFilter } from '../utils/Filters.js';
+import IMU from './IMU.js';
+import GyroFilterChain from './GyroFilters.js';
+import { resolveEnvironment } from './Atmosphere.js';
+
+// PID Controller (Betaflight-style)
+// P acts on the error, D on the measurement only (no derivative kick when the stick moves),
+// plus optional feedforward from the setpoint rate of change, a D-term lowpass, TPA scaling and I-term relax.
 class PIDController {
     constructor(kp, ki, kd, iLimit = 1.0, outputLimit = 1.0) {
         this.kp = kp; // Proportional gain
         this.ki = ki; // Integral gain
         this.kd = kd; // Derivative gain
+        this.kf = 0;  // Feedforward gain
 
         this.iLimit = iLimit;         // Limit for the integral term
         this.outputLimit = outputLimit; // Limit for the total output
 
+        this.dTermFilter = new PT1Filter(0);       // Lowpass on the D-term (cutoff 0 = off)
+        this.dTermFilterType = 'PT1';
+        this.feedforwardFilter = new PT1Filter(0); // Smoothing for the setpoint derivative
+        this.relaxFilter = null;                   // Setpoint lowpass for I-term relax (null = relax off)
+        this.relaxThreshold = 0;
+
         this.integral = 0;
-        this.previousError = 0;
-        this.previousTime = null;
+        this.previousMeasurement = null;
+        this.previousSetpoint = null;
+        this.terms = { p: 0, i: 0, d: 0, f: 0 }; // Last computed terms (for tuning displays and logs)
     }
 
-    update(target, current, deltaTime) {
+    /**
+     * @param {number} target Setpoint (rad/s).
+     * @param {number} current Measured rate (rad/s).
+     * @param {number} deltaTime Time step (s).
+     * @param {number} pAttenuation TPA factor for P (1 = full gain).
+     * @param {number} dAttenuation TPA factor for D.
+     * @returns {number} Clamped PID sum.
+     */
+    update(target, current, deltaTime, pAttenuation = 1, dAttenuation = 1) {
         if (deltaTime <= 0) return 0; // Prevent division by zero or weirdness
 
         const error = target - current;
 
+        // I-term relax: while the setpoint moves quickly (large high-passed setpoint) stop accumulating I,
+        // so it doesn't wind up during flips and rolls and bounce back afterwards
+        let relaxFactor = 1;
+        if (this.relaxFilter) {
+            const setpointHighPass = Math.abs(target - this.relaxFilter.apply(target, deltaTime));
+            relaxFactor = Math.max(0, 1 - setpointHighPass / this.relaxThreshold);
+        }
+
         // Integral term (with anti-windup)
-        this.integral += error * deltaTime;
+        this.integral += error * relaxFactor * deltaTime;
         this.integral = clamp(this.integral, -this.iLimit, this.iLimit);
 
-        // Derivative term (using change in error)
-        const derivative = (error - this.previousError) / deltaTime;
+        // Derivative term on measurement, then lowpass filtered (D amplifies noise)
+        const measurementDelta = this.previousMeasurement === null ? 0 : (current - this.previousMeasurement) / deltaTime;
+        const derivative = this.dTermFilter.apply(-measurementDelta, deltaTime);
 
-        // Calculate PID output
-        const output = (this.kp * error) + (this.ki * this.integral) + (this.kd * derivative);
+        // Feedforward from how fast the setpoint is changing, smoothed to tame stick steps
+        const setpointDelta = this.previousSetpoint === null ? 0 : (target - this.previousSetpoint) / deltaTime;
+        const feedforward = this.feedforwardFilter.apply(setpointDelta, deltaTime);
 
         // Store values for next iteration
-        this.previousError = error;
+        this.previousMeasurement = current;
+        this.previousSetpoint = target;
+
+        // Calculate PID output
+        this.terms.p = this.kp * error * pAttenuation;
+        this.terms.i = this.ki * this.integral;
+        this.terms.d = this.kd * derivative * dAttenuation;
+        this.terms.f = this.kf * feedforward;
+        const output = this.terms.p + this.terms.i + this.terms.d + this.terms.f;
 
         // Clamp output
         return clamp(output, -this.outputLimit, this.outputLimit);
@@ -42,8 +86,12 @@ class PIDController {
 
     reset() {
         this.integral = 0;
-        this.previousError = 0;
-        this.previousTime = null; // Ensure dt is calculated fresh on next update
+        this.previousMeasurement = null;
+        this.previousSetpoint = null;
+        this.dTermFilter.reset();
+        this.feedforwardFilter.reset();
+        this.relaxFilter?.reset();
+        this.terms = { p: 0, i: 0, d: 0, f: 0 };
     }
 
     setGains(kp, ki, kd) {
@@ -51,35 +99,103 @@ class PIDController {
         this.ki = ki;
         this.kd = kd;
     }
+
+    // Only rebuilds the filter when its type changes, so retuning the cutoff keeps the filter state
+    setDTermFilter(type, cutoffHz) {
+        if (type !== this.dTermFilterType) {
+            this.dTermFilter = createLowpassFilter(type, cutoffHz);
+            this.dTermFilterType = type;
+        } else if (type === 'BIQUAD') {
+            this.dTermFilter.setCenter(cutoffHz);
+        } else {
+            this.dTermFilter.setCutoff(cutoffHz);
+        }
+    }
+
+    setFeedforward(kf, smoothingCutoffHz) {
+        this.kf = kf;
+        this.feedforwardFilter.setCutoff(smoothingCutoffHz);
+    }
+
+    // thresholdRad: high-passed setpoint (rad/s) at which I accumulation stops completely
+    setItermRelax(enabled, cutoffHz, thresholdRad) {
+        if (!enabled) {
+            this.relaxFilter = null;
+            return;
+        }
+        if (!this.relaxFilter) this.relaxFilter = new PT1Filter(cutoffHz);
+        this.relaxFilter.setCutoff(cutoffHz);
+        this.relaxThreshold = thresholdRad;
+    }
 }
 
 
 // --- Flight Controller Class ---
-const thrustForceVec = new CANNON.Vec3(); // Reusable vector for thrust
+// Available flight modes, in the order they are cycled through
+export const FLIGHT_MODES = ['RATE', 'ANGLE', 'HORIZON'];
+
+const DEG_TO_RAD = Math.PI / 180;
+const ITERM_RELAX_SETPOINT_THRESHOLD = 30 * DEG_TO_RAD; // Betaflight's fixed I-term relax threshold (30 deg/s)
+const TURTLE_STICK_MIN = 0.15;                  // Stick deflection below this doesn't spin anything in turtle mode
+const TURTLE_DIAGONAL_COS = Math.sqrt(3) / 2;   // Sticks within 30° of a diagonal flip over one motor (corner)
+const TURTLE_MOTOR_DEADBAND = 0.01;             // Turtle outputs below this stop the motor instead of idling it
+const WORLD_UP = new CANNON.Vec3(0, 1, 0);
+const localUp = new CANNON.Vec3();       // Reusable vector for the world up direction seen from the drone
+const motorForceVec = new CANNON.Vec3(); // Reusable vector for per-motor thrust
+const localTorque = new CANNON.Vec3();   // Reusable vector for local (prop drag) torque
 const worldTorque = new CANNON.Vec3();   // Reusable vector for world torque
 
 class FlightController {
-    constructor(droneBody) {
+    /**
+     * @param {CANNON.Body} droneBody Drone body.
+     * @param {function(): number} random Uniform [0, 1) generator for the gyro noise (the simulation's seeded one).
+     */
+    constructor(droneBody, random = Math.random) {
         this.body = droneBody;
         this.armed = false;
-        this.flightMode = 'RATE'; // Start with RATE mode
 
         const config = getCurrentConfig();
         const pidConfig = config.FLIGHT_CONTROLLER_SETTINGS.PID;
-        const rateLimits = config.FLIGHT_CONTROLLER_SETTINGS.RATE_LIMITS; // Degrees per second
-        this.maxRatesRad = { // Convert to radians per second
-            roll: rateLimits.roll * Math.PI / 180,
-            pitch: rateLimits.pitch * Math.PI / 180,
-            yaw: rateLimits.yaw * Math.PI / 180,
-        };
-
-        // Output limits should roughly correspond to max possible torque from multipliers
-        const torqueLimits = config.DRONE_CONTROL_MULTIPLIERS; // Use these as a starting point
-
-        // Initialize PID controllers
-        this.pidRollRate = new PIDController(pidConfig.roll.kp, pidConfig.roll.ki, pidConfig.roll.kd, pidConfig.iLimit, torqueLimits.ROLL_TORQUE);
-        this.pidPitchRate = new PIDController(pidConfig.pitch.kp, pidConfig.pitch.ki, pidConfig.pitch.kd, pidConfig.iLimit, torqueLimits.PITCH_TORQUE);
-        this.pidYawRate = new PIDController(pidConfig.yaw.kp, pidConfig.yaw.ki, pidConfig.yaw.kd, pidConfig.iLimit, torqueLimits.YAW_TORQUE);
+        this._applyRates(config.FLIGHT_CONTROLLER_SETTINGS.RATES); // Stick -> rate curves (sets this.rates, this.maxRatesRad)
+
+        // Flight mode - starts in the configured mode, can be switched in flight (see cycleFlightMode)
+        this.configuredFlightMode = config.FLIGHT_CONTROLLER_SETTINGS.FLIGHT_MODE;
+        this.flightMode = FLIGHT_MODES.includes(this.configuredFlightMode) ? this.configuredFlightMode : 'RATE';
+        // Turtle mode (flip over after crash) - selected while disarmed, the motors run reversed from the next arming
+        this.turtleMode = false;
+        this.motorDirection = 1; // 1 = normal, -1 = reversed. Latched at arming, like the ESCs' direction command
+        this._applyTurtleSettings(config.FLIGHT_CONTROLLER_SETTINGS.TURTLE);
+        this.attitude = { roll: 0, pitch: 0 }; // Current angles (rad), updated while self-leveling
+        this.setpoints = { roll: 0, pitch: 0, yaw: 0 }; // Last target rates of the rate loop (rad/s, for logs)
+        this._applySelfLevelSettings(config.FLIGHT_CONTROLLER_SETTINGS.SELF_LEVEL);
+
+        // Initialize PID controllers. Outputs are normalized mixer commands, limited like Betaflight's pidsum_limit
+        this.pidRollRate = new PIDController(pidConfig.roll.kp, pidConfig.roll.ki, pidConfig.roll.kd, pidConfig.iLimit, pidConfig.sumLimit);
+        this.pidPitchRate = new PIDController(pidConfig.pitch.kp, pidConfig.pitch.ki, pidConfig.pitch.kd, pidConfig.iLimit, pidConfig.sumLimit);
+        this.pidYawRate = new PIDController(pidConfig.yaw.kp, pidConfig.yaw.ki, pidConfig.yaw.kd, pidConfig.iLimit, pidConfig.sumLimitYaw);
+        this._applyPidFeatures(config.FLIGHT_CONTROLLER_SETTINGS); // D-term filter, feedforward, TPA, I-term relax
+
+        // Motor mixer and per-motor state (Betaflight motor order, see MotorMixer.MOTOR_ORDER)
+        this.motorSettings = config.DRONE_MOTOR_SETTINGS;
+        this.mixer = new MotorMixer(this.motorSettings);
+        this.centerOfGravity = { x: 0, y: 0, z: 0 }; // From the motor layout origin, set by Drone from the frame geometry
+        this._updateMotorPoints();
+        const { airDensity } = resolveEnvironment(config.ENVIRONMENT_SETTINGS); // Prop thrust and torque scale with it
+        this.motors = this.mixer.motors.map(() => new Motor(this.motorSettings, airDensity));
+        this.motorOutputs = new Array(this.mixer.motors.length).fill(0); // Commanded output, 0 to 1
+        this.motorThrusts = new Array(this.mixer.motors.length).fill(0); // Newtons
+        this.motorRpms = new Array(this.mixer.motors.length).fill(0);
+        this.thrustFactors = new Array(this.mixer.motors.length).fill(1); // Airflow effects on each prop (ground effect, propwash), set by Drone
+        this.externalMotorCommands = null; // Outputs from external firmware (SitlBridge), fly in place of the PIDs while set
+
+        // Battery powering the motors - its sagging voltage limits the reachable RPM (and thus thrust)
+        this.battery = new Battery(config.DRONE_BATTERY);
+
+        // Simulated gyro + filter chain - the PID loop only ever sees the filtered gyro, like on a real FC
+        this.imu = new IMU(this.body, config.DRONE_IMU_SETTINGS, this.mixer.motors, random);
+        this.gyroFilters = new GyroFilterChain(config.FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS, this.mixer.motors.length);
+        this.gyroRaw = { x: 0, y: 0, z: 0 };      // rad/s, body axes
+        this.gyroFiltered = { x: 0, y: 0, z: 0 };
 
         if (config.DEBUG_MODE) {
             console.log("FlightController: Initialized with PID gains:", pidConfig);
@@ -89,95 +205,298 @@ class FlightController {
 
     setArmed(isArmed) {
         this.armed = isArmed;
+        if (isArmed) this.motorDirection = this.turtleMode ? -1 : 1;
         if (!isArmed) {
             // Reset PIDs when disarming to prevent integral windup carrying over
             this.pidRollRate.reset();
             this.pidPitchRate.reset();
             this.pidYawRate.reset();
+            this.setpoints = { roll: 0, pitch: 0, yaw: 0 };
         }
         if (getCurrentConfig().DEBUG_MODE) console.log(`FlightController: Armed state set to ${isArmed}`);
     }
 
+    setFlightMode(mode) {
+        if (!FLIGHT_MODES.includes(mode)) {
+            console.warn(`FlightController: Unknown flight mode "${mode}", keeping ${this.flightMode}.`);
+            return;
+        }
+        this.flightMode = mode;
+        if (getCurrentConfig().DEBUG_MODE) console.log(`FlightController: Flight mode set to ${mode}`);
+    }
+
+    /**
+     * Selects turtle mode. Only possible while disarmed, it takes effect when arming.
+     * @param {boolean} enabled
+     * @returns {boolean} Whether turtle mode is now selected.
+     */
+    setTurtleMode(enabled) {
+        if (this.armed) return this.turtleMode;
+        this.turtleMode = enabled;
+        if (getCurrentConfig().DEBUG_MODE) console.log(`FlightController: Turtle mode ${enabled ? 'on' : 'off'}`);
+        return this.turtleMode;
+    }
+
+    // Switches to the next mode in FLIGHT_MODES (RATE -> ANGLE -> HORIZON -> RATE)
+    cycleFlightMode() {
+        const nextIndex = (FLIGHT_MODES.indexOf(this.flightMode) + 1) % FLIGHT_MODES.length;
+        this.setFlightMode(FLIGHT_MODES[nextIndex]);
+        return this.flightMode;
+    }
+
     update(deltaTime, controls) {
         if (!this.body || deltaTime <= 0) return;
 
-        const config = getCurrentConfig();
+        // --- Read Gyro ---
+        // Sampled even while disarmed so the filters are settled at arming
+        this.gyroRaw = { ...this.imu.update(deltaTime, this.motorRpms) };
+        this.gyroFiltered = { ...this.gyroFilters.apply(this.gyroRaw, this.motorRpms, deltaTime) };
+
+        // --- External Firmware (SITL) ---
+        // Its motor commands replace everything below, arming included (the firmware gets the arm switch)
+        if (this.externalMotorCommands) {
+            for (let i = 0; i < this.motorOutputs.length; i++) {
+                this.motorOutputs[i] = clamp(this.externalMotorCommands[i], 0, 1);
+            }
+            this.updateMotors(deltaTime);
+            return;
+        }
 
         // --- Disarmed State ---
         if (!this.armed) {
-            // Apply zero torque if disarmed - physics damping will handle slowdown
-            this.body.torque.set(0, 0, 0); // Ensure no residual torque is applied
-            // Let gravity and damping handle the rest
+            // Motors commanded off - they still spool down, gravity and damping handle the rest
+            this.mixer.reset();
+            this.motorOutputs.fill(0);
+            this.updateMotors(deltaTime);
             return;
         }
 
-        // --- Thrust Application (Directly, Local Y-axis) ---
-        // (Could be refined later with motor model/curve)
-        const maxThrust = config.DRONE_CONTROL_MULTIPLIERS.MAX_THRUST;
-        const currentThrustForce = controls.thrust * maxThrust;
-        thrustForceVec.set(0, currentThrustForce, 0); // Local Y is up
-        this.body.applyLocalForce(thrustForceVec, CANNON.Vec3.ZERO); // Apply at CG
+        // --- Turtle Mode ---
+        // Reversed motors, no PIDs: the sticks drive the motors directly (see _updateTurtleOutputs)
+        if (this.motorDirection < 0) {
+            this._updateTurtleOutputs(controls);
+            this.updateMotors(deltaTime);
+            return;
+        }
 
         // --- Calculate Target Rates ---
-        // Map pilot input (controls.roll/pitch/yaw from -1 to 1) to target angular rates (rad/s)
-        const targetRollRate = controls.roll * this.maxRatesRad.roll;
-        const targetPitchRate = controls.pitch * this.maxRatesRad.pitch; // Positive input = pitch forward = negative pitch rate (nose down)
-        const targetYawRate = controls.yaw * this.maxRatesRad.yaw;     // Positive input = yaw right = negative yaw rate
+        // Map pilot input (controls.roll/pitch/yaw from -1 to 1) through the configured rate curves to target angular rates (rad/s)
+        let targetRollRate = this._stickToRate(controls.roll, 'roll');
+        let targetPitchRate = this._stickToRate(controls.pitch, 'pitch'); // Positive input = pitch forward = negative pitch rate (nose down)
+        const targetYawRate = this._stickToRate(controls.yaw, 'yaw');     // Positive input = yaw right = negative yaw rate
+
+        // --- Self-Level (Angle / Horizon) ---
+        // Outer attitude loop: roll/pitch sticks become target angles, the angle error becomes the target rate
+        if (this.flightMode !== 'RATE') {
+            this._updateAttitude();
+            const levelRollRate = this._levelRate(controls.roll, this.attitude.roll, this.maxRatesRad.roll);
+            const levelPitchRate = this._levelRate(controls.pitch, this.attitude.pitch, this.maxRatesRad.pitch);
+
+            if (this.flightMode === 'ANGLE') {
+                targetRollRate = levelRollRate;
+                targetPitchRate = levelPitchRate;
+            } else {
+                // Horizon: full self-level at center stick, fading out to pure rate control
+                // as stick deflection reaches the transition point (like Betaflight's horizon_transition)
+                const stickDeflection = Math.max(Math.abs(controls.roll), Math.abs(controls.pitch));
+                const levelFactor = this.selfLevel.horizonTransition > 0
+                    ? clamp(1 - stickDeflection / this.selfLevel.horizonTransition, 0, 1)
+                    : 0;
+                targetRollRate = lerp(targetRollRate, levelRollRate, levelFactor);
+                targetPitchRate = lerp(targetPitchRate, levelPitchRate, levelFactor);
+            }
+        }
 
         // --- Get Current Rates ---
-        // Get angular velocity in the body's LOCAL frame
-        const localAngularVelocity = this.body.angularVelocity; //.clone(); // Use directly if not modifying? Clone if unsure.
-        // CANNON.Body.angularVelocity is in world frame. We need it in local frame for PID control relative to drone axes.
-        const worldAngularVelocity = this.body.angularVelocity;
-        const localAngularVelocityCorrected = this.body.vectorToLocalFrame(worldAngularVelocity);
-
+        // Filtered gyro, in the local frame (noise, vibration and bias included - see IMU / GyroFilterChain)
+        const localAngularVelocity = this.gyroFiltered;
+        this.setpoints.roll = targetRollRate;
+        this.setpoints.pitch = targetPitchRate;
+        this.setpoints.yaw = targetYawRate;
 
         // --- PID Calculation (Rate Mode) ---
-        // Note: We need to match PID axes to local angular velocity axes.
-        // Assume CANNON localAngularVelocity axes match THREE's standard:
+        // Local axes (matching THREE's standard):
         // X: Pitch axis (positive = nose up)
         // Y: Yaw axis   (positive = yaw left)
         // Z: Roll axis  (positive = roll right)
+        // TPA: soften P and/or D above the throttle breakpoint, where the motors have more authority
+        const tpaFactor = this._tpaFactor(controls.thrust);
+        const pAttenuation = this.tpa.mode === 'PD' ? tpaFactor : 1;
+        const dAttenuation = tpaFactor; // Both 'D' and 'PD' modes attenuate D
+        const rollCommand = this.pidRollRate.update(targetRollRate, localAngularVelocity.z, deltaTime, pAttenuation, dAttenuation);
+        const pitchCommand = this.pidPitchRate.update(targetPitchRate, localAngularVelocity.x, deltaTime, pAttenuation, dAttenuation);
+        const yawCommand = this.pidYawRate.update(targetYawRate, localAngularVelocity.y, deltaTime, pAttenuation, dAttenuation);
+
+        // --- Motor Mixing ---
+        const outputs = this.mixer.mix(controls.thrust, rollCommand, pitchCommand, yawCommand);
+        for (let i = 0; i < outputs.length; i++) {
+            this.motorOutputs[i] = outputs[i];
+        }
+
+        this.updateMotors(deltaTime);
+    }
+
+    // Turtle mode outputs, like Betaflight's crashflip. The stick points the way the quad should rotate:
+    // one axis spins the pair of motors on that side, a diagonal a single corner motor, yaw the motors of one spin
+    // direction (yaw only wins when it's the largest deflection). With reversed props, each spinning motor lifts its side.
+    // Stick deflection past TURTLE_STICK_MIN, shaped by the expo, sets the power.
+    _updateTurtleOutputs(controls) {
+        const rollAbs = Math.abs(controls.roll);
+        const pitchAbs = Math.abs(controls.pitch);
+        const yawAbs = Math.abs(controls.yaw);
+        let rollSign = Math.sign(controls.roll);
+        let pitchSign = Math.sign(controls.pitch);
+        let yawSign = Math.sign(controls.yaw);
+
+        let deflection = Math.hypot(rollAbs, pitchAbs);
+        if (yawAbs > Math.max(rollAbs, pitchAbs)) {
+            deflection = yawAbs;
+            rollSign = 0;
+            pitchSign = 0;
+        } else {
+            yawSign = 0;
+            const cosToDiagonal = deflection > 0 ? (rollAbs + pitchAbs) / (Math.SQRT2 * deflection) : 0;
+            if (cosToDiagonal < TURTLE_DIAGONAL_COS) { // Not a diagonal, use the larger axis only
+                if (rollAbs > pitchAbs) pitchSign = 0;
+                else rollSign = 0;
+            }
+        }
+
+        const curve = value => value * (1 - this.turtle.expo) + value ** 3 * this.turtle.expo;
+        const stickMin = curve(TURTLE_STICK_MIN);
+        const power = Math.max(0, curve(Math.min(deflection, 1)) - stickMin) / (1 - stickMin);
+
+        this.mixer.motors.forEach((motor, i) => {
+            // Reversed thrust turns the other way, so a motor helps when its normal mix would oppose the command
+            const mix = -(rollSign * motor.rollFactor + pitchSign * motor.pitchFactor + yawSign * motor.yawFactor);
+            const output = Math.min(1, power * Math.max(0, mix)) * this.turtle.maxOutput;
+            this.motorOutputs[i] = output < TURTLE_MOTOR_DEADBAND ? 0 : output;
+        });
+    }
+
+    _applyTurtleSettings(turtleConfig) {
+        this.turtle = {
+            expo: clamp(turtleConfig.expo / 100, 0, 1), // crashflip_expo, in %
+            maxOutput: turtleConfig.maxOutput,          // Motor output at full stick (0-1)
+        };
+    }
+
+    // Throttle PID attenuation, Betaflight units: rate in %, breakpoint in µs (1000-2000 throttle range)
+    _tpaFactor(throttle) {
+        const throttleUs = 1000 + clamp(throttle, 0, 1) * 1000;
+        if (this.tpa.rate <= 0 || throttleUs <= this.tpa.breakpoint) return 1;
+        const attenuation = (throttleUs - this.tpa.breakpoint) / Math.max(1, 2000 - this.tpa.breakpoint);
+        return 1 - (this.tpa.rate / 100) * clamp(attenuation, 0, 1);
+    }
+
+    _applyPidFeatures(fcConfig) {
+        const { DTERM_FILTER: dTermFilter, FEEDFORWARD: feedforward, TPA: tpa, ITERM_RELAX: itermRelax } = fcConfig;
+        const pids = { roll: this.pidRollRate, pitch: this.pidPitchRate, yaw: this.pidYawRate };
+
+        Object.entries(pids).forEach(([axis, pid]) => {
+            pid.setDTermFilter(dTermFilter.type, dTermFilter.cutoffHz);
+            pid.setFeedforward(feedforward[axis], feedforward.smoothingCutoffHz);
+            const relaxAxis = axis !== 'yaw' || itermRelax.axes === 'RPY'; // Like iterm_relax = RP / RPY
+            pid.setItermRelax(itermRelax.enabled && relaxAxis, itermRelax.cutoffHz, ITERM_RELAX_SETPOINT_THRESHOLD);
+        });
+
+        this.tpa = { ...tpa };
+    }
+
+    _stickToRate(stick, axis) {
+        return calculateRate(this.rates.rateType, stick, this.rates[axis]) * DEG_TO_RAD;
+    }
+
+    _applyRates(ratesConfig) {
+        this.rates = ratesConfig;
+        this.maxRatesRad = { // Full-stick rates, also used to limit self-level corrections
+            roll: calculateMaxRate(ratesConfig.rateType, ratesConfig.roll) * DEG_TO_RAD,
+            pitch: calculateMaxRate(ratesConfig.rateType, ratesConfig.pitch) * DEG_TO_RAD,
+            yaw: calculateMaxRate(ratesConfig.rateType, ratesConfig.yaw) * DEG_TO_RAD,
+        };
+    }
+
+    // Current roll/pitch angles (rad) relative to level, on the same axes as the rate loop:
+    // roll around local Z, pitch around local X. Derived from where world "up" points in the body frame.
+    _updateAttitude() {
+        this.body.vectorToLocalFrame(WORLD_UP, localUp);
+        this.attitude.roll = Math.atan2(localUp.x, localUp.y);
+        this.attitude.pitch = Math.asin(clamp(-localUp.z, -1, 1));
+    }
+
+    // Target rate (rad/s) that drives the angle towards stick * maxAngle, limited to the axis max rate
+    _levelRate(stick, currentAngle, maxRate) {
+        const targetAngle = stick * this.selfLevel.maxAngleRad;
+        const rate = (targetAngle - currentAngle) * this.selfLevel.levelStrength;
+        return clamp(rate, -maxRate, maxRate);
+    }
+
+    _applySelfLevelSettings(selfLevelConfig) {
+        this.selfLevel = {
+            maxAngleRad: selfLevelConfig.maxAngle * DEG_TO_RAD,
+            levelStrength: selfLevelConfig.levelStrength,          // (rad/s) of correction per rad of angle error
+            horizonTransition: selfLevelConfig.horizonTransition, // Stick deflection (0-1) where Horizon stops leveling
+        };
+    }
 
-        // Calculate torque needed to achieve target rates
-        // Target vs Current. DeltaTime is crucial.
-        const rollTorque = this.pidRollRate.update(targetRollRate, localAngularVelocityCorrected.z, deltaTime);
-        const pitchTorque = this.pidPitchRate.update(targetPitchRate, localAngularVelocityCorrected.x, deltaTime);
-        const yawTorque = this.pidYawRate.update(targetYawRate, localAngularVelocityCorrected.y, deltaTime);
+    // Spools each motor towards its commanded output. The summed motor current is drawn from the battery,
+    // whose sagged voltage feeds the motors on the next loop. The forces are applied by applyMotorForces.
+    updateMotors(deltaTime) {
+        const voltage = this.battery.voltage;
+        let totalCurrent = 0;
 
+        this.motors.forEach((motor, i) => {
+            motor.update(this.motorOutputs[i], voltage, deltaTime);
+            this.motorThrusts[i] = motor.thrust * this.thrustFactors[i];
+            this.motorRpms[i] = motor.rpm;
+            totalCurrent += motor.current;
+        });
 
-        // --- Apply Torque (Convert Local Torque to World Frame) ---
-        // Set the calculated torques in the drone's LOCAL coordinate system
-        // IMPORTANT AXIS MAPPING CHECK:
-        // pidRollRate controls rotation around Z axis.
-        // pidPitchRate controls rotation around X axis.
-        // pidYawRate controls rotation around Y axis.
-        const localTorque = new CANNON.Vec3(pitchTorque, yawTorque, rollTorque); // Local (X, Y, Z) torque
+        this.battery.update(totalCurrent, deltaTime);
+    }
+
+    // Applies each motor's thrust at its arm point plus the summed prop drag torque around the yaw axis.
+    // Runs before every physics step (cannon clears forces after each step), independent of the PID loop rate.
+    applyMotorForces() {
+        let yawReactionTorque = 0;
+
+        this.mixer.motors.forEach((mixerMotor, i) => {
+            const thrust = this.motorThrusts[i];
+            if (thrust <= 0) return;
+            motorForceVec.set(0, thrust * this.motorDirection, 0); // Local Y is up, reversed motors push down
+            this.body.applyLocalForce(motorForceVec, this.motorPoints[i]);
+
+            // Props push air one way, the frame twists the other way
+            yawReactionTorque += -mixerMotor.spin * this.motorDirection * this.motors[i].torque;
+        });
 
         // Convert Local Torque vector to World Frame before applying
+        localTorque.set(0, yawReactionTorque, 0);
         this.body.vectorToWorldFrame(localTorque, worldTorque);
         this.body.applyTorque(worldTorque);
+    }
 
-        // --- (Optional) Add Advanced Drag/Air Resistance ---
-        // Replace or supplement basic damping here
-        // Example: F_drag = - C * v^2 * normalize(v)
-        // const C_drag = 0.1; // Drag coefficient (tune)
-        // const velocity = this.body.velocity;
-        // const speedSquared = velocity.lengthSquared();
-        // if (speedSquared > 0.01) { // Avoid division by zero / jitter at rest
-        //     const dragMagnitude = C_drag * speedSquared;
-        //     const dragForce = velocity.clone().normalize().scale(-dragMagnitude);
-        //     this.body.applyForce(dragForce, CANNON.Vec3.ZERO);
-        // }
-
+    // Cache motor arm points as CANNON vectors for applyLocalForce (relative to the center of gravity)
+    _updateMotorPoints() {
+        const cg = this.centerOfGravity;
+        this.motorPoints = this.mixer.motors.map(motor =>
+            new CANNON.Vec3(motor.position.x - cg.x, motor.position.y - cg.y, motor.position.z - cg.z)
+        );
+    }
 
+    /**
+     * Moves the point the motor forces act around. The mixer keeps mixing on the geometric layout like a real FC,
+     * so an off-center CG shows up as an imbalance the PIDs have to hold.
+     * @param {{x: number, y: number, z: number}} centerOfGravity From the motor layout origin (m, body frame).
+     */
+    setCenterOfGravity(centerOfGravity) {
+        this.centerOfGravity = { ...centerOfGravity };
+        this._updateMotorPoints();
     }
 
     // Method to update PID gains if changed in settings
     applyConfiguration(config) {
         const pidConfig = config.FLIGHT_CONTROLLER_SETTINGS.PID;
-        const rateLimits = config.FLIGHT_CONTROLLER_SETTINGS.RATE_LIMITS;
-        const torqueLimits = config.DRONE_CONTROL_MULTIPLIERS; // Assuming these still represent a torque scale
 
         this.pidRollRate.setGains(pidConfig.roll.kp, pidConfig.roll.ki, pidConfig.roll.kd);
         this.pidPitchRate.setGains(pidConfig.pitch.kp, pidConfig.pitch.ki, pidConfig.pitch.kd);
@@ -187,19 +506,36 @@ class FlightController {
         this.pidRollRate.iLimit = pidConfig.iLimit;
         this.pidPitchRate.iLimit = pidConfig.iLimit;
         this.pidYawRate.iLimit = pidConfig.iLimit;
-        // Update output limits based on torque multipliers?
-        this.pidRollRate.outputLimit = torqueLimits.ROLL_TORQUE;
-        this.pidPitchRate.outputLimit = torqueLimits.PITCH_TORQUE;
-        this.pidYawRate.outputLimit = torqueLimits.YAW_TORQUE;
-
-        this.maxRatesRad = { // Update max rates
-            roll: rateLimits.roll * Math.PI / 180,
-            pitch: rateLimits.pitch * Math.PI / 180,
-            yaw: rateLimits.yaw * Math.PI / 180,
-        };
+        // Update output limits (PID sum limits, in mixer units)
+        this.pidRollRate.outputLimit = pidConfig.sumLimit;
+        this.pidPitchRate.outputLimit = pidConfig.sumLimit;
+        this.pidYawRate.outputLimit = pidConfig.sumLimitYaw;
+        this._applyPidFeatures(config.FLIGHT_CONTROLLER_SETTINGS);
+
+        // Update motor layout
+        this.motorSettings = config.DRONE_MOTOR_SETTINGS;
+        this.mixer.applyConfiguration(this.motorSettings);
+        this._updateMotorPoints();
+        const { airDensity } = resolveEnvironment(config.ENVIRONMENT_SETTINGS);
+        this.motors.forEach(motor => motor.applyConfiguration(this.motorSettings, airDensity));
+        this.battery.applyConfiguration(config.DRONE_BATTERY);
+        this.imu.applyConfiguration(config.DRONE_IMU_SETTINGS, this.mixer.motors);
+        this.gyroFilters.applyConfiguration(config.FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS, this.mixer.motors.length);
+
+        this._applyRates(config.FLIGHT_CONTROLLER_SETTINGS.RATES); // Update rate curves and max rates
+
+        // Self-level settings, and the startup mode - only switch if the configured mode itself changed,
+        // so adjusting other settings doesn't undo a mode picked in flight
+        this._applySelfLevelSettings(config.FLIGHT_CONTROLLER_SETTINGS.SELF_LEVEL);
+        this._applyTurtleSettings(config.FLIGHT_CONTROLLER_SETTINGS.TURTLE);
+        const configuredMode = config.FLIGHT_CONTROLLER_SETTINGS.FLIGHT_MODE;
+        if (configuredMode !== this.configuredFlightMode) {
+            this.configuredFlightMode = configuredMode;
+            this.setFlightMode(configuredMode);
+        }
 
         if (config.DEBUG_MODE) {
-            console.log("FlightController: Applied new configuration (PIDs, Rates).");
+            console.log("FlightController: Applied new configuration (PIDs, Rates, Modes, Motors, Battery, Gyro).");
             // console.log("FlightController: New PID gains:", pidConfig);
             // console.log("FlightController: New Max Rates (rad/s):", this.maxRatesRad);
         }
@@ -209,7 +545,19 @@ class FlightController {
         this.pidRollRate.reset();
         this.pidPitchRate.reset();
         this.pidYawRate.reset();
-        // Reset any other internal state if needed
+        this.mixer.reset();
+        this.motors.forEach(motor => motor.reset());
+        this.motorOutputs.fill(0);
+        this.motorThrusts.fill(0);
+        this.motorRpms.fill(0);
+        this.thrustFactors.fill(1);
+        this.battery.reset(); // Fresh pack
+        this.imu.reset();
+        this.gyroFilters.reset();
+        this.gyroRaw = { x: 0, y: 0, z: 0 };
+        this.gyroFiltered = { x: 0, y: 0, z: 0 };
+        this.turtleMode = false;
+        this.motorDirection = 1;
     }
 }
 
@@ -0,0 +1,123 @@
+// src/simulation/FrameGeometry.js
+import * as CANNON from 'cannon-es';
+import { MOTOR_ORDER } from './MotorMixer.js';
+
+const GUARD_CLEARANCE = 0.005; // Gap between the prop tips and the guard (m)
+const GUARD_HEIGHT = 0.03;     // Height of a guard / duct ring (m)
+const GUARD_SEGMENTS = 8;      // Sides of the convex shape standing in for a round guard
+const Y_AXIS = new CANNON.Vec3(0, 1, 0);
+
+// Moments of inertia (kg·m²) of a solid box around its own center, along its own axes
+const boxInertia = (mass, width, height, depth) => ({
+    x: mass / 12 * (height * height + depth * depth),
+    y: mass / 12 * (width * width + depth * depth),
+    z: mass / 12 * (width * width + height * height),
+});
+
+/**
+ * Mass model and collision shape of the airframe, from DRONE_FRAME and the motor layout.
+ * One arm runs from the center to each motor, so the arm count and wheelbase follow DRONE_MOTOR_SETTINGS.layout -
+ * the same positions the mixer, ground effect and damage model use.
+ * Parts: the center body (plates and electronics, it gets whatever of DRONE_MASS the other parts don't account for),
+ * arms, motors with props (point masses), the battery on top or underneath, the FPV camera (point mass at the front)
+ * and optional prop guards (rings). The collision shape is the body box, the arm boxes, the battery and the guards.
+ * Products of inertia are dropped, cannon only takes the moments around the body axes.
+ * @param {object} config Full config (DRONE_MASS, DRONE_FRAME, DRONE_MOTOR_SETTINGS, DRONE_AIRFLOW_SETTINGS).
+ * @returns {{mass: number, centerOfGravity: {x: number, y: number, z: number}, inertia: {x: number, y: number, z: number},
+ *   wheelbase: number, armCount: number, shapes: Array<{shape: CANNON.Shape, offset: CANNON.Vec3, orientation: CANNON.Quaternion}>}}
+ *   Shape offsets are from the geometric center (the motor layout origin), not from the center of gravity.
+ */
+function computeFrameProperties(config) {
+    const frame = config.DRONE_FRAME;
+    const { body, arm, battery } = frame;
+    const motors = MOTOR_ORDER.map(name => config.DRONE_MOTOR_SETTINGS.layout[name]);
+    const guardRadius = config.DRONE_AIRFLOW_SETTINGS.propRadius + GUARD_CLEARANCE;
+    const parts = []; // { mass, position, inertia } - inertia around the part's own center, in body axes
+    const shapes = [];
+
+    motors.forEach(({ x, y = 0, z }) => {
+        // Arm: a thin bar from the center to the motor, turned around Y to point at it
+        const length = Math.hypot(x, z);
+        const cos = x / length, sin = z / length;
+        const own = boxInertia(arm.mass, length, arm.thickness, arm.width); // Along the arm, vertical, across
+        parts.push({
+            mass: arm.mass,
+            position: { x: x / 2, y: 0, z: z / 2 },
+            inertia: { x: own.x * cos * cos + own.z * sin * sin, y: own.y, z: own.x * sin * sin + own.z * cos * cos },
+        });
+        const orientation = new CANNON.Quaternion().setFromAxisAngle(Y_AXIS, Math.atan2(-z, x));
+        shapes.push({
+            shape: new CANNON.Box(new CANNON.Vec3(length / 2, arm.thickness / 2, arm.width / 2)),
+            offset: new CANNON.Vec3(x / 2, 0, z / 2),
+            orientation,
+        });
+
+        parts.push({ mass: frame.motorMass, position: { x, y, z }, inertia: { x: 0, y: 0, z: 0 } });
+
+        if (frame.propGuards.enabled) {
+            const { mass } = frame.propGuards;
+            const r2 = guardRadius * guardRadius;
+            parts.push({ mass, position: { x, y, z }, inertia: { x: mass * r2 / 2, y: mass * r2, z: mass * r2 / 2 } });
+            shapes.push({
+                shape: new CANNON.Cylinder(guardRadius, guardRadius, GUARD_HEIGHT, GUARD_SEGMENTS),
+                offset: new CANNON.Vec3(x, y, z),
+                orientation: new CANNON.Quaternion(),
+            });
+        }
+    });
+
+    // Battery strapped on top of the body or hanging underneath
+    const batteryY = (battery.mount === 'BOTTOM' ? -1 : 1) * (body.height + battery.height) / 2;
+    parts.push({
+        mass: battery.mass,
+        position: { x: 0, y: batteryY, z: 0 },
+        inertia: boxInertia(battery.mass, battery.width, battery.height, battery.depth),
+    });
+    shapes.push({
+        shape: new CANNON.Box(new CANNON.Vec3(battery.width / 2, battery.height / 2, battery.depth / 2)),
+        offset: new CANNON.Vec3(0, batteryY, 0),
+        orientation: new CANNON.Quaternion(),
+    });
+
+    parts.push({ mass: frame.cameraMass, position: { x: 0, y: 0, z: -body.depth / 2 }, inertia: { x: 0, y: 0, z: 0 } });
+
+    // The center body takes the rest of the all-up weight
+    const partsMass = parts.reduce((sum, part) => sum + part.mass, 0);
+    if (partsMass > config.DRONE_MASS) {
+        console.warn(`FrameGeometry: Frame parts (${partsMass.toFixed(3)} kg) weigh more than DRONE_MASS (${config.DRONE_MASS} kg), using the parts' weight.`);
+    }
+    const bodyMass = Math.max(0, config.DRONE_MASS - partsMass);
+    parts.push({ mass: bodyMass, position: { x: 0, y: 0, z: 0 }, inertia: boxInertia(bodyMass, body.width, body.height, body.depth) });
+    shapes.unshift({
+        shape: new CANNON.Box(new CANNON.Vec3(body.width / 2, body.height / 2, body.depth / 2)),
+        offset: new CANNON.Vec3(0, 0, 0),
+        orientation: new CANNON.Quaternion(),
+    });
+
+    // Center of gravity, plus the configured offset (mass the parts don't describe, e.g. an off-center action camera)
+    const mass = partsMass + bodyMass;
+    const centerOfGravity = { ...frame.centerOfGravityOffset };
+    parts.forEach(({ mass: partMass, position }) => {
+        centerOfGravity.x += partMass * position.x / mass;
+        centerOfGravity.y += partMass * position.y / mass;
+        centerOfGravity.z += partMass * position.z / mass;
+    });
+
+    // Moments of inertia around the center of gravity (parallel axis theorem)
+    const inertia = { x: 0, y: 0, z: 0 };
+    parts.forEach(({ mass: partMass, position, inertia: own }) => {
+        const dx = position.x - centerOfGravity.x;
+        const dy = position.y - centerOfGravity.y;
+        const dz = position.z - centerOfGravity.z;
+        inertia.x += own.x + partMass * (dy * dy + dz * dz);
+        inertia.y += own.y + partMass * (dx * dx + dz * dz);
+        inertia.z += own.z + partMass * (dx * dx + dy * dy);
+    });
+
+    // Diagonal motor-to-motor distance, the usual frame size figure
+    const wheelbase = 2 * motors.reduce((sum, { x, z }) => sum + Math.hypot(x, z), 0) / motors.length;
+
+    return { mass, centerOfGravity, inertia, wheelbase, armCount: motors.length, shapes };
+}
+
+export { computeFrameProperties };
@@ -0,0 +1,99 @@
+// src/simulation/GroundEffect.js
+import * as CANNON from 'cannon-es';
+
+const MAX_RAY_DISTANCE = 1.0; // Ground effect is negligible further away than this (m)
+const localDown = new CANNON.Vec3(0, -1, 0);
+const worldDown = new CANNON.Vec3();
+const motorWorldPoint = new CANNON.Vec3();
+
+/**
+ * Ground effect: props close to the ground push against a cushion of air and make more thrust.
+ * Each motor casts a ray along its thrust axis against the terrain heightfield, so a tilted drone or uneven terrain
+ * gives different gains per motor. Gain vs. height z from Sanchez-Cuevas et al. (2017), fitted for multirotors:
+ *   T_IGE / T_OGE = 1 / (1 - (R/4z)² - R²z/√(d²+4z²)³ - (R²z/2)/√(2d²+4z²)³ - 2R²z·Kb/√(b²+4z²)³)
+ * R: prop radius, d: distance between neighbouring rotors, b: rotor distance from the center, Kb: body lift coefficient.
+ */
+class GroundEffect {
+    /**
+     * @param {CANNON.Body} body Drone body.
+     * @param {object} airflowSettings DRONE_AIRFLOW_SETTINGS.
+     * @param {CANNON.Body} terrainBody Heightfield body to cast against (null = no ground effect).
+     * @param {Array<{position: {x: number, z: number}}>} motors Motor layout (MotorMixer.motors).
+     */
+    constructor(body, airflowSettings, terrainBody, motors) {
+        this.body = body;
+        this.terrainBody = terrainBody;
+        this.ray = new CANNON.Ray();
+        this.ray.mode = CANNON.Ray.CLOSEST;
+        this.applyConfiguration(airflowSettings, motors);
+    }
+
+    applyConfiguration(airflowSettings, motors) {
+        const { groundEffect } = airflowSettings;
+        this.enabled = groundEffect.enabled;
+        this.propRadius = airflowSettings.propRadius;
+        this.bodyLiftCoefficient = groundEffect.bodyLiftCoefficient;
+        this.maxThrustGain = groundEffect.maxThrustGain;
+
+        // Rotor spacing from the layout, neighbours on a quad X are √2 arm lengths apart
+        this.armLength = motors.reduce((sum, { position }) => sum + Math.hypot(position.x, position.z), 0) / motors.length;
+        this.rotorSpacing = this.armLength * Math.SQRT2;
+
+        this.heights = motors.map(() => Infinity); // Distance from each prop to the ground along its thrust axis (m)
+        this.factors = motors.map(() => 1);        // Thrust multiplier per motor
+    }
+
+    /**
+     * Thrust gain of a prop at a height above the ground.
+     * @param {number} height Distance to the ground along the thrust axis (m).
+     * @returns {number} T_IGE / T_OGE, 1 when out of ground effect.
+     */
+    thrustGain(height) {
+        if (!Number.isFinite(height)) return 1;
+        const z = Math.max(height, 1e-3);
+        const R2 = this.propRadius * this.propRadius;
+        const d2 = this.rotorSpacing * this.rotorSpacing;
+        const b2 = this.armLength * this.armLength;
+        const z2 = 4 * z * z;
+        const denominator = 1
+            - (this.propRadius / (4 * z)) ** 2
+            - R2 * z / Math.sqrt((d2 + z2) ** 3)
+            - 0.5 * R2 * z / Math.sqrt((2 * d2 + z2) ** 3)
+            - 2 * R2 * z * this.bodyLiftCoefficient / Math.sqrt((b2 + z2) ** 3);
+        // The fit blows up right at the ground, cap it there
+        if (denominator <= 1 / this.maxThrustGain) return this.maxThrustGain;
+        return 1 / denominator;
+    }
+
+    /**
+     * Measures each prop's height above the terrain and updates the thrust multipliers.
+     * @param {CANNON.Vec3[]} motorPoints Motor positions (body frame).
+     * @returns {number[]} Thrust multiplier per motor.
+     */
+    update(motorPoints) {
+        if (!this.enabled || !this.terrainBody) {
+            this.heights.fill(Infinity);
+            this.factors.fill(1);
+            return this.factors;
+        }
+
+        const ray = this.ray;
+        this.body.vectorToWorldFrame(localDown, worldDown); // Thrust axis, pointing at the ground when level
+        motorPoints.forEach((point, i) => {
+            this.body.pointToWorldFrame(point, motorWorldPoint);
+            ray.from.copy(motorWorldPoint);
+            worldDown.scale(MAX_RAY_DISTANCE, ray.to);
+            ray.to.vadd(motorWorldPoint, ray.to);
+            ray.result.reset();
+            ray.hasHit = false;
+            ray.updateDirection();
+            ray.intersectBody(this.terrainBody);
+
+            this.heights[i] = ray.hasHit ? ray.result.distance : Infinity;
+            this.factors[i] = this.thrustGain(this.heights[i]);
+        });
+        return this.factors;
+    }
+}
+
+export default GroundEffect;
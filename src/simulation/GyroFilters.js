@@ -0,0 +1,123 @@
+// src/simulation/GyroFilters.js
+import { BiquadFilter, createLowpassFilter } from '../utils/Filters.js';
+
+const AXES = ['x', 'y', 'z'];
+const RPM_NOTCH_FADE_RANGE_HZ = 50; // RPM notches fade in over this range above minHz, like Betaflight
+
+// Betaflight's notch Q from a center frequency and a lower cutoff frequency
+function notchQ(centerHz, cutoffHz) {
+    return (centerHz * cutoffHz) / (centerHz * centerHz - cutoffHz * cutoffHz);
+}
+
+/**
+ * Gyro filter chain, in Betaflight's order:
+ *   RPM notches (per motor, per harmonic) -> static notch -> lowpass 1 -> lowpass 2
+ * Every stage can be switched off from GYRO_FILTERS (cutoff/center 0 or rpmFilter.enabled = false).
+ */
+class GyroFilterChain {
+    constructor(filterSettings, motorCount) {
+        this.motorCount = motorCount;
+        this.output = { x: 0, y: 0, z: 0 };
+        this.applyConfiguration(filterSettings);
+    }
+
+    applyConfiguration(filterSettings, motorCount = this.motorCount) {
+        const { lowpass1, lowpass2, staticNotch, rpmFilter } = filterSettings;
+        const previous = this.settings;
+        const previousMotorCount = this.motorCount;
+        this.settings = JSON.parse(JSON.stringify(filterSettings));
+        this.motorCount = motorCount;
+
+        // Lowpasses are rebuilt only when their type changes, otherwise just retuned (keeps filter state)
+        this.lowpass1 = this._updateLowpasses(this.lowpass1, previous?.lowpass1.type, lowpass1);
+        this.lowpass2 = this._updateLowpasses(this.lowpass2, previous?.lowpass2.type, lowpass2);
+
+        // Notches too: retuned in place, rebuilt only when switched on or their layout changes
+        const staticNotchEnabled = staticNotch.centerHz > 0 && staticNotch.cutoffHz > 0 && staticNotch.cutoffHz < staticNotch.centerHz;
+        if (!staticNotchEnabled) {
+            this.staticNotch = null;
+        } else {
+            const q = notchQ(staticNotch.centerHz, staticNotch.cutoffHz);
+            if (this.staticNotch) AXES.forEach(axis => this.staticNotch[axis].setCenter(staticNotch.centerHz, q));
+            else this.staticNotch = this._perAxis(() => new BiquadFilter('notch', staticNotch.centerHz, q));
+        }
+
+        // [axis][motor][harmonic] notches, retuned every update to follow the motor RPM
+        const rpmQ = rpmFilter.q / 100;
+        if (!rpmFilter.enabled) {
+            this.rpmNotches = null;
+        } else if (this.rpmNotches && previous.rpmFilter.harmonics === rpmFilter.harmonics && previousMotorCount === motorCount) {
+            this._forEachRpmNotch(notch => notch.setCenter(notch.centerHz, rpmQ));
+        } else {
+            this.rpmNotches = this._perAxis(() => Array.from({ length: motorCount }, () =>
+                Array.from({ length: rpmFilter.harmonics }, () => new BiquadFilter('notch', 0, rpmQ))));
+        }
+    }
+
+    _perAxis(factory) {
+        return Object.fromEntries(AXES.map(axis => [axis, factory()]));
+    }
+
+    _forEachRpmNotch(callback) {
+        AXES.forEach(axis => this.rpmNotches[axis].forEach(motorNotches => motorNotches.forEach(callback)));
+    }
+
+    _updateLowpasses(filters, previousType, { type, cutoffHz }) {
+        if (!filters || previousType !== type) {
+            return this._perAxis(() => createLowpassFilter(type, cutoffHz));
+        }
+        AXES.forEach(axis => {
+            if (type === 'BIQUAD') filters[axis].setCenter(cutoffHz);
+            else filters[axis].setCutoff(cutoffHz);
+        });
+        return filters;
+    }
+
+    /**
+     * Filters one gyro sample.
+     * @param {{x: number, y: number, z: number}} gyro Raw gyro (rad/s).
+     * @param {number[]} motorRpms Motor RPMs for the RPM notches.
+     * @param {number} deltaTime Loop time step (s).
+     * @returns {{x: number, y: number, z: number}} Filtered gyro (rad/s).
+     */
+    apply(gyro, motorRpms, deltaTime) {
+        const { rpmFilter } = this.settings;
+
+        AXES.forEach(axis => {
+            let value = gyro[axis];
+
+            if (this.rpmNotches) {
+                motorRpms.forEach((rpm, motorIndex) => {
+                    this.rpmNotches[axis][motorIndex].forEach((notch, h) => {
+                        const frequency = (rpm / 60) * (h + 1);
+                        if (frequency < rpmFilter.minHz) return; // Too low to notch without hurting control
+                        notch.setCenter(frequency);
+                        const filtered = notch.apply(value, deltaTime);
+                        // Fade the notch in just above minHz so it doesn't switch on abruptly
+                        const weight = Math.min(1, (frequency - rpmFilter.minHz) / RPM_NOTCH_FADE_RANGE_HZ);
+                        value = value + (filtered - value) * weight;
+                    });
+                });
+            }
+
+            if (this.staticNotch) value = this.staticNotch[axis].apply(value, deltaTime);
+            value = this.lowpass1[axis].apply(value, deltaTime);
+            value = this.lowpass2[axis].apply(value, deltaTime);
+
+            this.output[axis] = value;
+        });
+        return this.output;
+    }
+
+    reset() {
+        AXES.forEach(axis => {
+            this.lowpass1[axis].reset();
+            this.lowpass2[axis].reset();
+            this.staticNotch?.[axis].reset();
+        });
+        if (this.rpmNotches) this._forEachRpmNotch(notch => notch.reset());
+        this.output = { x: 0, y: 0, z: 0 };
+    }
+}
+
+export default GyroFilterChain;
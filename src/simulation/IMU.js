@@ -0,0 +1,114 @@
+// src/simulation/IMU.js
+import * as CANNON from 'cannon-es';
+import { randomGaussian } from '../utils/Utils.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const REFERENCE_RPM = 10000;                 // motorVibration is specified at this RPM
+const HARMONIC_WEIGHTS = [1, 0.5, 0.25];     // Vibration at 1x, 2x, 3x motor rotation frequency
+const localAngularVelocity = new CANNON.Vec3();
+
+/**
+ * Simulated gyro.
+ * Reads the true body rates and adds what a real gyro sees on a quad:
+ * white sensor noise, a slowly wandering bias, and motor vibration at the motor rotation frequency and its harmonics.
+ * Vibration grows with RPM² and is amplified when it gets close to the frame's resonance frequency.
+ * Output is in rad/s on the body axes (X: pitch, Y: yaw, Z: roll), like FlightController expects.
+ */
+class IMU {
+    /**
+     * @param {CANNON.Body} body Drone body.
+     * @param {object} imuSettings DRONE_IMU_SETTINGS.
+     * @param {Array<{position: {x: number, z: number}}>} motors Motor layout (MotorMixer.motors), for vibration direction.
+     * @param {function(): number} random Uniform [0, 1) generator for the noise (the simulation's seeded one).
+     */
+    constructor(body, imuSettings, motors, random = Math.random) {
+        this.body = body;
+        this.random = random;
+        this.gyro = { x: 0, y: 0, z: 0 };
+        this.bias = { x: 0, y: 0, z: 0 };
+        this.motorImbalance = motors.map(() => 0); // Extra vibration per motor from damaged props, rad/s at REFERENCE_RPM
+        this.applyConfiguration(imuSettings, motors);
+    }
+
+    applyConfiguration(imuSettings, motors) {
+        this.noiseStdDev = imuSettings.noiseStdDev * DEG_TO_RAD;       // White noise, rad/s
+        this.biasDriftRate = imuSettings.biasDriftRate * DEG_TO_RAD;   // Bias random walk, rad/s per √s
+        this.motorVibration = imuSettings.motorVibration * DEG_TO_RAD; // Vibration amplitude at REFERENCE_RPM, rad/s
+        this.frameResonanceHz = imuSettings.frameResonanceHz;
+        this.frameResonanceQ = imuSettings.frameResonanceQ;
+
+        // Each motor shakes the frame mostly around the axes its arm rocks on, plus a little yaw
+        this.motorAxes = motors.map(({ position }) => {
+            const armLength = Math.hypot(position.x, position.z) || 1;
+            return { x: -position.z / armLength, y: 0.3, z: position.x / armLength };
+        });
+        if (!this.startPhases || this.startPhases.length !== motors.length) {
+            this.startPhases = motors.map(() => HARMONIC_WEIGHTS.map(() => this.random() * 2 * Math.PI));
+            this.motorPhases = this.startPhases.map(phases => [...phases]);
+        }
+    }
+
+    /**
+     * Sets extra vibration from unbalanced (bent or broken) props.
+     * @param {number[]} vibrations Per motor, deg/s at REFERENCE_RPM.
+     */
+    setMotorImbalance(vibrations) {
+        vibrations.forEach((vibration, i) => { this.motorImbalance[i] = vibration * DEG_TO_RAD; });
+    }
+
+    // Amplification of vibration at frequency f by a frame resonance (second-order system response)
+    _resonanceGain(frequency) {
+        if (this.frameResonanceHz <= 0) return 1;
+        const ratio = frequency / this.frameResonanceHz;
+        const damping = ratio / this.frameResonanceQ;
+        return 1 / Math.sqrt((1 - ratio * ratio) ** 2 + damping * damping);
+    }
+
+    /**
+     * Samples the gyro.
+     * @param {number} deltaTime Time step (s).
+     * @param {number[]} motorRpms Current motor RPMs (MOTOR_ORDER).
+     * @returns {{x: number, y: number, z: number}} Measured body rates (rad/s).
+     */
+    update(deltaTime, motorRpms) {
+        this.body.vectorToLocalFrame(this.body.angularVelocity, localAngularVelocity);
+
+        // Bias wanders as a random walk
+        const biasStep = this.biasDriftRate * Math.sqrt(deltaTime);
+        this.bias.x += randomGaussian(biasStep, this.random);
+        this.bias.y += randomGaussian(biasStep, this.random);
+        this.bias.z += randomGaussian(biasStep, this.random);
+
+        // Motor vibration
+        let vibrationX = 0, vibrationY = 0, vibrationZ = 0;
+        motorRpms.forEach((rpm, i) => {
+            const rotationHz = rpm / 60;
+            const rpmScale = (rpm / REFERENCE_RPM) ** 2;
+            let vibration = 0;
+            HARMONIC_WEIGHTS.forEach((weight, h) => {
+                const frequency = rotationHz * (h + 1);
+                this.motorPhases[i][h] = (this.motorPhases[i][h] + 2 * Math.PI * frequency * deltaTime) % (2 * Math.PI);
+                vibration += weight * this._resonanceGain(frequency) * Math.sin(this.motorPhases[i][h]);
+            });
+            vibration *= (this.motorVibration + this.motorImbalance[i]) * rpmScale;
+            const axes = this.motorAxes[i];
+            vibrationX += vibration * axes.x;
+            vibrationY += vibration * axes.y;
+            vibrationZ += vibration * axes.z;
+        });
+
+        this.gyro.x = localAngularVelocity.x + this.bias.x + vibrationX + randomGaussian(this.noiseStdDev, this.random);
+        this.gyro.y = localAngularVelocity.y + this.bias.y + vibrationY + randomGaussian(this.noiseStdDev, this.random);
+        this.gyro.z = localAngularVelocity.z + this.bias.z + vibrationZ + randomGaussian(this.noiseStdDev, this.random);
+        return this.gyro;
+    }
+
+    // Fresh power-up: bias back to zero (the FC calibrates the gyro on boot), vibration back in its starting phase
+    reset() {
+        this.bias = { x: 0, y: 0, z: 0 };
+        this.motorPhases = this.startPhases.map(phases => [...phases]);
+        this.gyro = { x: 0, y: 0, z: 0 };
+    }
+}
+
+export default IMU;
@@ -0,0 +1,67 @@
+// src/simulation/Motor.js
+import { SEA_LEVEL_AIR_DENSITY } from './Atmosphere.js';
+
+export const RPM_TO_RAD_PER_SEC = (2 * Math.PI) / 60;
+
+/**
+ * Brushless motor + propeller model.
+ * RPM follows the commanded output with first-order lag (separate spool-up and spool-down time constants),
+ * the RPM target is set by the motor KV and the supply voltage,
+ * and thrust / drag torque scale with RPM squared through the prop constants (given for sea-level air) and with the air density.
+ * Current draw follows from the shaft power the prop absorbs.
+ */
+class Motor {
+    /**
+     * @param {object} motorSettings DRONE_MOTOR_SETTINGS.
+     * @param {number} airDensity Air density (kg/m³, see Atmosphere.js).
+     */
+    constructor(motorSettings, airDensity = SEA_LEVEL_AIR_DENSITY) {
+        this.rpm = 0;
+        this.thrust = 0; // N
+        this.torque = 0; // N·m (prop drag torque, magnitude only - direction depends on spin)
+        this.current = 0; // A drawn from the battery
+        this.applyConfiguration(motorSettings, airDensity);
+    }
+
+    applyConfiguration(motorSettings, airDensity = SEA_LEVEL_AIR_DENSITY) {
+        this.kv = motorSettings.kv;                                 // RPM per volt
+        this.spoolUpTime = motorSettings.spoolUpTime;               // Time constant (s) when accelerating
+        this.spoolDownTime = motorSettings.spoolDownTime;           // Time constant (s) when braking
+        this.thrustCoefficient = motorSettings.thrustCoefficient;   // N per RPM²
+        this.torqueCoefficient = motorSettings.torqueCoefficient;   // N·m per RPM²
+        this.efficiency = motorSettings.efficiency;                 // Motor + ESC, electrical -> shaft power
+        this.densityRatio = airDensity / SEA_LEVEL_AIR_DENSITY;     // Thinner air, less thrust and less load on the prop
+    }
+
+    /**
+     * Advances the motor state.
+     * @param {number} command Motor output (0 to 1), e.g. from the mixer.
+     * @param {number} voltage Supply voltage (V).
+     * @param {number} deltaTime Time step (s).
+     */
+    update(command, voltage, deltaTime) {
+        const targetRpm = Math.max(0, command) * this.kv * voltage;
+        const timeConstant = targetRpm > this.rpm ? this.spoolUpTime : this.spoolDownTime;
+
+        // Exact discretization of a first-order lag, stable for any time step
+        const alpha = timeConstant > 0 ? 1 - Math.exp(-deltaTime / timeConstant) : 1;
+        this.rpm += (targetRpm - this.rpm) * alpha;
+
+        const rpmSquared = this.rpm * this.rpm;
+        this.thrust = this.thrustCoefficient * this.densityRatio * rpmSquared;
+        this.torque = this.torqueCoefficient * this.densityRatio * rpmSquared;
+
+        // Shaft power (torque x angular speed) back to electrical power, then to current at the supply voltage
+        const shaftPower = this.torque * this.rpm * RPM_TO_RAD_PER_SEC;
+        this.current = voltage > 0 && this.efficiency > 0 ? shaftPower / this.efficiency / voltage : 0;
+    }
+
+    reset() {
+        this.rpm = 0;
+        this.thrust = 0;
+        this.torque = 0;
+        this.current = 0;
+    }
+}
+
+export default Motor;
@@ -0,0 +1,96 @@
+// src/simulation/MotorMixer.js
+import { clamp } from '../utils/Utils.js';
+
+// Betaflight motor numbering for a quad-X: 1 = rear right, 2 = front right, 3 = rear left, 4 = front left.
+// Outputs are always returned in this order so logs and the OSD line up with real firmware.
+export const MOTOR_ORDER = ['rearRight', 'frontRight', 'rearLeft', 'frontLeft'];
+
+/**
+ * Quad-X motor mixer.
+ * Turns a throttle value plus normalized roll/pitch/yaw commands (PID sums) into per-motor outputs (0 to 1).
+ *
+ * Axis commands use the same local axes as the FlightController (X: pitch, Y: yaw, Z: roll).
+ * A motor at local position (x, z) pushing along +Y produces a torque of (-z * T, 0, x * T),
+ * and its propeller drag produces a reaction torque of (-spin * k * T) around Y.
+ */
+class MotorMixer {
+    constructor(motorSettings) {
+        this.motors = []; // [{ name, position: {x, y, z}, spin, rollFactor, pitchFactor, yawFactor }]
+        this.outputs = [];
+        this.idleOutput = 0;
+        this.applyConfiguration(motorSettings);
+    }
+
+    applyConfiguration(motorSettings) {
+        const layout = motorSettings.layout;
+        this.idleOutput = motorSettings.idleOutput || 0;
+
+        // Normalize factors by the longest arm so a full command saturates the outermost motor
+        const maxArm = MOTOR_ORDER.reduce((max, name) => {
+            const { x, z } = layout[name];
+            return Math.max(max, Math.abs(x), Math.abs(z));
+        }, 0) || 1;
+
+        this.motors = MOTOR_ORDER.map(name => {
+            const { x, y = 0, z, spin } = layout[name];
+            return {
+                name,
+                position: { x, y, z },
+                spin,
+                rollFactor: x / maxArm,   // Right side motors (positive x) -> positive Z torque
+                pitchFactor: -z / maxArm, // Front motors (negative z) lift the nose -> positive X torque
+                yawFactor: -spin,         // Speeding up clockwise props (spin -1) -> positive Y torque
+            };
+        });
+        this.outputs = new Array(this.motors.length).fill(0);
+    }
+
+    /**
+     * Mixes throttle and axis commands into motor outputs.
+     * Uses airmode-style saturation: if the axis commands need more range than is available,
+     * they are scaled down together, then throttle is shifted so no motor clips.
+     * @param {number} throttle Collective throttle (0 to 1).
+     * @param {number} roll Roll command (PID sum, roughly -1 to 1).
+     * @param {number} pitch Pitch command.
+     * @param {number} yaw Yaw command.
+     * @returns {number[]} Motor outputs (0 to 1) in MOTOR_ORDER.
+     */
+    mix(throttle, roll, pitch, yaw) {
+        let mixMin = 0;
+        let mixMax = 0;
+        for (let i = 0; i < this.motors.length; i++) {
+            const motor = this.motors[i];
+            const mix = roll * motor.rollFactor + pitch * motor.pitchFactor + yaw * motor.yawFactor;
+            this.outputs[i] = mix;
+            mixMin = Math.min(mixMin, mix);
+            mixMax = Math.max(mixMax, mix);
+        }
+
+        // Scale axis commands down if the requested spread is larger than the motor range
+        const mixRange = mixMax - mixMin;
+        if (mixRange > 1) {
+            for (let i = 0; i < this.outputs.length; i++) {
+                this.outputs[i] /= mixRange;
+            }
+            mixMin /= mixRange;
+            mixMax /= mixRange;
+        }
+
+        // Shift throttle so the full mix fits between 0 and 1
+        const mixedThrottle = clamp(throttle, -mixMin, 1 - mixMax);
+
+        // Map into the usable motor range above idle
+        const range = 1 - this.idleOutput;
+        for (let i = 0; i < this.outputs.length; i++) {
+            const output = clamp(mixedThrottle + this.outputs[i], 0, 1);
+            this.outputs[i] = this.idleOutput + output * range;
+        }
+        return this.outputs;
+    }
+
+    reset() {
+        this.outputs.fill(0);
+    }
+}
+
+export default MotorMixer;
@@ -1,8 +1,11 @@
 // src/simulation/ProceduralWorldGenerator.js
-import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { getCurrentConfig } from '../config/ConfigManager.js';
-import AssetLoader from '../utils/AssetLoader.js'; // Might need later for prop models
+import { createRandom } from '../utils/Utils.js';
+
+// Static props are grouped into one physics body per cell of this size (m). cannon's per-step cost grows with the
+// number of bodies, which adds up at the simulation's 1 kHz physics rate.
+const PROP_CELL_SIZE = 50;
 
 // Placeholder for noise function - you'd typically import this
 // import { createNoise2D } from 'simplex-noise'; // Example import
@@ -12,14 +15,21 @@ const noise = { // Simple placeholder noise function
 };
 
 
+// Lays out the world (terrain heights, props, gates) and builds its physics bodies. No three.js here so it also runs headless,
+// the meshes are built from the same layout by WorldVisuals.
 class ProceduralWorldGenerator {
-    constructor(renderer, physicsEngine) {
-        this.renderer = renderer; // THREE.Scene accessible via engine.renderer.scene
+    constructor(physicsEngine) {
         this.physicsEngine = physicsEngine; // CANNON.World accessible via engine.physicsEngine.world
         this.config = getCurrentConfig();
         this.terrainData = null; // Store height data if needed for placement
+        this.terrainBody = null; // Heightfield body, for ray casts (ground effect)
         this.terrainSize = 300; // Size of the terrain plane
         this.terrainSegments = 64; // Number of segments (resolution) - affects performance
+        this.props = []; // { type: 'TREE' | 'ROCK', x, z, base (terrain height), radius, height (trees) }
+        this.gates = []; // { position, size, rotationY }
+        this.windObstacles = []; // { x, z, radius, top, porosity } per prop/gate, used by WindField for sheltering
+        this.propBodies = new Map(); // Cell and surface key -> static body holding the props of that surface in that cell
+        this.random = createRandom(this.config.WORLD_GENERATION.seed); // Same seed, same world
 
         if (this.config.DEBUG_MODE) {
             console.log("ProceduralWorldGenerator: Initialized");
@@ -36,25 +46,9 @@ class ProceduralWorldGenerator {
 
     // --- Terrain ---
     async generateTerrain() { // Changed to async just in case
-        const terrainGeometry = new THREE.PlaneGeometry(
-            this.terrainSize,    // Corresponds to X dimension initially
-            this.terrainSize,    // Corresponds to Y dimension initially
-            this.terrainSegments,
-            this.terrainSegments
-        );
-        const terrainMaterial = new THREE.MeshStandardMaterial({
-            color: "#678866", // Greenish-brown
-            // wireframe: true, // Set to true for debugging terrain mesh
-            wireframe: false, // Set to false for normal viewing
-            side: THREE.DoubleSide, // Needed if camera goes below 0
-            roughness: 0.9,
-            metalness: 0.1,
-        });
-
         const heightScale = this.config.WORLD_GENERATION.terrainHeightScale || 8;
         const noiseScale = this.config.WORLD_GENERATION.terrainNoiseScale || 0.05;
 
-        const vertices = terrainGeometry.attributes.position.array;
         const heightData = []; // Dimensions: [segments + 1][segments + 1]
 
         let minHeight = Infinity;
@@ -70,40 +64,23 @@ class ProceduralWorldGenerator {
                 const z = (progressZ - 0.5) * this.terrainSize;
                 const noiseVal = noise.simplex2(x * noiseScale, z * noiseScale);
                 const height = noiseVal * heightScale;
-                const vertexIndex = (i * (this.terrainSegments + 1) + j) * 3;
 
                 if (!isNaN(height)) {
-                    vertices[vertexIndex + 2] = height; // Apply height to Z before rotation
                     heightData[i][j] = height; // Store height data[z][x]
                     minHeight = Math.min(minHeight, height);
                     maxHeight = Math.max(maxHeight, height);
                 } else {
                     console.error(`NaN height at i=${i}, j=${j}`);
-                    vertices[vertexIndex + 2] = 0;
                     heightData[i][j] = 0;
                 }
             }
         }
         this.terrainData = heightData;
 
-        terrainGeometry.attributes.position.needsUpdate = true;
-        terrainGeometry.rotateX(-Math.PI / 2); // Rotate geometry
-        terrainGeometry.computeVertexNormals(); // Compute normals AFTER rotation
-
         if (this.config.DEBUG_MODE) {
             console.log(`Generated Terrain Heights - Min: ${minHeight.toFixed(2)}, Max: ${maxHeight.toFixed(2)}`);
         }
 
-        const terrainMesh = new THREE.Mesh(terrainGeometry, terrainMaterial);
-        terrainMesh.position.y = 0; // Set visual position
-        terrainMesh.receiveShadow = true;
-        terrainMesh.castShadow = false;
-        this.renderer.addObject(terrainMesh); // Add visual mesh
-
-        if (this.config.DEBUG_MODE) {
-            console.log("Terrain Mesh Transform:", {position: terrainMesh.position, rotation: terrainMesh.rotation});
-        }
-
         // --- Physics Heightfield ---
         // Recalculate elementSize explicitly: Size / Number of Intervals (Segments)
         const elementSize = this.terrainSize / this.terrainSegments;
@@ -128,7 +105,7 @@ class ProceduralWorldGenerator {
             mass: 0, // Static
             position: new CANNON.Vec3(0, 0, 0), // Body at origin
         });
-        terrainBody.material = this.physicsEngine.getMaterial('ground'); // Assign material AFTER creation;
+        terrainBody.material = this.physicsEngine.getMaterial(this.config.WORLD_GENERATION.terrainSurface || 'grass'); // Assign material AFTER creation;
         const rotation1Axis = new CANNON.Vec3(0, 0, 1); // World Y
         const rotation1Angle = -Math.PI/2; // 45 degrees in radians
         const rotation1Quat = new CANNON.Quaternion();
@@ -150,8 +127,8 @@ class ProceduralWorldGenerator {
         );
         terrainBody.addShape(heightfieldShape, shapeOffset); // Add shape with offset
 
-        // Add body to physics engine AND provide the visual link
-        this.physicsEngine.addBody(terrainBody, terrainMesh); // <<< PASS VISUAL MESH HERE
+        this.physicsEngine.addBody(terrainBody); // Static, the mesh (WorldVisuals) never needs syncing
+        this.terrainBody = terrainBody;
 
         if (this.config.DEBUG_MODE) {
             console.log(`ProceduralWorldGenerator: Terrain physics added. ElementSize: ${elementSize.toFixed(3)}`);
@@ -200,69 +177,62 @@ class ProceduralWorldGenerator {
         const propCount = Math.floor((this.terrainSize * this.terrainSize) * (this.config.WORLD_GENERATION.propDensity || 0.005));
         if (this.config.DEBUG_MODE) console.log(`ProceduralWorldGenerator: Placing ${propCount} props...`);
 
-        const treeMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22, roughness: 0.8 });
-        const rockMaterial = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.9 });
-
         for (let i = 0; i < propCount; i++) {
-            const randX = (Math.random() - 0.5) * this.terrainSize * 0.95; // Avoid edges slightly
-            const randZ = (Math.random() - 0.5) * this.terrainSize * 0.95;
+            const randX = (this.random() - 0.5) * this.terrainSize * 0.95; // Avoid edges slightly
+            const randZ = (this.random() - 0.5) * this.terrainSize * 0.95;
             const terrainHeight = this.getTerrainHeight(randX, randZ); // Use updated getter
 
             // Simple check: Don't place props underwater (assuming water level near 0)
             // Adjust threshold based on expected minHeight
             if (terrainHeight < 0.2) continue;
 
-            const isTree = Math.random() > 0.3; // 70% chance of tree
+            const isTree = this.random() > 0.3; // 70% chance of tree
 
             if (isTree) {
                 // Tree Placeholder (Cone)
-                const height = Math.random() * 4 + 3; // 3m to 7m tall
+                const height = this.random() * 4 + 3; // 3m to 7m tall
                 const radius = height * 0.2;
-                const visualGeo = new THREE.ConeGeometry(radius, height, 8);
-                const visualMesh = new THREE.Mesh(visualGeo, treeMaterial);
-                // Position base slightly above terrain height to avoid z-fighting
-                visualMesh.position.set(randX, terrainHeight + height / 2, randZ);
-                visualMesh.castShadow = true;
-                visualMesh.receiveShadow = true;
-                this.renderer.addObject(visualMesh);
+                this.props.push({ type: 'TREE', x: randX, z: randZ, base: terrainHeight, radius, height });
 
                 // Physics Placeholder (Cylinder) - CANNON Cylinder axis is Y
                 const physicsShape = new CANNON.Cylinder(radius * 0.5, radius * 0.5, height, 8); // Simpler physics shape (trunk)
-                const physicsBody = new CANNON.Body({
-                    mass: 0, // Static
-                    material: this.physicsEngine.getMaterial('default'),
-                    // Position physics body center to match visual center
-                    position: new CANNON.Vec3(randX, terrainHeight + height / 2, randZ)
-                });
-                // Cylinder shape needs no local offset if body position is its center
-                physicsBody.addShape(physicsShape);
-                this.physicsEngine.addBody(physicsBody);
+                // Centered on the visual
+                this._addPropShape(physicsShape, new CANNON.Vec3(randX, terrainHeight + height / 2, randZ), 'wood');
+                // Foliage lets some air through
+                this.windObstacles.push({ x: randX, z: randZ, radius, top: terrainHeight + height, porosity: 0.4 });
 
             } else {
                 // Rock Placeholder (Icosahedron)
-                const radius = Math.random() * 0.5 + 0.3; // 0.3m to 0.8m radius
-                const visualGeo = new THREE.IcosahedronGeometry(radius, 1); // Low detail
-                const visualMesh = new THREE.Mesh(visualGeo, rockMaterial);
-                // Position slightly above terrain height
-                visualMesh.position.set(randX, terrainHeight + radius * 0.5, randZ);
-                visualMesh.castShadow = true;
-                visualMesh.receiveShadow = true;
-                this.renderer.addObject(visualMesh);
+                const radius = this.random() * 0.5 + 0.3; // 0.3m to 0.8m radius
+                this.props.push({ type: 'ROCK', x: randX, z: randZ, base: terrainHeight, radius });
 
                 // Physics Placeholder (Sphere)
                 const physicsShape = new CANNON.Sphere(radius);
-                const physicsBody = new CANNON.Body({
-                    mass: 0, // Static
-                    material: this.physicsEngine.getMaterial('default'),
-                    // Position physics body center to match visual center
-                    position: new CANNON.Vec3(randX, terrainHeight + radius * 0.5, randZ)
-                });
-                // Sphere shape needs no local offset if body position is its center
-                physicsBody.addShape(physicsShape);
-                this.physicsEngine.addBody(physicsBody);
+                // Centered on the visual
+                this._addPropShape(physicsShape, new CANNON.Vec3(randX, terrainHeight + radius * 0.5, randZ), 'rock');
+                this.windObstacles.push({ x: randX, z: randZ, radius, top: terrainHeight + radius * 1.5, porosity: 0 });
             }
         }
-        if (this.config.DEBUG_MODE) console.log(`ProceduralWorldGenerator: Finished placing props.`);
+        if (this.config.DEBUG_MODE) console.log(`ProceduralWorldGenerator: Finished placing props in ${this.propBodies.size} physics bodies.`);
+    }
+
+    // Adds a static prop shape (world position) to the physics body of its cell and surface.
+    // Contact materials are looked up per body, so each surface in a cell gets a body of its own.
+    _addPropShape(shape, position, surface) {
+        const cellX = Math.floor(position.x / PROP_CELL_SIZE);
+        const cellZ = Math.floor(position.z / PROP_CELL_SIZE);
+        const key = `${cellX},${cellZ},${surface}`;
+        let body = this.propBodies.get(key);
+        if (!body) {
+            body = new CANNON.Body({
+                mass: 0, // Static
+                material: this.physicsEngine.getMaterial(surface),
+                position: new CANNON.Vec3((cellX + 0.5) * PROP_CELL_SIZE, 0, (cellZ + 0.5) * PROP_CELL_SIZE),
+            });
+            this.physicsEngine.addBody(body);
+            this.propBodies.set(key, body);
+        }
+        body.addShape(shape, position.vsub(body.position));
     }
 
     // --- Gate Placement ---
@@ -272,16 +242,19 @@ class ProceduralWorldGenerator {
 
         for (let i = 0; i < gateCount; i++) {
             // Simple random placement for now
-            const randX = (Math.random() - 0.5) * this.terrainSize * 0.8; // Keep gates away from far edges
-            const randZ = (Math.random() - 0.5) * this.terrainSize * 0.8;
+            const randX = (this.random() - 0.5) * this.terrainSize * 0.8; // Keep gates away from far edges
+            const randZ = (this.random() - 0.5) * this.terrainSize * 0.8;
             const terrainHeight = this.getTerrainHeight(randX, randZ); // Use updated getter
-            const randomRotationY = Math.random() * Math.PI * 2; // Random orientation
+            const randomRotationY = this.random() * Math.PI * 2; // Random orientation
 
-            const gateSize = { width: 4 + Math.random() * 2, height: 2.5 + Math.random(), depth: 0.2 };
+            const gateSize = { width: 4 + this.random() * 2, height: 2.5 + this.random(), depth: 0.2 };
             // Position gate base at terrain height
             const gatePosition = { x: randX, y: terrainHeight, z: randZ };
 
             this.createObstacle_Gate(gatePosition, gateSize, randomRotationY);
+            this.gates.push({ position: gatePosition, size: gateSize, rotationY: randomRotationY });
+            // A gate is mostly open frame, it barely shelters anything
+            this.windObstacles.push({ x: randX, z: randZ, radius: gateSize.width / 2, top: terrainHeight + gateSize.height, porosity: 0.85 });
         }
         if (this.config.DEBUG_MODE) console.log(`ProceduralWorldGenerator: Finished placing gates.`);
     }
@@ -294,47 +267,14 @@ class ProceduralWorldGenerator {
         const topBarWidth = width;
         const topBarHeight = depth * 2;
 
-        // --- Visuals (Group multiple meshes) ---
-        const gateGroup = new THREE.Group();
-        // Set group position slightly above ground to avoid z-fighting if terrain is perfectly flat here
-        gateGroup.position.set(position.x, position.y + 0.01, position.z);
-        gateGroup.rotation.y = rotationY; // Set group rotation
-
-        const material = new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.7, metalness: 0.2 });
-
-        const pillarGeo = new THREE.BoxGeometry(pillarWidth, pillarHeight, depth);
-
-        // Left Pillar
-        const leftPillarMesh = new THREE.Mesh(pillarGeo, material);
-        // Relative position within group (center pillar base at y=0 relative to group)
-        leftPillarMesh.position.set(-width / 2 + pillarWidth / 2, pillarHeight / 2, 0);
-        leftPillarMesh.castShadow = true; leftPillarMesh.receiveShadow = true;
-        gateGroup.add(leftPillarMesh);
-
-        // Right Pillar
-        const rightPillarMesh = new THREE.Mesh(pillarGeo, material);
-        rightPillarMesh.position.set(width / 2 - pillarWidth / 2, pillarHeight / 2, 0); // Relative position
-        rightPillarMesh.castShadow = true; rightPillarMesh.receiveShadow = true;
-        gateGroup.add(rightPillarMesh);
-
-        // Top Bar
-        const topBarGeo = new THREE.BoxGeometry(topBarWidth, topBarHeight, depth);
-        const topBarMesh = new THREE.Mesh(topBarGeo, material);
-        // Relative position (top bar sits exactly on top of pillars)
-        topBarMesh.position.set(0, pillarHeight - topBarHeight / 2, 0); // Corrected Y position
-        topBarMesh.castShadow = true; topBarMesh.receiveShadow = true;
-        gateGroup.add(topBarMesh);
-
-        this.renderer.addObject(gateGroup); // Add the whole group
-
         // --- Physics (Compound Body) ---
         const gateBody = new CANNON.Body({
             mass: 0, // Static
-            // Set physics body base position to match visual group base position
+            // Gate base, the mesh (WorldVisuals) is placed the same way
             position: new CANNON.Vec3(position.x, position.y, position.z),
-            material: this.physicsEngine.getMaterial('default')
+            material: this.physicsEngine.getMaterial('metal')
         });
-        gateBody.quaternion.setFromEuler(0, rotationY, 0); // Set body rotation to match visual group
+        gateBody.quaternion.setFromEuler(0, rotationY, 0);
 
         // Define shapes relative to the body's origin (which is at position.x, y, z)
         // Use half-extents for CANNON.Box
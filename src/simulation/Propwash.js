@@ -0,0 +1,98 @@
+// src/simulation/Propwash.js
+import * as CANNON from 'cannon-es';
+import { createNoise3D, fractalNoise3D, FRACTAL_NOISE_STD } from '../utils/Noise.js';
+import { clamp } from '../utils/Utils.js';
+
+// Descent rate (in units of the hover induced velocity) where the props start, are fully, and stop being in their own wash.
+// Around 1x the induced velocity the wake recirculates through the props (vortex ring state); much faster descents
+// blow the wake away again (windmill brake state).
+const WASH_ONSET = 0.25;
+const WASH_FULL = 0.75;
+const WASH_PEAK_END = 1.5;
+const WASH_END = 2.5;
+const LATERAL_ESCAPE = 1.0;      // Moving sideways this fast (x induced velocity) flies out of the wash
+const MOTOR_NOISE_SPACING = 7.3; // Offset between motors in noise space, so each prop gets its own buffeting
+const MIN_THRUST_FACTOR = 0;
+const MAX_THRUST_FACTOR = 1.5;
+const localUp = new CANNON.Vec3(0, 1, 0);
+const worldUp = new CANNON.Vec3();
+
+/**
+ * Propwash: descending into your own prop wash at low forward speed.
+ * The props then work in their own turbulent, recirculating wake (up to full vortex ring state), so thrust drops and
+ * fluctuates independently on each motor - the wobble on dives, and the sinking that more throttle doesn't fix right away.
+ * Strength is based on the descent rate through the air along the thrust axis relative to the props' induced velocity
+ * (momentum theory: v_i = √(T / 2ρA)).
+ */
+class Propwash {
+    /**
+     * @param {CANNON.Body} body Drone body.
+     * @param {object} airflowSettings DRONE_AIRFLOW_SETTINGS.
+     * @param {number} airDensity Air density (kg/m³).
+     * @param {number} motorCount Number of motors.
+     * @param {function(): number} random Uniform [0, 1) generator for the buffeting noise (the simulation's seeded one).
+     */
+    constructor(body, airflowSettings, airDensity, motorCount, random = Math.random) {
+        this.body = body;
+        this.noise = createNoise3D(random);
+        this.time = 0;
+        this.intensity = 0; // 0 = clean air, 1 = fully in the wash
+        this.factors = new Array(motorCount).fill(1);
+        this.applyConfiguration(airflowSettings, airDensity);
+    }
+
+    applyConfiguration(airflowSettings, airDensity) {
+        const { propwash } = airflowSettings;
+        this.enabled = propwash.enabled;
+        this.thrustLoss = propwash.thrustLoss;
+        this.turbulence = propwash.turbulence;
+        this.frequencyHz = propwash.frequencyHz;
+        this.airDensity = airDensity;
+        this.diskArea = Math.PI * airflowSettings.propRadius ** 2;
+    }
+
+    /**
+     * Updates the wash intensity and per-motor thrust multipliers.
+     * @param {number} deltaTime Time step (s).
+     * @param {CANNON.Vec3} airVelocity Drone velocity relative to the air (m/s, world frame).
+     * @param {number[]} motorThrusts Current thrust per motor (N).
+     * @returns {number[]} Thrust multiplier per motor.
+     */
+    update(deltaTime, airVelocity, motorThrusts) {
+        this.time += deltaTime;
+        const meanThrust = motorThrusts.reduce((sum, thrust) => sum + thrust, 0) / motorThrusts.length;
+        if (!this.enabled || meanThrust <= 0) { // Stopped props don't make a wash
+            this.intensity = 0;
+            this.factors.fill(1);
+            return this.factors;
+        }
+
+        this.body.vectorToWorldFrame(localUp, worldUp);
+        const axialSpeed = airVelocity.dot(worldUp); // Positive = climbing along the thrust axis
+        const lateralSpeed = Math.sqrt(Math.max(0, airVelocity.lengthSquared() - axialSpeed * axialSpeed));
+        const inducedVelocity = Math.sqrt(meanThrust / (2 * this.airDensity * this.diskArea));
+
+        const descentRatio = -axialSpeed / inducedVelocity;
+        const rampIn = clamp((descentRatio - WASH_ONSET) / (WASH_FULL - WASH_ONSET), 0, 1);
+        const rampOut = clamp((WASH_END - descentRatio) / (WASH_END - WASH_PEAK_END), 0, 1);
+        const lateralEscape = clamp(1 - lateralSpeed / (LATERAL_ESCAPE * inducedVelocity), 0, 1);
+        this.intensity = rampIn * rampOut * lateralEscape;
+
+        // Mean thrust loss plus independent, smoothly varying buffeting on each prop
+        const noiseTime = this.time * this.frequencyHz;
+        this.factors.forEach((_, i) => {
+            const buffet = fractalNoise3D(this.noise, noiseTime, i * MOTOR_NOISE_SPACING, 0) / FRACTAL_NOISE_STD;
+            const factor = 1 - this.intensity * (this.thrustLoss - this.turbulence * buffet);
+            this.factors[i] = clamp(factor, MIN_THRUST_FACTOR, MAX_THRUST_FACTOR);
+        });
+        return this.factors;
+    }
+
+    reset() {
+        this.time = 0;
+        this.intensity = 0;
+        this.factors.fill(1);
+    }
+}
+
+export default Propwash;
@@ -0,0 +1,82 @@
+// src/simulation/RateCurves.js
+import { clamp } from '../utils/Utils.js';
+
+// Stick -> rotation rate curves, ported from Betaflight (src/main/fc/rc.c) so a pilot's real rates carry over 1:1.
+// Per-axis settings use Betaflight's CLI integer units, whatever the rate type:
+//   rcRate     -> <axis>_rc_rate  (BETAFLIGHT/KISS: RC rate x100, ACTUAL: center sensitivity / 10, QUICK: center rate / 2)
+//   superRate  -> <axis>_srate    (BETAFLIGHT/KISS: super rate x100, ACTUAL/QUICK: max rate / 10)
+//   expo       -> <axis>_expo     (expo x100)
+export const RATE_TYPES = ['BETAFLIGHT', 'ACTUAL', 'QUICK', 'KISS'];
+
+// Betaflight caps every setpoint at this rate (deg/s)
+export const SETPOINT_RATE_LIMIT = 1998;
+
+const RC_RATE_INCREMENTAL = 14.54; // Betaflight: RC rates above 2.0 grow faster
+
+const power3 = x => x * x * x;
+const power5 = x => x * x * x * x * x;
+
+function betaflightRate(stick, stickAbs, { rcRate, superRate, expo }) {
+    if (expo) {
+        const expof = expo / 100;
+        stick = stick * power3(stickAbs) * expof + stick * (1 - expof);
+    }
+    let rcRatef = rcRate / 100;
+    if (rcRatef > 2) rcRatef += RC_RATE_INCREMENTAL * (rcRatef - 2);
+    let angleRate = 200 * rcRatef * stick;
+    if (superRate) {
+        angleRate *= 1 / clamp(1 - stickAbs * (superRate / 100), 0.01, 1);
+    }
+    return angleRate;
+}
+
+function actualRate(stick, stickAbs, { rcRate, superRate, expo }) {
+    const expof = expo / 100;
+    const expoCurve = stickAbs * (power5(stick) * expof + stick * (1 - expof));
+    const centerSensitivity = rcRate * 10;
+    const stickMovement = Math.max(0, superRate * 10 - centerSensitivity);
+    return stick * centerSensitivity + stickMovement * expoCurve;
+}
+
+function quickRate(stick, stickAbs, { rcRate, superRate, expo }) {
+    const centerRate = rcRate * 2;
+    const maxRate = Math.max(superRate * 10, centerRate);
+    const expof = expo / 100;
+    const superFactorConfig = centerRate > 0 ? (maxRate / centerRate - 1) / (maxRate / centerRate) : 0;
+    const curve = power3(stickAbs) * expof + stickAbs * (1 - expof);
+    const superFactor = 1 / clamp(1 - curve * superFactorConfig, 0.01, 1);
+    return stick * centerRate * superFactor;
+}
+
+function kissRate(stick, stickAbs, { rcRate, superRate, expo }) {
+    const rcCurve = expo / 100;
+    const useRates = 1 / clamp(1 - stickAbs * (superRate / 100), 0.01, 1);
+    const kissStick = (power3(stick) * rcCurve + stick * (1 - rcCurve)) * (rcRate / 1000);
+    return 2000 * useRates * kissStick;
+}
+
+const RATE_FUNCTIONS = {
+    BETAFLIGHT: betaflightRate,
+    ACTUAL: actualRate,
+    QUICK: quickRate,
+    KISS: kissRate,
+};
+
+/**
+ * Converts a stick position into a target rotation rate.
+ * @param {string} rateType One of RATE_TYPES (unknown types fall back to BETAFLIGHT).
+ * @param {number} stick Stick deflection (-1 to 1).
+ * @param {{rcRate: number, superRate: number, expo: number}} axisRates Per-axis rates in Betaflight CLI units.
+ * @returns {number} Target rate in degrees per second.
+ */
+export function calculateRate(rateType, stick, axisRates) {
+    const rateFunction = RATE_FUNCTIONS[rateType] || betaflightRate;
+    const stickf = clamp(stick, -1, 1);
+    const rate = rateFunction(stickf, Math.abs(stickf), axisRates);
+    return clamp(rate, -SETPOINT_RATE_LIMIT, SETPOINT_RATE_LIMIT);
+}
+
+/** Rate at full stick deflection (deg/s) - what Betaflight Configurator shows as "Max Vel". */
+export function calculateMaxRate(rateType, axisRates) {
+    return calculateRate(rateType, 1, axisRates);
+}
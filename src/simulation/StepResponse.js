@@ -0,0 +1,96 @@
+// src/simulation/StepResponse.js
+
+const MIN_STEP = 100;        // deg/s, smaller setpoint changes aren't analyzed (noise, gentle stick moves)
+const STEP_EDGE_TIME = 0.03; // s, the setpoint has to get there this quickly to count as a step
+const HOLD_TIME = 0.2;       // s the setpoint has to stay put after the step, the window that is measured
+const HOLD_TOLERANCE = 0.1;  // Setpoint wander allowed while holding, as a fraction of the step
+const SETTLE_BAND = 0.05;    // Settled once the gyro stays within this fraction of the step around the setpoint
+const TRACKING_LEVEL = 0.5;  // The gyro has to stay past this fraction of the step for the second half of the window
+
+/**
+ * Step response of one axis from logged flight data, the way pilots read it off blackbox logs: finds quick setpoint
+ * steps that are then held, and measures how the gyro followed each one.
+ *   rise time: 10% to 90% of the step
+ *   overshoot: peak past the new setpoint, in % of the step
+ *   settling time: from the step until the gyro stays within 5% of the step around the setpoint
+ * Steps the gyro didn't follow (not past half the step for the second half of the window: stuck, or a tree in the
+ * way) are left out, their numbers would only be noise.
+ * @param {ArrayLike<number>} time Sample times (s).
+ * @param {ArrayLike<number>} setpoint Target rate (deg/s).
+ * @param {ArrayLike<number>} gyro Measured (filtered) rate (deg/s).
+ * @returns {{steps: number, riseTime: number|null, overshoot: number|null, settlingTime: number|null}} Step count and
+ *   averages over the steps (s, %, s), null without steps. Steps that don't settle within the window are left out of
+ *   the settling time.
+ */
+export function analyzeStepResponse(time, setpoint, gyro) {
+    const riseTimes = [];
+    const overshoots = [];
+    const settlingTimes = [];
+    const count = time.length;
+
+    let i = 0;
+    while (i < count - 1) {
+        // Edge: the setpoint moves by at least MIN_STEP within STEP_EDGE_TIME
+        let edgeEnd = -1;
+        for (let j = i + 1; j < count && time[j] - time[i] <= STEP_EDGE_TIME; j++) {
+            if (Math.abs(setpoint[j] - setpoint[i]) >= MIN_STEP) { edgeEnd = j; break; }
+        }
+        if (edgeEnd < 0) { i++; continue; }
+
+        // Hold: the setpoint stays near its new value for HOLD_TIME
+        const holdEnd = findIndexAfter(time, edgeEnd, time[i] + HOLD_TIME);
+        if (holdEnd < 0) break; // Log ends before the window
+        const initial = setpoint[i];
+        const target = setpoint[holdEnd];
+        const size = target - initial;
+        let held = Math.abs(size) >= MIN_STEP;
+        for (let j = edgeEnd; held && j <= holdEnd; j++) {
+            held = Math.abs(setpoint[j] - target) <= Math.abs(size) * HOLD_TOLERANCE;
+        }
+        if (!held) { i = edgeEnd; continue; }
+
+        // Response, normalized: 0 at the old setpoint, 1 at the new one
+        const response = j => (gyro[j] - initial) / size;
+        const trackingStart = time[i] + HOLD_TIME / 2;
+        let tracked = true;
+        for (let j = holdEnd; tracked && j > edgeEnd && time[j] >= trackingStart; j--) {
+            tracked = response(j) > TRACKING_LEVEL;
+        }
+        if (!tracked) { i = holdEnd; continue; }
+
+        // Rise: from the edge on, one climb from 10% to 90% (a fall back below 10% starts it over, so a gyro spike
+        // before or during the edge doesn't pass for a quick rise)
+        let rise10 = null, rise90 = null, peak = -Infinity, lastOutside = i;
+        for (let j = i; j <= holdEnd; j++) {
+            const value = response(j);
+            if (j >= edgeEnd && rise90 === null) {
+                if (value < 0.1) rise10 = null;
+                else if (rise10 === null) rise10 = time[j];
+                if (rise10 !== null && value >= 0.9) rise90 = time[j];
+            }
+            peak = Math.max(peak, value);
+            if (Math.abs(value - 1) > SETTLE_BAND) lastOutside = j;
+        }
+        if (rise10 !== null && rise90 !== null) riseTimes.push(rise90 - rise10);
+        overshoots.push(Math.max(0, peak - 1) * 100);
+        if (lastOutside < holdEnd) settlingTimes.push(time[lastOutside + 1] - time[i]);
+
+        i = holdEnd; // Next step after this window
+    }
+
+    const mean = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    return {
+        steps: overshoots.length,
+        riseTime: mean(riseTimes),
+        overshoot: mean(overshoots),
+        settlingTime: mean(settlingTimes),
+    };
+}
+
+// First index from `start` on whose time reaches `until`, -1 if the data ends first
+function findIndexAfter(time, start, until) {
+    for (let j = start; j < time.length; j++) {
+        if (time[j] >= until) return j;
+    }
+    return -1;
+}
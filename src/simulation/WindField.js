@@ -0,0 +1,180 @@
+// src/simulation/WindField.js
+import { createNoise3D, fractalNoise3D, FRACTAL_NOISE_STD } from '../utils/Noise.js';
+import { clamp } from '../utils/Utils.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const REFERENCE_HEIGHT = 10;        // WIND_SETTINGS.speed is the wind 10 m above ground, like a weather report
+const SURFACE_ROUGHNESS = 0.1;      // Roughness length z0 (m) of the log wind profile - grass with scattered trees
+const MAX_SHEAR_FACTOR = 1.5;       // Cap on the log profile high above the ground
+const GUST_RATE = 0.25;             // Gusts per second at gustiness 1
+const GUST_DURATION = [1.5, 5];     // Gust length range (s)
+const GUST_MAX_VEER = 30;           // Gusts can blow up to this far off the mean direction (deg)
+const VERTICAL_TURBULENCE = 0.5;    // Vertical eddies are weaker than horizontal ones...
+const GROUND_DAMPING_HEIGHT = 5;    // ...and get squashed close to the ground (m)
+const WAKE_LENGTH = 8;              // An obstacle's wake reaches this many obstacle heights downwind
+const WAKE_SPREAD = 0.15;           // Wake half-width grows by this much per meter downwind
+const WAKE_TURBULENCE = 1.5;        // Extra turbulence inside a fully sheltered wake, relative to the free stream
+const TERRAIN_PROBE_DISTANCES = [5, 10, 20, 40]; // Upwind distances checked for sheltering hills (m)
+const TERRAIN_SHELTER_SLOPE = 0.2;  // Full terrain shelter when this far below the upwind ridge line (m per m)
+const TERRAIN_MAX_SHELTER = 0.8;    // A hill never blocks the wind completely
+
+/**
+ * Wind around the drone.
+ * Made of a mean wind (speed/direction from WIND_SETTINGS) that follows a log profile with height above the terrain,
+ * random gust events, and turbulence from fractal noise that drifts downwind with the mean flow (frozen turbulence),
+ * so neighbouring points feel related gusts. Trees, rocks, gates and hills leave a calmer but more turbulent wake
+ * downwind of them.
+ * Coordinates are world space; direction follows the weather convention (where the wind comes FROM, 0° = -Z, 90° = +X).
+ */
+class WindField {
+    /**
+     * @param {object} windSettings WIND_SETTINGS.
+     * @param {ProceduralWorldGenerator} generator World generator, for terrain height and obstacles (may be null).
+     * @param {function(): number} random Uniform [0, 1) generator for gusts and turbulence (the simulation's seeded one).
+     */
+    constructor(windSettings, generator = null, random = Math.random) {
+        this.generator = generator;
+        this.random = random;
+        this.noise = { x: createNoise3D(random), y: createNoise3D(random), z: createNoise3D(random) };
+        this.drift = { x: 0, z: 0 };        // How far the turbulence pattern has been carried downwind (m)
+        this.gust = null;                   // Active gust event { elapsed, duration, strength, veer }
+        this.gustVector = { x: 0, z: 0 };
+        this.meanWind = { x: 0, z: 0 };     // Base wind + current gust at reference height (m/s)
+        this.applyConfiguration(windSettings);
+    }
+
+    applyConfiguration(windSettings) {
+        this.speed = windSettings.speed;
+        this.direction = windSettings.direction;
+        this.gustiness = windSettings.gustiness;
+        this.turbulence = windSettings.turbulence;
+        this.turbulenceScale = windSettings.turbulenceScale;
+        this.shelterEnabled = windSettings.shelter;
+
+        // Flow direction is opposite to where the wind comes from
+        const from = this.direction * DEG_TO_RAD;
+        this.flowDirection = { x: -Math.sin(from), z: Math.cos(from) };
+        this.baseWind = { x: this.flowDirection.x * this.speed, z: this.flowDirection.z * this.speed };
+        this._updateMeanWind();
+    }
+
+    /**
+     * Advances gusts and the turbulence pattern.
+     * @param {number} deltaTime Time step (s).
+     */
+    update(deltaTime) {
+        if (!this.gust && this.speed > 0 && this.random() < this.gustiness * GUST_RATE * deltaTime) {
+            this.gust = {
+                elapsed: 0,
+                duration: GUST_DURATION[0] + this.random() * (GUST_DURATION[1] - GUST_DURATION[0]),
+                strength: this.speed * this.gustiness * (0.5 + this.random()),
+                veer: (this.random() * 2 - 1) * GUST_MAX_VEER * DEG_TO_RAD,
+            };
+        }
+        if (this.gust) {
+            const gust = this.gust;
+            gust.elapsed += deltaTime;
+            if (gust.elapsed >= gust.duration) {
+                this.gust = null;
+                this.gustVector.x = 0;
+                this.gustVector.z = 0;
+            } else {
+                // 1-cosine gust shape: builds up smoothly, peaks halfway and dies down
+                const magnitude = gust.strength * 0.5 * (1 - Math.cos(2 * Math.PI * gust.elapsed / gust.duration));
+                const cos = Math.cos(gust.veer), sin = Math.sin(gust.veer);
+                const { x, z } = this.flowDirection;
+                this.gustVector.x = (x * cos - z * sin) * magnitude;
+                this.gustVector.z = (x * sin + z * cos) * magnitude;
+            }
+        }
+        this._updateMeanWind();
+
+        this.drift.x += this.meanWind.x * deltaTime;
+        this.drift.z += this.meanWind.z * deltaTime;
+    }
+
+    _updateMeanWind() {
+        this.meanWind.x = this.baseWind.x + this.gustVector.x;
+        this.meanWind.z = this.baseWind.z + this.gustVector.z;
+    }
+
+    /**
+     * Wind velocity at a point.
+     * @param {{x: number, y: number, z: number}} position World position.
+     * @param {{x: number, y: number, z: number}} out Receives the wind velocity (m/s, world frame).
+     * @returns {{x: number, y: number, z: number}} out.
+     */
+    sample(position, out) {
+        const freeSpeed = Math.hypot(this.meanWind.x, this.meanWind.z);
+        if (freeSpeed === 0) {
+            out.x = 0; out.y = 0; out.z = 0;
+            return out;
+        }
+
+        const groundHeight = this.generator?.getTerrainHeight(position.x, position.z) ?? 0;
+        const heightAboveGround = Math.max(position.y - groundHeight, SURFACE_ROUGHNESS);
+        const shear = clamp(Math.log(heightAboveGround / SURFACE_ROUGHNESS) / Math.log(REFERENCE_HEIGHT / SURFACE_ROUGHNESS), 0, MAX_SHEAR_FACTOR);
+
+        const directionX = this.meanWind.x / freeSpeed;
+        const directionZ = this.meanWind.z / freeSpeed;
+        const sheltered = this.shelterEnabled ? this._shelter(position, groundHeight, directionX, directionZ) : 0;
+        const meanScale = shear * (1 - sheltered);
+
+        out.x = this.meanWind.x * meanScale;
+        out.y = 0;
+        out.z = this.meanWind.z * meanScale;
+
+        const sigma = this.turbulence * freeSpeed * shear * (1 + WAKE_TURBULENCE * sheltered) / FRACTAL_NOISE_STD;
+        if (sigma > 0 && this.turbulenceScale > 0) {
+            const scale = 1 / this.turbulenceScale;
+            const nx = (position.x - this.drift.x) * scale;
+            const ny = position.y * scale;
+            const nz = (position.z - this.drift.z) * scale;
+            const groundDamping = Math.min(1, heightAboveGround / GROUND_DAMPING_HEIGHT);
+            out.x += sigma * fractalNoise3D(this.noise.x, nx, ny, nz);
+            out.y += sigma * VERTICAL_TURBULENCE * groundDamping * fractalNoise3D(this.noise.y, nx, ny, nz);
+            out.z += sigma * fractalNoise3D(this.noise.z, nx, ny, nz);
+        }
+        return out;
+    }
+
+    // How much of the free-stream wind is blocked at this point (0 = none, 1 = still air)
+    _shelter(position, groundHeight, directionX, directionZ) {
+        let shelter = 0;
+
+        for (const obstacle of this.generator?.windObstacles ?? []) {
+            if (position.y > obstacle.top) continue;
+            const dx = position.x - obstacle.x;
+            const dz = position.z - obstacle.z;
+            const downwind = dx * directionX + dz * directionZ;
+            const wakeLength = WAKE_LENGTH * Math.max(obstacle.top - groundHeight, obstacle.radius);
+            if (downwind <= 0 || downwind > wakeLength) continue;
+            const crosswind = Math.abs(dx * directionZ - dz * directionX);
+            const halfWidth = obstacle.radius + downwind * WAKE_SPREAD;
+            if (crosswind > halfWidth) continue;
+            // Strongest right behind the obstacle, recovering downwind and towards the wake edges
+            const lateral = crosswind / halfWidth;
+            const strength = (1 - obstacle.porosity) * (1 - downwind / wakeLength) * (1 - lateral * lateral);
+            shelter = Math.max(shelter, strength);
+        }
+
+        if (this.generator) {
+            for (const distance of TERRAIN_PROBE_DISTANCES) {
+                const upwindHeight = this.generator.getTerrainHeight(position.x - directionX * distance, position.z - directionZ * distance);
+                const belowRidge = upwindHeight - position.y;
+                if (belowRidge <= 0) continue;
+                shelter = Math.max(shelter, TERRAIN_MAX_SHELTER * Math.min(1, belowRidge / (TERRAIN_SHELTER_SLOPE * distance)));
+            }
+        }
+        return shelter;
+    }
+
+    reset() {
+        this.drift = { x: 0, z: 0 };
+        this.gust = null;
+        this.gustVector = { x: 0, z: 0 };
+        this._updateMeanWind();
+    }
+}
+
+export default WindField;
@@ -0,0 +1,195 @@
+// src/simulation/WorldVisuals.js
+import * as THREE from 'three';
+import { getCurrentConfig } from '../config/ConfigManager.js';
+import AssetLoader from '../utils/AssetLoader.js';
+
+// The rendered side of the world: lighting, skybox and the meshes for the layout ProceduralWorldGenerator made
+// (terrain, props, gates). Only the browser engine builds these, a headless run only has the physics.
+class WorldVisuals {
+    constructor(renderer, generator) {
+        this.renderer = renderer; // THREE.Scene accessible via renderer.scene
+        this.generator = generator; // Terrain heights, props and gates to build meshes for
+        this.config = getCurrentConfig();
+
+        if (this.config.DEBUG_MODE) {
+            console.log('WorldVisuals: Initialized');
+        }
+    }
+
+    initialize() {
+        // --- Lighting (Essential for visual appearance) ---
+        this.addLighting();
+
+        // --- Skybox (Uses preloaded assets) ---
+        this.addSkybox();
+
+        this.createTerrainMesh();
+        this.createPropMeshes();
+        this.generator.gates.forEach(({ position, size, rotationY }) => this.createGateMesh(position, size, rotationY));
+
+        if (this.config.DEBUG_MODE) console.log('WorldVisuals: World meshes created.');
+    }
+
+    addLighting() {
+        const config = this.config;
+        // Ambient Light
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5); // Adjust intensity
+        this.renderer.addObject(ambientLight);
+
+        // Directional Light (for shadows)
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0); // Adjust intensity
+        directionalLight.position.set(20, 30, 15); // Adjust angle
+        directionalLight.target.position.set(0, 0, 0);
+        this.renderer.addObject(directionalLight.target);
+
+        // Shadow Configuration
+        directionalLight.castShadow = true;
+        directionalLight.shadow.mapSize.width = 2048;
+        directionalLight.shadow.mapSize.height = 2048;
+        const shadowCamSize = this.generator?.terrainSize * 0.6 || 50; // Adjust shadow area based on terrain size
+        directionalLight.shadow.camera.near = 0.5;
+        directionalLight.shadow.camera.far = 100;
+        directionalLight.shadow.camera.left = -shadowCamSize;
+        directionalLight.shadow.camera.right = shadowCamSize;
+        directionalLight.shadow.camera.top = shadowCamSize;
+        directionalLight.shadow.camera.bottom = -shadowCamSize;
+        directionalLight.shadow.bias = -0.002; // Fine-tune bias
+
+        this.renderer.addObject(directionalLight);
+
+        // Optional: Shadow Camera Helper
+        if (config.DEBUG_MODE && config.WORLD_GENERATION.debugShadowCamera) {
+            const shadowCamHelper = new THREE.CameraHelper(directionalLight.shadow.camera);
+            this.renderer.addObject(shadowCamHelper);
+        }
+
+        if (config.DEBUG_MODE) { console.log('WorldVisuals: Lighting added (Directional light casting shadows).'); }
+    }
+
+    addSkybox() {
+        const config = this.config;
+        const skyboxTexture = AssetLoader.getCubeTexture('skybox'); // Get preloaded texture
+        if (skyboxTexture && this.renderer.scene) {
+            this.renderer.scene.background = skyboxTexture;
+            this.renderer.scene.environment = skyboxTexture; // Also set environment map for PBR reflections
+            if (config.DEBUG_MODE) console.log("WorldVisuals: Skybox applied to scene background and environment.");
+        } else {
+            console.warn("WorldVisuals: Skybox texture 'skybox' not found or scene not ready.");
+            // Fallback to color if texture failed
+            this.renderer.scene.background = new THREE.Color(0x6080a0);
+        }
+    }
+
+    // --- Terrain ---
+    createTerrainMesh() {
+        const { terrainData, terrainSize, terrainSegments } = this.generator;
+        if (!terrainData) return;
+
+        const terrainGeometry = new THREE.PlaneGeometry(
+            terrainSize,    // Corresponds to X dimension initially
+            terrainSize,    // Corresponds to Y dimension initially
+            terrainSegments,
+            terrainSegments
+        );
+        const terrainMaterial = new THREE.MeshStandardMaterial({
+            color: "#678866", // Greenish-brown
+            // wireframe: true, // Set to true for debugging terrain mesh
+            wireframe: false, // Set to false for normal viewing
+            side: THREE.DoubleSide, // Needed if camera goes below 0
+            roughness: 0.9,
+            metalness: 0.1,
+        });
+
+        // Same grid as the physics heightfield: data[z][x], row by row
+        const vertices = terrainGeometry.attributes.position.array;
+        for (let i = 0; i <= terrainSegments; i++) {
+            for (let j = 0; j <= terrainSegments; j++) {
+                const vertexIndex = (i * (terrainSegments + 1) + j) * 3;
+                vertices[vertexIndex + 2] = terrainData[i][j]; // Apply height to Z before rotation
+            }
+        }
+
+        terrainGeometry.attributes.position.needsUpdate = true;
+        terrainGeometry.rotateX(-Math.PI / 2); // Rotate geometry
+        terrainGeometry.computeVertexNormals(); // Compute normals AFTER rotation
+
+        const terrainMesh = new THREE.Mesh(terrainGeometry, terrainMaterial);
+        terrainMesh.position.y = 0; // Set visual position
+        terrainMesh.receiveShadow = true;
+        terrainMesh.castShadow = false;
+        this.renderer.addObject(terrainMesh); // Add visual mesh
+    }
+
+    // --- Props ---
+    createPropMeshes() {
+        const treeMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22, roughness: 0.8 });
+        const rockMaterial = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.9 });
+
+        this.generator.props.forEach(prop => {
+            let visualMesh;
+            if (prop.type === 'TREE') {
+                // Tree Placeholder (Cone)
+                visualMesh = new THREE.Mesh(new THREE.ConeGeometry(prop.radius, prop.height, 8), treeMaterial);
+                visualMesh.position.set(prop.x, prop.base + prop.height / 2, prop.z);
+            } else {
+                // Rock Placeholder (Icosahedron), sunk halfway into the ground
+                visualMesh = new THREE.Mesh(new THREE.IcosahedronGeometry(prop.radius, 1), rockMaterial); // Low detail
+                visualMesh.position.set(prop.x, prop.base + prop.radius * 0.5, prop.z);
+            }
+            visualMesh.castShadow = true;
+            visualMesh.receiveShadow = true;
+            this.renderer.addObject(visualMesh);
+        });
+    }
+
+    // --- Gates ---
+    createGateMesh(position, size, rotationY) {
+        const { width, height, depth } = size;
+        const pillarHeight = height;
+        const pillarWidth = depth * 2; // Make pillars a bit thicker relative to depth
+        const topBarWidth = width;
+        const topBarHeight = depth * 2;
+
+        // --- Visuals (Group multiple meshes) ---
+        const gateGroup = new THREE.Group();
+        // Set group position slightly above ground to avoid z-fighting if terrain is perfectly flat here
+        gateGroup.position.set(position.x, position.y + 0.01, position.z);
+        gateGroup.rotation.y = rotationY; // Set group rotation
+
+        const material = new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.7, metalness: 0.2 });
+
+        const pillarGeo = new THREE.BoxGeometry(pillarWidth, pillarHeight, depth);
+
+        // Left Pillar
+        const leftPillarMesh = new THREE.Mesh(pillarGeo, material);
+        // Relative position within group (center pillar base at y=0 relative to group)
+        leftPillarMesh.position.set(-width / 2 + pillarWidth / 2, pillarHeight / 2, 0);
+        leftPillarMesh.castShadow = true; leftPillarMesh.receiveShadow = true;
+        gateGroup.add(leftPillarMesh);
+
+        // Right Pillar
+        const rightPillarMesh = new THREE.Mesh(pillarGeo, material);
+        rightPillarMesh.position.set(width / 2 - pillarWidth / 2, pillarHeight / 2, 0); // Relative position
+        rightPillarMesh.castShadow = true; rightPillarMesh.receiveShadow = true;
+        gateGroup.add(rightPillarMesh);
+
+        // Top Bar
+        const topBarGeo = new THREE.BoxGeometry(topBarWidth, topBarHeight, depth);
+        const topBarMesh = new THREE.Mesh(topBarGeo, material);
+        // Relative position (top bar sits exactly on top of pillars)
+        topBarMesh.position.set(0, pillarHeight - topBarHeight / 2, 0);
+        topBarMesh.castShadow = true; topBarMesh.receiveShadow = true;
+        gateGroup.add(topBarMesh);
+
+        this.renderer.addObject(gateGroup); // Add the whole group
+    }
+
+    dispose() {
+        // Meshes are removed with the rest of the scene by SimulatorEngine.dispose()
+        if (this.config.DEBUG_MODE) {
+            console.log("WorldVisuals: Disposed (placeholder, relies on Engine scene cleanup).");
+        }
+    }
+}
+
+export default WorldVisuals;
@@ -4,6 +4,7 @@ import MenuManager from '../ui/MenuManager.js';
 import EventBus, { EVENTS } from '../utils/EventBus.js';
 import StateManager from '../managers/StateManager.js'; // Import singleton instance
 import LoadingState from './LoadingState.js';
+import ConsoleManager from '../ui/ConsoleManager.js';
 
 class MenuState extends BaseState {
     constructor() {
@@ -23,6 +24,11 @@ class MenuState extends BaseState {
         console.log("Exiting Menu State");
         MenuManager.hideElement(MenuManager.mainMenuElement);
         // EventBus.off(EVENTS.FLY_BUTTON_CLICKED, this.handleFlyClick); // Unsubscribe
+        ConsoleManager.close();
+    }
+
+    handleConsoleKey() {
+        ConsoleManager.toggle();
     }
 
     // If MenuManager emits event, main app orchestrator handles it.
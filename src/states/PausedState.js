@@ -6,6 +6,7 @@ import SimulatingState from './SimulatingState.js';
 import MenuState from './MenuState.js'; // For return to main menu
 import EventBus, { EVENTS } from '../utils/EventBus.js';
 import ConfigManager from '../config/ConfigManager.js'; // Still needed for debug check
+import ConsoleManager from '../ui/ConsoleManager.js';
 
 class PausedState extends BaseState {
     constructor() {
@@ -35,6 +36,7 @@ class PausedState extends BaseState {
     exit() {
         console.log("Exiting Paused State");
         MenuManager.hideInSimMenu(); // Hide the whole pause menu overlay
+        ConsoleManager.close();
         // Engine resume is handled by SimulatingState.enter()
 
         EventBus.off(EVENTS.RESUME_BUTTON_CLICKED, this.handleResume);
@@ -56,6 +58,10 @@ class PausedState extends BaseState {
         // --- END New Escape Logic ---
     }
 
+    handleConsoleKey() {
+        ConsoleManager.toggle();
+    }
+
     handleCanvasClick() {
         // Allow clicking canvas to resume only if no view is active
         if (!MenuManager.isViewActive()) {
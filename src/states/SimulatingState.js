@@ -5,11 +5,13 @@ import StateManager from '../managers/StateManager.js';
 import PausedState from './PausedState.js';
 import EventBus, { EVENTS } from '../utils/EventBus.js';
 import ConfigManager from '../config/ConfigManager.js';
+import ConsoleManager from '../ui/ConsoleManager.js';
 
 
 class SimulatingState extends BaseState {
     constructor() {
         super();
+        this.handleAutotuneFinished = this.handleAutotuneFinished.bind(this);
     }
 
     enter() {
@@ -24,6 +26,7 @@ class SimulatingState extends BaseState {
         MenuManager.showSimulationView();
         this.engine.resume(); // Ensure engine simulation logic is running (might already be if starting)
         this.requestPointerLock();
+        EventBus.on(EVENTS.AUTOTUNE_FINISHED, this.handleAutotuneFinished);
 
         // Listen for pause requests (e.g., Escape key handled globally, emits event)
         // EventBus.on(EVENTS.SIM_PAUSE_REQUESTED, this.handlePauseRequest);
@@ -31,6 +34,7 @@ class SimulatingState extends BaseState {
 
     exit() {
         console.log("Exiting Simulating State");
+        EventBus.off(EVENTS.AUTOTUNE_FINISHED, this.handleAutotuneFinished);
         // Pausing logic might be handled by the engine itself when state changes
         // this.engine?.pause(); // Pause simulation logic when leaving this state
         // EventBus.off(EVENTS.SIM_PAUSE_REQUESTED, this.handlePauseRequest);
@@ -47,6 +51,13 @@ class SimulatingState extends BaseState {
         StateManager.changeState(new PausedState(this.manager, this.context));
     }
 
+    // The console opens over the pause menu, so the sim doesn't fly on while typing
+    handleConsoleKey() {
+        console.log("SimulatingState: Console key pressed, changing to PausedState");
+        StateManager.changeState(new PausedState(this.manager, this.context));
+        ConsoleManager.open();
+    }
+
     handlePointerLockChange(isLocked) {
         if (!isLocked) {
             console.log("SimulatingState: Pointer lock released, changing to PausedState");
@@ -57,6 +68,13 @@ class SimulatingState extends BaseState {
         }
     }
 
+    // Autotune landed its result: pause on the before/after comparison so it can be accepted or rejected
+    handleAutotuneFinished() {
+        console.log("SimulatingState: Autotune finished, changing to PausedState");
+        StateManager.changeState(new PausedState(this.manager, this.context));
+        MenuManager.showFlightControllerSettings();
+    }
+
     handleCanvasClick() {
         this.requestPointerLock(); // Attempt to regain lock on click
     }
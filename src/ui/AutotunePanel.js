@@ -0,0 +1,114 @@
+// src/ui/AutotunePanel.js
+import EventBus, { EVENTS } from '../utils/EventBus.js';
+import ConfigManager from '../config/ConfigManager.js';
+import { AUTOTUNE_AXES, autotuneSettings } from '../simulation/Autotune.js';
+
+const GAIN_COLUMNS = [['P', 'kp'], ['I', 'ki'], ['D', 'kd'], ['FF', 'kf']];
+
+/**
+ * Autotune in the Flight Controller settings panel: starts a run (it flies once the menu is closed) and shows the
+ * result as a before/after comparison per axis - gains, overshoot and rise time - to accept into the config or reject.
+ */
+class AutotunePanel {
+    /**
+     * @param {function(): void} onAccepted Called after accepted gains are saved, so the gain sliders can be rebuilt.
+     */
+    constructor(onAccepted) {
+        this.onAccepted = onAccepted;
+        this.result = null;   // Last autotune result, until accepted or rejected
+        this.pending = false; // Start requested, flies when the menu closes
+
+        this.element = document.createElement('div');
+        this.element.className = 'autotune-panel';
+        this.status = document.createElement('div');
+        this.status.className = 'autotune-status';
+        this.table = document.createElement('table');
+        this.table.className = 'autotune-table';
+        this.buttons = document.createElement('div');
+        this.buttons.className = 'autotune-buttons';
+        this.startButton = this._createButton('Start Autotune', () => {
+            this.pending = true;
+            EventBus.emit(EVENTS.AUTOTUNE_START_REQUESTED);
+            this.render();
+        });
+        this.acceptButton = this._createButton('Accept', () => {
+            ConfigManager.updateUserSettings(autotuneSettings(this.result.gains));
+            this.result = null;
+            this.render();
+            this.onAccepted?.();
+        });
+        this.rejectButton = this._createButton('Reject', () => {
+            this.result = null;
+            this.render();
+        });
+        this.element.append(this.status, this.table, this.buttons);
+
+        this._boundFinished = (result) => {
+            this.pending = false;
+            this.result = result;
+            this.render();
+        };
+        EventBus.on(EVENTS.AUTOTUNE_FINISHED, this._boundFinished);
+        this.render();
+    }
+
+    _createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.className = 'button-reset-category'; // Same look as the other panel buttons
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    render() {
+        const tunedAxes = AUTOTUNE_AXES.filter(axis => this.result?.axes[axis]);
+        if (this.pending) {
+            this.status.textContent = 'Autotune starts when you resume: it arms, climbs 2 m and flies stick steps on each axis. Keep clear of obstacles; disarm to stop.';
+        } else if (!this.result) {
+            this.status.textContent = 'Flies stick steps on each axis and suggests P/I/D/feedforward gains for the target overshoot and rise time below.';
+        } else if (this.result.error) {
+            this.status.textContent = `Autotune stopped: ${this.result.error}.${tunedAxes.length > 0 ? ' Suggestions for the finished axes:' : ''}`;
+        } else {
+            this.status.textContent = 'Autotune done. Accept saves the suggested gains, Reject keeps the current ones.';
+        }
+
+        this.table.replaceChildren();
+        if (tunedAxes.length > 0) {
+            const header = this.table.insertRow();
+            ['', ...GAIN_COLUMNS.map(([label]) => label), 'Overshoot', 'Rise'].forEach(text => {
+                const cell = document.createElement('th');
+                cell.textContent = text;
+                header.appendChild(cell);
+            });
+            tunedAxes.forEach(axis => {
+                const { before, after } = this.result.axes[axis];
+                this._addRow(`${axis[0].toUpperCase()}${axis.slice(1)} before`, before, null);
+                this._addRow('after', after, before);
+            });
+        }
+
+        const buttons = this.pending ? [] : [this.startButton];
+        if (tunedAxes.length > 0) buttons.push(this.acceptButton, this.rejectButton);
+        this.buttons.replaceChildren(...buttons);
+    }
+
+    // One row of the comparison: the gains (changed ones highlighted) and the step response they gave
+    _addRow(label, { gains, response }, before) {
+        const row = this.table.insertRow();
+        row.insertCell().textContent = label;
+        GAIN_COLUMNS.forEach(([, key]) => {
+            const cell = row.insertCell();
+            cell.textContent = `${gains[key]}`;
+            if (before && before.gains[key] !== gains[key]) cell.className = 'changed';
+        });
+        const { overshoot, riseTime } = response;
+        row.insertCell().textContent = overshoot === null ? '-' : `${overshoot.toFixed(0)}%`;
+        row.insertCell().textContent = riseTime === null ? '-' : `${(riseTime * 1000).toFixed(0)} ms`;
+    }
+
+    dispose() {
+        EventBus.off(EVENTS.AUTOTUNE_FINISHED, this._boundFinished);
+    }
+}
+
+export default AutotunePanel;
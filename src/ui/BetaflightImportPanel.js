@@ -0,0 +1,78 @@
+// src/ui/BetaflightImportPanel.js
+import ConfigManager from '../config/ConfigManager.js';
+import { importBetaflightSettings } from '../config/BetaflightImport.js';
+
+/**
+ * Betaflight import in the Flight Controller settings panel: paste the CLI output of a `diff all` from a real quad,
+ * import it into the selected drone preset's settings and see what didn't carry over (see BetaflightImport.js).
+ */
+class BetaflightImportPanel {
+    /**
+     * @param {function(): void} onImported Called after the settings are saved, so the sliders can be rebuilt.
+     */
+    constructor(onImported) {
+        this.onImported = onImported;
+
+        this.element = document.createElement('div');
+        this.element.className = 'bf-import-panel';
+        const help = document.createElement('div');
+        help.className = 'bf-import-status';
+        help.textContent = 'Paste the output of `diff all` from the Betaflight CLI. Settings it leaves out get Betaflight\'s defaults, like on the quad.';
+        this.textArea = document.createElement('textarea');
+        this.textArea.rows = 6;
+        this.textArea.spellcheck = false;
+        this.textArea.placeholder = 'set p_roll = 45\nset roll_rc_rate = 7\n...';
+        // Typing mustn't reach the sim's keyboard controls (Enter arms, R resets...), only Escape closes the menu
+        ['keydown', 'keyup'].forEach(type => this.textArea.addEventListener(type, (event) => {
+            if (event.key !== 'Escape') event.stopPropagation();
+        }));
+        const button = document.createElement('button');
+        button.textContent = 'Import';
+        button.className = 'button-reset-category'; // Same look as the other panel buttons
+        button.addEventListener('click', () => this._import());
+        const buttons = document.createElement('div');
+        buttons.className = 'bf-import-buttons';
+        buttons.appendChild(button);
+        this.report = document.createElement('div');
+        this.report.className = 'bf-import-report';
+        this.element.append(help, this.textArea, buttons, this.report);
+    }
+
+    _import() {
+        const text = this.textArea.value;
+        if (!/^\s*set\s/im.test(text)) {
+            this._showReport([['No `set` lines found.', []]]);
+            return;
+        }
+        const { settings, unsupported, approximated, invalid } = importBetaflightSettings(text);
+        ConfigManager.updateUserSettings(settings);
+        this._showReport([
+            [`Imported into ${ConfigManager.getDronePreset(ConfigManager.getConfig().DRONE_PRESET).name}.`, []],
+            ['Approximated:', approximated.map(({ name, note }) => `${name}: ${note}`)],
+            ['Invalid values, Betaflight default used:', invalid],
+            ['Not simulated:', unsupported.length > 0 ? [unsupported.join(', ')] : []],
+        ]);
+        this.onImported?.();
+    }
+
+    // Sections of [title, lines], the ones with lines (and the first) shown
+    _showReport(sections) {
+        const elements = sections
+            .filter(([, lines], i) => i === 0 || lines.length > 0)
+            .map(([title, lines]) => {
+                const section = document.createElement('div');
+                const heading = document.createElement('strong');
+                heading.textContent = title;
+                section.appendChild(heading);
+                lines.forEach(line => {
+                    const item = document.createElement('div');
+                    item.textContent = line;
+                    section.appendChild(item);
+                });
+                return section;
+            });
+        this.report.replaceChildren(...elements);
+    }
+}
+
+export default BetaflightImportPanel;
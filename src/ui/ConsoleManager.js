@@ -0,0 +1,149 @@
+// src/ui/ConsoleManager.js
+import EventBus, { EVENTS } from '../utils/EventBus.js';
+import ConfigCLI from '../config/ConfigCLI.js';
+import MenuManager from './MenuManager.js';
+
+const CONSOLE_KEY = '`';
+const MAX_OUTPUT_LINES = 1000;
+const MAX_HISTORY = 50;
+
+/**
+ * The CLI console (see ConfigCLI.js): a text overlay opened with the backtick key, over the pause and main menus.
+ * Enter runs a command (pasted text runs line by line), Tab completes, Up/Down go through the history and
+ * Escape or backtick closes it. Keys typed here don't reach the sim's keyboard controls.
+ */
+class ConsoleManager {
+    constructor() {
+        this.cli = new ConfigCLI();
+        this.element = null;
+        this.outputElement = null;
+        this.inputElement = null;
+        this.isOpen = false;
+        this.history = [];        // Commands run, newest last
+        this.historyIndex = 0;    // Position while browsing with Up/Down, history.length = the line being typed
+        this.configChanged = false; // Set by CONFIG_UPDATED while a command runs
+        this._boundConfigUpdated = () => { this.configChanged = true; };
+
+        if (ConsoleManager._instance) {
+            return ConsoleManager._instance;
+        }
+        ConsoleManager._instance = this;
+        console.log("ConsoleManager: Initialized (Singleton)");
+    }
+
+    initialize() {
+        this.element = document.createElement('div');
+        this.element.id = 'cli-console';
+        this.element.className = 'hidden';
+        this.outputElement = document.createElement('pre');
+        this.outputElement.className = 'cli-output';
+        this.inputElement = document.createElement('input');
+        this.inputElement.className = 'cli-input';
+        this.inputElement.type = 'text';
+        this.inputElement.spellcheck = false;
+        this.inputElement.autocomplete = 'off';
+        this.element.append(this.outputElement, this.inputElement);
+        document.body.appendChild(this.element);
+
+        this.inputElement.addEventListener('keydown', (event) => this._handleKeyDown(event));
+        this.inputElement.addEventListener('keyup', (event) => event.stopPropagation());
+        this.inputElement.addEventListener('paste', (event) => this._handlePaste(event));
+        this._print(['# CLI - type help for the commands, Tab completes, Escape closes']);
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    open() {
+        if (!this.element || this.isOpen) return;
+        this.isOpen = true;
+        this.element.classList.remove('hidden');
+        this.inputElement.value = '';
+        this.inputElement.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+        this.inputElement.blur();
+    }
+
+    _handleKeyDown(event) {
+        event.stopPropagation(); // Typing mustn't arm, reset or pause the sim
+        switch (event.key) {
+            case 'Escape':
+            case CONSOLE_KEY:
+                event.preventDefault();
+                this.close();
+                break;
+            case 'Enter':
+                event.preventDefault();
+                this._run(this.inputElement.value);
+                this.inputElement.value = '';
+                break;
+            case 'Tab':
+                event.preventDefault();
+                this._complete();
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                event.preventDefault();
+                this._browseHistory(event.key === 'ArrowUp' ? -1 : 1);
+                break;
+        }
+    }
+
+    // A pasted diff runs like typed lines; single-line text is just inserted
+    _handlePaste(event) {
+        const text = event.clipboardData?.getData('text') ?? '';
+        const lines = text.split(/\r?\n/);
+        if (lines.length < 2) return;
+        event.preventDefault();
+        lines.forEach(line => this._run(line));
+    }
+
+    _run(line) {
+        this._print([`# ${line}`]);
+        if (line.trim()) {
+            this.history.push(line);
+            if (this.history.length > MAX_HISTORY) this.history.shift();
+        }
+        this.historyIndex = this.history.length;
+
+        this.configChanged = false;
+        EventBus.on(EVENTS.CONFIG_UPDATED, this._boundConfigUpdated);
+        const { output, close } = this.cli.execute(line);
+        EventBus.off(EVENTS.CONFIG_UPDATED, this._boundConfigUpdated);
+
+        this._print(output);
+        if (this.configChanged) MenuManager.refreshSettingsViews(); // Sliders don't follow config changes by themselves
+        if (close) this.close();
+    }
+
+    _complete() {
+        const { selectionStart, value } = this.inputElement;
+        const { line, candidates } = this.cli.complete(value.slice(0, selectionStart));
+        if (candidates.length > 0) this._print(candidates);
+        this.inputElement.value = line + value.slice(selectionStart);
+        this.inputElement.setSelectionRange(line.length, line.length);
+    }
+
+    _browseHistory(step) {
+        this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + step));
+        this.inputElement.value = this.history[this.historyIndex] ?? '';
+    }
+
+    _print(lines) {
+        if (lines.length === 0) return;
+        const text = this.outputElement.textContent + lines.join('\n') + '\n';
+        const kept = text.split('\n').slice(-MAX_OUTPUT_LINES - 1); // Trailing newline leaves an empty last entry
+        this.outputElement.textContent = kept.join('\n');
+        this.outputElement.scrollTop = this.outputElement.scrollHeight;
+    }
+}
+
+const instance = new ConsoleManager();
+export default instance;
@@ -4,6 +4,15 @@ import ConfigManager from '../config/ConfigManager.js';
 import UIComponentFactory from './UIComponentFactory.js';
 import StateManager from "../managers/StateManager.js";
 import InputManager from "../managers/InputManager.js";
+import { FLIGHT_MODES } from '../simulation/FlightController.js';
+import { RATE_TYPES } from '../simulation/RateCurves.js';
+import RateCurveGraph from './RateCurveGraph.js';
+import TuningGraph from './TuningGraph.js';
+import AutotunePanel from './AutotunePanel.js';
+import BetaflightImportPanel from './BetaflightImportPanel.js';
+import { computeFrameProperties } from '../simulation/FrameGeometry.js';
+import ENVIRONMENT_PRESETS, { CUSTOM_ENVIRONMENT } from '../config/environmentPresets.js';
+import { resolveEnvironment } from '../simulation/Atmosphere.js';
 
 class MenuManager {
     constructor() {
@@ -11,6 +20,7 @@ class MenuManager {
         this.mainMenuElement = document.getElementById('main-menu');
         this.loadingIndicatorElement = document.getElementById('loading-indicator');
         this.flyButton = document.getElementById('fly-button');
+        this.presetPickerElement = document.getElementById('drone-preset-picker');
         this.osdElement = document.getElementById('osd');
         this.canvasElement = document.getElementById('webgl-canvas');
         this.fadeOverlay = document.getElementById('fade-overlay');
@@ -49,6 +59,8 @@ class MenuManager {
         this.gamepadSettingsContent = document.getElementById('gamepad-settings-content');
         this.keyboardSettingsDisplay = document.getElementById('keyboard-settings-display');
         this.fcSettingsContent = null; // Will be assigned in _populate
+        this.frameSummaryValues = null; // Value spans of the frame summary, refreshed on config changes
+        this.environmentSummaryValue = null; // Value span of the resulting gravity/air density, refreshed the same way
 
         this.activeView = null; // Track the currently active view element
         this.activePanels = {}; // Track active panel per view { viewId: panelId }
@@ -66,6 +78,7 @@ class MenuManager {
     initialize() {
         console.log("MenuManager: Initializing UI components and listeners...");
         this._populateSettingsPanels();
+        this._populatePresetPicker();
         this._addEventListeners();
 
         // Set initial visibility
@@ -207,7 +220,7 @@ class MenuManager {
         this.fcSettingsContent?.replaceChildren(); // Clear it
 
         // Use UIComponentFactory
-        const { createSlider, createCheckbox, createDisplayItem, createResetButton } = UIComponentFactory;
+        const { createSlider, createCheckbox, createSelect, createDisplayItem, createResetButton } = UIComponentFactory;
 
         // Append to the correct containers
         this.graphicsSettingsContent?.appendChild(this._createHeading('Graphics Settings'));
@@ -222,25 +235,179 @@ class MenuManager {
         this.flySettingsContent?.appendChild(createResetButton('Reset FOV', 'FPV_CAMERA_FOV')); // Reset specific fly setting example
 
         this.fcSettingsContent?.appendChild(this._createHeading('Flight Controller Settings'));
-        this.fcSettingsContent?.appendChild(createSlider('Roll Rate P', 0, 2.0, 0.01, 'FLIGHT_CONTROLLER_SETTINGS.PID.roll.kp'));
-        this.fcSettingsContent?.appendChild(createSlider('Roll Rate I', 0, 1.0, 0.01, 'FLIGHT_CONTROLLER_SETTINGS.PID.roll.ki'));
-        this.fcSettingsContent?.appendChild(createSlider('Roll Rate D', 0, 0.2, 0.002, 'FLIGHT_CONTROLLER_SETTINGS.PID.roll.kd'));
-        this.fcSettingsContent?.appendChild(createSlider('Pitch Rate P', 0, 2.0, 0.02, 'FLIGHT_CONTROLLER_SETTINGS.PID.pitch.kp'));
-        this.fcSettingsContent?.appendChild(createSlider('Pitch Rate I', 0, 1.0, 0.01, 'FLIGHT_CONTROLLER_SETTINGS.PID.pitch.ki'));
-        this.fcSettingsContent?.appendChild(createSlider('Pitch Rate D', 0, 0.2, 0.002, 'FLIGHT_CONTROLLER_SETTINGS.PID.pitch.kd'));
+        this.tuningGraph = this.tuningGraph || new TuningGraph(); // Created once, it keeps the last two runs
+        this.fcSettingsContent?.appendChild(this.tuningGraph.element);
+        this.fcSettingsContent?.appendChild(createSlider('Tuning Graph Length (s)', 2, 30, 1, 'TUNING_GRAPH_SETTINGS.duration'));
+        this.fcSettingsContent?.appendChild(createSlider('Roll Rate P', 0, 0.2, 0.001, 'FLIGHT_CONTROLLER_SETTINGS.PID.roll.kp'));
+        this.fcSettingsContent?.appendChild(createSlider('Roll Rate I', 0, 2.0, 0.01, 'FLIGHT_CONTROLLER_SETTINGS.PID.roll.ki'));
+        this.fcSettingsContent?.appendChild(createSlider('Roll Rate D', 0, 0.01, 0.0001, 'FLIGHT_CONTROLLER_SETTINGS.PID.roll.kd'));
+        this.fcSettingsContent?.appendChild(createSlider('Pitch Rate P', 0, 0.2, 0.001, 'FLIGHT_CONTROLLER_SETTINGS.PID.pitch.kp'));
+        this.fcSettingsContent?.appendChild(createSlider('Pitch Rate I', 0, 2.0, 0.01, 'FLIGHT_CONTROLLER_SETTINGS.PID.pitch.ki'));
+        this.fcSettingsContent?.appendChild(createSlider('Pitch Rate D', 0, 0.01, 0.0001, 'FLIGHT_CONTROLLER_SETTINGS.PID.pitch.kd'));
         this.fcSettingsContent?.appendChild(createSlider('Yaw Rate P', 0, 3.0, 0.05, 'FLIGHT_CONTROLLER_SETTINGS.PID.yaw.kp'));
-        this.fcSettingsContent?.appendChild(createSlider('Yaw Rate I', 0, 1.0, 0.01, 'FLIGHT_CONTROLLER_SETTINGS.PID.yaw.ki'));
+        this.fcSettingsContent?.appendChild(createSlider('Yaw Rate I', 0, 2.0, 0.01, 'FLIGHT_CONTROLLER_SETTINGS.PID.yaw.ki'));
         this.fcSettingsContent?.appendChild(createSlider('Yaw Rate D', 0, 0.1, 0.002, 'FLIGHT_CONTROLLER_SETTINGS.PID.yaw.kd'));
         this.fcSettingsContent?.appendChild(createSlider('PID I-Limit', 0, 1.0, 0.02, 'FLIGHT_CONTROLLER_SETTINGS.PID.iLimit'));
-        this.fcSettingsContent?.appendChild(createSlider('Max Roll/Pitch Rate (°/s)', 100, 1500, 10, 'FLIGHT_CONTROLLER_SETTINGS.RATE_LIMITS.roll'));
-        this.fcSettingsContent?.appendChild(createSlider('Max Yaw Rate (°/s)', 100, 1000, 10, 'FLIGHT_CONTROLLER_SETTINGS.RATE_LIMITS.yaw'));
+        this.fcSettingsContent?.appendChild(createSlider('PID Sum Limit (Roll/Pitch)', 0.1, 1.0, 0.05, 'FLIGHT_CONTROLLER_SETTINGS.PID.sumLimit'));
+        this.fcSettingsContent?.appendChild(createSlider('PID Sum Limit (Yaw)', 0.1, 1.0, 0.05, 'FLIGHT_CONTROLLER_SETTINGS.PID.sumLimitYaw'));
+        this.fcSettingsContent?.appendChild(this._createHeading('Autotune'));
+        // Created once, it keeps the last result. Accepted gains are saved behind the sliders' back, so rebuild them
+        this.autotunePanel = this.autotunePanel || new AutotunePanel(() => this._populateSettingsPanels());
+        this.fcSettingsContent?.appendChild(this.autotunePanel.element);
+        this.fcSettingsContent?.appendChild(createSlider('Target Overshoot (%)', 0, 30, 1, 'AUTOTUNE_SETTINGS.targetOvershoot'));
+        this.fcSettingsContent?.appendChild(createSlider('Target Rise Time (s)', 0.01, 0.1, 0.005, 'AUTOTUNE_SETTINGS.targetRiseTime'));
+        this.fcSettingsContent?.appendChild(createSlider('Target Rise Time Yaw (s)', 0.02, 0.2, 0.005, 'AUTOTUNE_SETTINGS.targetRiseTimeYaw'));
+        this.fcSettingsContent?.appendChild(createSlider('Step Rate (°/s)', 50, 400, 10, 'AUTOTUNE_SETTINGS.stepRate'));
+        this.fcSettingsContent?.appendChild(createSlider('Tests per Axis', 1, 12, 1, 'AUTOTUNE_SETTINGS.maxIterations'));
+        this.fcSettingsContent?.appendChild(createResetButton('Reset Autotune', 'AUTOTUNE_SETTINGS'));
+        this.fcSettingsContent?.appendChild(this._createHeading('Import from Betaflight'));
+        // Created once, it keeps the pasted text and the last report
+        this.betaflightImportPanel = this.betaflightImportPanel || new BetaflightImportPanel(() => this._populateSettingsPanels());
+        this.fcSettingsContent?.appendChild(this.betaflightImportPanel.element);
+        this.fcSettingsContent?.appendChild(this._createHeading('Gyro Filters'));
+        this.fcSettingsContent?.appendChild(createSelect('Gyro Lowpass 1 Type', ['PT1', 'BIQUAD'], 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.lowpass1.type'));
+        this.fcSettingsContent?.appendChild(createSlider('Gyro Lowpass 1 Cutoff (Hz)', 0, 1000, 5, 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.lowpass1.cutoffHz'));
+        this.fcSettingsContent?.appendChild(createSelect('Gyro Lowpass 2 Type', ['PT1', 'BIQUAD'], 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.lowpass2.type'));
+        this.fcSettingsContent?.appendChild(createSlider('Gyro Lowpass 2 Cutoff (Hz)', 0, 1000, 5, 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.lowpass2.cutoffHz'));
+        this.fcSettingsContent?.appendChild(createSlider('Static Notch Center (Hz)', 0, 1000, 5, 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.staticNotch.centerHz'));
+        this.fcSettingsContent?.appendChild(createSlider('Static Notch Cutoff (Hz)', 0, 1000, 5, 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.staticNotch.cutoffHz'));
+        this.fcSettingsContent?.appendChild(createCheckbox('Enable RPM Filter', 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.rpmFilter.enabled'));
+        this.fcSettingsContent?.appendChild(createSlider('RPM Filter Harmonics', 1, 3, 1, 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.rpmFilter.harmonics'));
+        this.fcSettingsContent?.appendChild(createSlider('RPM Filter Q (x100)', 100, 1000, 10, 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.rpmFilter.q'));
+        this.fcSettingsContent?.appendChild(createSlider('RPM Filter Min (Hz)', 50, 200, 5, 'FLIGHT_CONTROLLER_SETTINGS.GYRO_FILTERS.rpmFilter.minHz'));
+        this.fcSettingsContent?.appendChild(this._createHeading('D-Term Filter'));
+        this.fcSettingsContent?.appendChild(createSelect('D-Term Lowpass Type', ['PT1', 'BIQUAD'], 'FLIGHT_CONTROLLER_SETTINGS.DTERM_FILTER.type'));
+        this.fcSettingsContent?.appendChild(createSlider('D-Term Lowpass Cutoff (Hz)', 0, 300, 5, 'FLIGHT_CONTROLLER_SETTINGS.DTERM_FILTER.cutoffHz'));
+        this.fcSettingsContent?.appendChild(this._createHeading('Feedforward'));
+        this.fcSettingsContent?.appendChild(createSlider('Roll Feedforward', 0, 0.005, 0.0001, 'FLIGHT_CONTROLLER_SETTINGS.FEEDFORWARD.roll'));
+        this.fcSettingsContent?.appendChild(createSlider('Pitch Feedforward', 0, 0.005, 0.0001, 'FLIGHT_CONTROLLER_SETTINGS.FEEDFORWARD.pitch'));
+        this.fcSettingsContent?.appendChild(createSlider('Yaw Feedforward', 0, 0.005, 0.0001, 'FLIGHT_CONTROLLER_SETTINGS.FEEDFORWARD.yaw'));
+        this.fcSettingsContent?.appendChild(createSlider('Feedforward Smoothing (Hz)', 0, 100, 1, 'FLIGHT_CONTROLLER_SETTINGS.FEEDFORWARD.smoothingCutoffHz'));
+        this.fcSettingsContent?.appendChild(this._createHeading('TPA (Throttle PID Attenuation)'));
+        this.fcSettingsContent?.appendChild(createSelect('TPA Mode', ['D', 'PD'], 'FLIGHT_CONTROLLER_SETTINGS.TPA.mode'));
+        this.fcSettingsContent?.appendChild(createSlider('TPA Rate (%)', 0, 100, 1, 'FLIGHT_CONTROLLER_SETTINGS.TPA.rate'));
+        this.fcSettingsContent?.appendChild(createSlider('TPA Breakpoint (µs)', 1000, 2000, 10, 'FLIGHT_CONTROLLER_SETTINGS.TPA.breakpoint'));
+        this.fcSettingsContent?.appendChild(this._createHeading('I-Term Relax'));
+        this.fcSettingsContent?.appendChild(createCheckbox('Enable I-Term Relax', 'FLIGHT_CONTROLLER_SETTINGS.ITERM_RELAX.enabled'));
+        this.fcSettingsContent?.appendChild(createSelect('I-Term Relax Axes', ['RP', 'RPY'], 'FLIGHT_CONTROLLER_SETTINGS.ITERM_RELAX.axes'));
+        this.fcSettingsContent?.appendChild(createSlider('I-Term Relax Cutoff (Hz)', 1, 50, 1, 'FLIGHT_CONTROLLER_SETTINGS.ITERM_RELAX.cutoffHz'));
+        this.fcSettingsContent?.appendChild(this._createHeading('Rates'));
+        this.rateCurveGraph = this.rateCurveGraph || new RateCurveGraph(); // Created once, it listens for config changes
+        this.fcSettingsContent?.appendChild(this.rateCurveGraph.element);
+        this.fcSettingsContent?.appendChild(createSelect('Rates Type', RATE_TYPES, 'FLIGHT_CONTROLLER_SETTINGS.RATES.rateType'));
+        ['roll', 'pitch', 'yaw'].forEach(axis => {
+            const label = axis[0].toUpperCase() + axis.slice(1);
+            // Betaflight CLI units - meaning depends on the rates type (see RateCurves.js)
+            this.fcSettingsContent?.appendChild(createSlider(`${label} RC Rate / Center`, 1, 255, 1, `FLIGHT_CONTROLLER_SETTINGS.RATES.${axis}.rcRate`));
+            this.fcSettingsContent?.appendChild(createSlider(`${label} Super Rate / Max`, 0, 100, 1, `FLIGHT_CONTROLLER_SETTINGS.RATES.${axis}.superRate`));
+            this.fcSettingsContent?.appendChild(createSlider(`${label} Expo`, 0, 100, 1, `FLIGHT_CONTROLLER_SETTINGS.RATES.${axis}.expo`));
+        });
+        this.fcSettingsContent?.appendChild(this._createHeading('Flight Modes'));
+        this.fcSettingsContent?.appendChild(createSelect('Startup Flight Mode', FLIGHT_MODES, 'FLIGHT_CONTROLLER_SETTINGS.FLIGHT_MODE'));
+        this.fcSettingsContent?.appendChild(createSlider('Angle Mode Max Tilt (°)', 10, 85, 1, 'FLIGHT_CONTROLLER_SETTINGS.SELF_LEVEL.maxAngle'));
+        this.fcSettingsContent?.appendChild(createSlider('Self-Level Strength', 1, 15, 0.5, 'FLIGHT_CONTROLLER_SETTINGS.SELF_LEVEL.levelStrength'));
+        this.fcSettingsContent?.appendChild(createSlider('Horizon Transition', 0.1, 1.0, 0.05, 'FLIGHT_CONTROLLER_SETTINGS.SELF_LEVEL.horizonTransition'));
+        this.fcSettingsContent?.appendChild(this._createHeading('Arming'));
+        this.fcSettingsContent?.appendChild(createSlider('Max Arming Angle (°)', 0, 180, 1, 'FLIGHT_CONTROLLER_SETTINGS.ARMING.maxAngle'));
+        this.fcSettingsContent?.appendChild(createSlider('Max Arming Throttle', 0, 0.2, 0.01, 'FLIGHT_CONTROLLER_SETTINGS.ARMING.maxThrottle'));
+        this.fcSettingsContent?.appendChild(this._createHeading('Turtle Mode'));
+        this.fcSettingsContent?.appendChild(createSlider('Turtle Expo (%)', 0, 100, 1, 'FLIGHT_CONTROLLER_SETTINGS.TURTLE.expo'));
+        this.fcSettingsContent?.appendChild(createSlider('Turtle Max Output', 0.1, 1, 0.05, 'FLIGHT_CONTROLLER_SETTINGS.TURTLE.maxOutput'));
         this.fcSettingsContent?.appendChild(createResetButton('Reset Flight Controller', 'FLIGHT_CONTROLLER_SETTINGS')); // <<< ADD
+        this.fcSettingsContent?.appendChild(this._createHeading('Blackbox'));
+        this.fcSettingsContent?.appendChild(createCheckbox('Enable Blackbox', 'BLACKBOX_SETTINGS.enabled'));
+        this.fcSettingsContent?.appendChild(createSelect('Blackbox Rate (Hz)', [100, 250, 500, 1000, 2000], 'BLACKBOX_SETTINGS.rateHz'));
+        this.fcSettingsContent?.appendChild(createSlider('Blackbox Length (s)', 10, 300, 10, 'BLACKBOX_SETTINGS.maxDuration'));
+        this.fcSettingsContent?.appendChild(this._createBlackboxExportButton());
+        this.fcSettingsContent?.appendChild(createResetButton('Reset Blackbox', 'BLACKBOX_SETTINGS'));
+        this.fcSettingsContent?.appendChild(this._createHeading('SITL Bridge'));
+        this.fcSettingsContent?.appendChild(createCheckbox('Fly External Firmware', 'SITL_SETTINGS.enabled'));
+        // Free text, changed in the CLI console (set SITL_SETTINGS.url = ...)
+        this.fcSettingsContent?.appendChild(createDisplayItem('Firmware URL', config.SITL_SETTINGS.url));
+        this.fcSettingsContent?.appendChild(createSlider('Failsafe Timeout (s)', 0.05, 2, 0.05, 'SITL_SETTINGS.timeout'));
+        this.fcSettingsContent?.appendChild(createResetButton('Reset SITL Bridge', 'SITL_SETTINGS'));
 
         this.physicsSettingsContent?.appendChild(this._createHeading('Physics Settings'));
-        this.physicsSettingsContent?.appendChild(createSlider('Drone Mass (kg)', 0.1, 2.0, 0.05, 'DRONE_MASS'));
+        // Drone settings are saved for the selected preset (picked in the main menu)
+        this.physicsSettingsContent?.appendChild(createDisplayItem('Drone Preset', ConfigManager.getDronePreset(config.DRONE_PRESET).name));
+        this.physicsSettingsContent?.appendChild(createSlider('Drone Mass (kg)', 0.02, 2.0, 0.01, 'DRONE_MASS'));
+        this.physicsSettingsContent?.appendChild(this._createHeading('Frame'));
+        this.physicsSettingsContent?.append(...this._createFrameSummary());
+        this.physicsSettingsContent?.appendChild(createSlider('Battery Mass (kg)', 0, 0.6, 0.001, 'DRONE_FRAME.battery.mass'));
+        this.physicsSettingsContent?.appendChild(createSelect('Battery Mount', ['TOP', 'BOTTOM'], 'DRONE_FRAME.battery.mount'));
+        this.physicsSettingsContent?.appendChild(createSlider('Motor Mass (kg, each)', 0, 0.1, 0.0005, 'DRONE_FRAME.motorMass'));
+        this.physicsSettingsContent?.appendChild(createSlider('Camera Mass (kg)', 0, 0.1, 0.001, 'DRONE_FRAME.cameraMass'));
+        this.physicsSettingsContent?.appendChild(createCheckbox('Prop Guards', 'DRONE_FRAME.propGuards.enabled'));
+        this.physicsSettingsContent?.appendChild(createSlider('Prop Guard Mass (kg, each)', 0, 0.05, 0.001, 'DRONE_FRAME.propGuards.mass'));
+        this.physicsSettingsContent?.appendChild(createSlider('CG Offset Right (m)', -0.03, 0.03, 0.001, 'DRONE_FRAME.centerOfGravityOffset.x'));
+        this.physicsSettingsContent?.appendChild(createSlider('CG Offset Up (m)', -0.03, 0.03, 0.001, 'DRONE_FRAME.centerOfGravityOffset.y'));
+        this.physicsSettingsContent?.appendChild(createSlider('CG Offset Back (m)', -0.03, 0.03, 0.001, 'DRONE_FRAME.centerOfGravityOffset.z'));
+        this.physicsSettingsContent?.appendChild(createResetButton('Reset Frame', 'DRONE_FRAME'));
+        this.physicsSettingsContent?.appendChild(this._createHeading('Aerodynamics & Motors'));
         this.physicsSettingsContent?.appendChild(createSlider('Linear Damping', 0, 1, 0.02, 'DRONE_PHYSICS_SETTINGS.linearDamping'));
         this.physicsSettingsContent?.appendChild(createSlider('Angular Damping', 0, 1, 0.02, 'DRONE_PHYSICS_SETTINGS.angularDamping'));
+        this.physicsSettingsContent?.appendChild(createSlider('Drag CdA Front (m²)', 0, 0.05, 0.001, 'DRONE_PHYSICS_SETTINGS.dragCoefficients.z'));
+        this.physicsSettingsContent?.appendChild(createSlider('Drag CdA Side (m²)', 0, 0.05, 0.001, 'DRONE_PHYSICS_SETTINGS.dragCoefficients.x'));
+        this.physicsSettingsContent?.appendChild(createSlider('Drag CdA Top (m²)', 0, 0.1, 0.001, 'DRONE_PHYSICS_SETTINGS.dragCoefficients.y'));
+        this.physicsSettingsContent?.appendChild(createSlider('Rotational Drag', 0, 0.0002, 0.00000001, 'DRONE_PHYSICS_SETTINGS.rotationalDragCoefficient'));
+        this.physicsSettingsContent?.appendChild(createSlider('Motor KV', 1000, 30000, 50, 'DRONE_MOTOR_SETTINGS.kv'));
+        this.physicsSettingsContent?.appendChild(createSlider('Motor Spool-Up Time (s)', 0.005, 0.2, 0.005, 'DRONE_MOTOR_SETTINGS.spoolUpTime'));
+        this.physicsSettingsContent?.appendChild(createSlider('Motor Spool-Down Time (s)', 0.005, 0.2, 0.005, 'DRONE_MOTOR_SETTINGS.spoolDownTime'));
+        this.physicsSettingsContent?.appendChild(createSlider('Motor Idle Output', 0, 0.15, 0.005, 'DRONE_MOTOR_SETTINGS.idleOutput'));
         this.physicsSettingsContent?.appendChild(createResetButton('Reset Physics', 'DRONE_PHYSICS_SETTINGS')); // <<< ADD
+        this.physicsSettingsContent?.appendChild(createResetButton('Reset Motors', 'DRONE_MOTOR_SETTINGS'));
+        this.physicsSettingsContent?.appendChild(this._createHeading('Ground Effect & Propwash'));
+        this.physicsSettingsContent?.appendChild(createSlider('Prop Radius (m)', 0.01, 0.13, 0.0001, 'DRONE_AIRFLOW_SETTINGS.propRadius'));
+        this.physicsSettingsContent?.appendChild(createCheckbox('Enable Ground Effect', 'DRONE_AIRFLOW_SETTINGS.groundEffect.enabled'));
+        this.physicsSettingsContent?.appendChild(createSlider('Body Lift Coefficient', 0, 5, 0.1, 'DRONE_AIRFLOW_SETTINGS.groundEffect.bodyLiftCoefficient'));
+        this.physicsSettingsContent?.appendChild(createSlider('Max Ground Effect Gain', 1, 2, 0.05, 'DRONE_AIRFLOW_SETTINGS.groundEffect.maxThrustGain'));
+        this.physicsSettingsContent?.appendChild(createCheckbox('Enable Propwash', 'DRONE_AIRFLOW_SETTINGS.propwash.enabled'));
+        this.physicsSettingsContent?.appendChild(createSlider('Propwash Thrust Loss', 0, 0.6, 0.01, 'DRONE_AIRFLOW_SETTINGS.propwash.thrustLoss'));
+        this.physicsSettingsContent?.appendChild(createSlider('Propwash Turbulence', 0, 0.6, 0.01, 'DRONE_AIRFLOW_SETTINGS.propwash.turbulence'));
+        this.physicsSettingsContent?.appendChild(createSlider('Propwash Frequency (Hz)', 1, 30, 1, 'DRONE_AIRFLOW_SETTINGS.propwash.frequencyHz'));
+        this.physicsSettingsContent?.appendChild(createResetButton('Reset Ground Effect & Propwash', 'DRONE_AIRFLOW_SETTINGS'));
+        this.physicsSettingsContent?.appendChild(createSlider('Gyro Noise (°/s)', 0, 10, 0.1, 'DRONE_IMU_SETTINGS.noiseStdDev'));
+        this.physicsSettingsContent?.appendChild(createSlider('Gyro Bias Drift (°/s/√s)', 0, 0.5, 0.01, 'DRONE_IMU_SETTINGS.biasDriftRate'));
+        this.physicsSettingsContent?.appendChild(createSlider('Motor Vibration (°/s)', 0, 50, 0.1, 'DRONE_IMU_SETTINGS.motorVibration'));
+        this.physicsSettingsContent?.appendChild(createSlider('Frame Resonance (Hz)', 0, 600, 5, 'DRONE_IMU_SETTINGS.frameResonanceHz'));
+        this.physicsSettingsContent?.appendChild(createSlider('Frame Resonance Q', 0.5, 20, 0.5, 'DRONE_IMU_SETTINGS.frameResonanceQ'));
+        this.physicsSettingsContent?.appendChild(createResetButton('Reset Gyro Noise', 'DRONE_IMU_SETTINGS'));
+        this.physicsSettingsContent?.appendChild(createSlider('Battery Cells (S)', 1, 6, 1, 'DRONE_BATTERY.cells'));
+        this.physicsSettingsContent?.appendChild(createSlider('Battery Capacity (mAh)', 300, 3000, 50, 'DRONE_BATTERY.capacity'));
+        this.physicsSettingsContent?.appendChild(createSlider('Cell Resistance (Ω)', 0, 0.1, 0.001, 'DRONE_BATTERY.internalResistancePerCell'));
+        this.physicsSettingsContent?.appendChild(createResetButton('Reset Battery', 'DRONE_BATTERY'));
+        this.physicsSettingsContent?.appendChild(this._createHeading('Crash Damage'));
+        this.physicsSettingsContent?.appendChild(createCheckbox('Enable Prop Damage', 'DRONE_DAMAGE_SETTINGS.enabled'));
+        this.physicsSettingsContent?.appendChild(createSlider('Prop Bend Speed (m/s)', 1, 20, 0.5, 'DRONE_DAMAGE_SETTINGS.bendSpeed'));
+        this.physicsSettingsContent?.appendChild(createSlider('Prop Break Speed (m/s)', 2, 40, 0.5, 'DRONE_DAMAGE_SETTINGS.breakSpeed'));
+        this.physicsSettingsContent?.appendChild(createSlider('Crash Disarm Speed (m/s)', 2, 50, 0.5, 'DRONE_DAMAGE_SETTINGS.crashDisarmSpeed'));
+        this.physicsSettingsContent?.appendChild(createSlider('Bent Prop Thrust Loss', 0, 0.8, 0.01, 'DRONE_DAMAGE_SETTINGS.bentThrustLoss'));
+        this.physicsSettingsContent?.appendChild(createSlider('Bent Prop Vibration (°/s)', 0, 100, 1, 'DRONE_DAMAGE_SETTINGS.damageVibration'));
+        this.physicsSettingsContent?.appendChild(createResetButton('Reset Crash Damage', 'DRONE_DAMAGE_SETTINGS'));
+        this.physicsSettingsContent?.appendChild(this._createHeading('Wind'));
+        this.physicsSettingsContent?.appendChild(createSlider('Wind Speed (m/s)', 0, 20, 0.5, 'WIND_SETTINGS.speed'));
+        this.physicsSettingsContent?.appendChild(createSlider('Wind Direction (°, from)', 0, 359, 1, 'WIND_SETTINGS.direction'));
+        this.physicsSettingsContent?.appendChild(createSlider('Gustiness', 0, 1, 0.05, 'WIND_SETTINGS.gustiness'));
+        this.physicsSettingsContent?.appendChild(createSlider('Turbulence', 0, 0.5, 0.01, 'WIND_SETTINGS.turbulence'));
+        this.physicsSettingsContent?.appendChild(createSlider('Turbulence Scale (m)', 2, 100, 1, 'WIND_SETTINGS.turbulenceScale'));
+        this.physicsSettingsContent?.appendChild(createCheckbox('Wind Shelter Behind Obstacles', 'WIND_SETTINGS.shelter'));
+        this.physicsSettingsContent?.appendChild(createCheckbox('Show Wind on OSD', 'WIND_SETTINGS.showIndicator'));
+        this.physicsSettingsContent?.appendChild(createResetButton('Reset Wind', 'WIND_SETTINGS'));
+        this.physicsSettingsContent?.appendChild(this._createHeading('Environment'));
+        const environmentOptions = Object.entries(ENVIRONMENT_PRESETS).map(([value, { name }]) => ({ value, label: name }));
+        environmentOptions.push({ value: CUSTOM_ENVIRONMENT, label: 'Custom' });
+        this.physicsSettingsContent?.appendChild(createSelect('Environment', environmentOptions, 'ENVIRONMENT_SETTINGS.preset'));
+        // Only used with the Custom environment
+        this.physicsSettingsContent?.appendChild(createSlider('Custom Gravity (m/s²)', 0.5, 25, 0.01, 'ENVIRONMENT_SETTINGS.gravity'));
+        this.physicsSettingsContent?.appendChild(createSlider('Custom Altitude (m)', 0, 6000, 50, 'ENVIRONMENT_SETTINGS.altitude'));
+        this.physicsSettingsContent?.appendChild(createSlider('Custom Temperature (°C)', -30, 50, 1, 'ENVIRONMENT_SETTINGS.temperature'));
+        this.physicsSettingsContent?.appendChild(this._createEnvironmentSummary());
+        this.physicsSettingsContent?.appendChild(createResetButton('Reset Environment', 'ENVIRONMENT_SETTINGS'));
+        this.physicsSettingsContent?.appendChild(this._createHeading('Simulation'));
+        this.physicsSettingsContent?.appendChild(createSelect('PID Loop Rate (Hz)', [250, 500, 1000, 2000, 4000, 8000], 'SIMULATION_SETTINGS.pidLoopRate'));
+        this.physicsSettingsContent?.appendChild(createSelect('Physics Rate (Hz)', [250, 500, 1000, 2000], 'SIMULATION_SETTINGS.physicsRate'));
+        this.physicsSettingsContent?.appendChild(createSlider('Random Seed (next flight)', 1, 1000, 1, 'SIMULATION_SETTINGS.seed'));
+        this.physicsSettingsContent?.appendChild(createResetButton('Reset Simulation', 'SIMULATION_SETTINGS'));
         this.physicsSettingsContent?.appendChild(createResetButton('Reset Mass', 'DRONE_MASS')); // <<< ADD Specific
 
         this.gamepadSettingsContent?.appendChild(this._createHeading('Gamepad Settings'));
@@ -260,6 +427,8 @@ class MenuManager {
         this.gamepadSettingsContent?.appendChild(createCheckbox('Invert Thrust Axis', 'GAMEPAD_INVERT_AXES.thrust'));
         this.gamepadSettingsContent?.appendChild(createDisplayItem('Arm/Disarm Button', `Index ${config.GAMEPAD_BUTTON_MAPPING.armDisarm}`));
         this.gamepadSettingsContent?.appendChild(createDisplayItem('Reset Button', `Index ${config.GAMEPAD_BUTTON_MAPPING.reset}`));
+        this.gamepadSettingsContent?.appendChild(createDisplayItem('Flight Mode Button', `Index ${config.GAMEPAD_BUTTON_MAPPING.flightMode}`));
+        this.gamepadSettingsContent?.appendChild(createDisplayItem('Turtle Mode Button', `Index ${config.GAMEPAD_BUTTON_MAPPING.turtle}`));
         this.gamepadSettingsContent?.appendChild(createResetButton('Reset Gamepad', 'GAMEPAD_SETTINGS'));
 
         this.keyboardSettingsDisplay?.appendChild(this._createHeading('Keyboard Settings'));
@@ -272,6 +441,8 @@ class MenuManager {
         this.keyboardSettingsDisplay?.appendChild(createDisplayItem('Thrust Keys', 'Shift/Ctrl/Space'));
         this.keyboardSettingsDisplay?.appendChild(createDisplayItem('Arm/Disarm Key', 'Enter'));
         this.keyboardSettingsDisplay?.appendChild(createDisplayItem('Reset Key', 'R'));
+        this.keyboardSettingsDisplay?.appendChild(createDisplayItem('Flight Mode Key', 'M'));
+        this.keyboardSettingsDisplay?.appendChild(createDisplayItem('Turtle Mode Key', 'T'));
         this.keyboardSettingsDisplay?.appendChild(createResetButton('Reset Keyboard Sens.', 'KEYBOARD_SENSITIVITY')); // <<< ADD
 
         this.gamepadStatusElement = document.getElementById('gamepad-status');
@@ -295,6 +466,136 @@ class MenuManager {
 
         console.log("MenuManager: Settings panels populated into new structure.");
     }
+    // Main menu drone preset picker: choose a preset, clone the selected one, or delete a custom one
+    _populatePresetPicker() {
+        if (!this.presetPickerElement) return;
+        this.presetPickerElement.replaceChildren();
+        const selectedId = ConfigManager.getConfig().DRONE_PRESET;
+        const presets = ConfigManager.getDronePresets();
+        const selected = presets.find(preset => preset.id === selectedId);
+
+        const select = document.createElement('select');
+        presets.forEach(({ id, name, custom }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = custom ? `${name} (custom)` : name;
+            select.appendChild(option);
+        });
+        select.value = selectedId;
+        select.addEventListener('change', () => {
+            ConfigManager.selectDronePreset(select.value);
+            this._refreshPresetViews();
+        });
+
+        const cloneButton = document.createElement('button');
+        cloneButton.textContent = 'Clone';
+        cloneButton.title = 'Copy this preset (with your changes) into a new custom preset';
+        cloneButton.addEventListener('click', () => {
+            this._playSound('ui_click');
+            const name = prompt('Name for the new preset:', `My ${selected.name}`)?.trim();
+            if (!name) return;
+            ConfigManager.cloneDronePreset(name);
+            this._refreshPresetViews();
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.disabled = !selected.custom; // Built-in presets stay
+        deleteButton.addEventListener('click', () => {
+            this._playSound('ui_click');
+            if (!confirm(`Delete the preset "${selected.name}"?`)) return;
+            ConfigManager.deleteCustomPreset(selectedId);
+            this._refreshPresetViews();
+        });
+
+        const row = document.createElement('div');
+        row.className = 'preset-picker-row';
+        row.append(select, cloneButton, deleteButton);
+
+        const description = document.createElement('p');
+        description.className = 'preset-description';
+        description.textContent = selected.description;
+
+        this.presetPickerElement.append(row, description);
+    }
+
+    // A preset change swaps most drone settings, so rebuild everything that shows them
+    _refreshPresetViews() {
+        this._populatePresetPicker();
+        this._populateSettingsPanels();
+    }
+
+    /** Rebuilds the settings panels from the config, after changes made outside them (e.g. the CLI console). */
+    refreshSettingsViews() {
+        this._refreshPresetViews();
+    }
+
+    // Read-only figures the frame geometry works out (see FrameGeometry.js)
+    _createFrameSummary() {
+        const labels = { wheelbase: 'Wheelbase', arms: 'Arms', mass: 'All-Up Weight', cg: 'CG (right, up, back)', inertia: 'Inertia (pitch, yaw, roll)' };
+        this.frameSummaryValues = {};
+        const items = Object.entries(labels).map(([key, label]) => {
+            const item = UIComponentFactory.createDisplayItem(label, '');
+            this.frameSummaryValues[key] = item.querySelector('.value-display');
+            return item;
+        });
+        this._updateFrameSummary();
+        return items;
+    }
+
+    _updateFrameSummary() {
+        if (!this.frameSummaryValues) return;
+        const frame = computeFrameProperties(ConfigManager.getConfig());
+        const { centerOfGravity: cg, inertia } = frame;
+        const mm = value => (value * 1000).toFixed(1);
+        const gcm2 = value => (value * 1e7).toFixed(0); // kg·m² -> g·cm²
+        this.frameSummaryValues.wheelbase.textContent = `${(frame.wheelbase * 1000).toFixed(0)} mm`;
+        this.frameSummaryValues.arms.textContent = `${frame.armCount}`;
+        this.frameSummaryValues.mass.textContent = `${(frame.mass * 1000).toFixed(0)} g`;
+        this.frameSummaryValues.cg.textContent = `${mm(cg.x)}, ${mm(cg.y)}, ${mm(cg.z)} mm`;
+        this.frameSummaryValues.inertia.textContent = `${gcm2(inertia.x)}, ${gcm2(inertia.y)}, ${gcm2(inertia.z)} g·cm²`;
+    }
+
+    // Downloads the blackbox log of the current or last flight (the engine writes the CSV)
+    _createBlackboxExportButton() {
+        const button = document.createElement('button');
+        button.textContent = 'Download Log (CSV)';
+        button.className = 'button-reset-category'; // Same look as the other panel buttons
+        button.addEventListener('click', () => {
+            this._playSound('ui_click');
+            EventBus.emit(EVENTS.BLACKBOX_EXPORT_REQUESTED);
+        });
+        const wrapper = document.createElement('div');
+        wrapper.style.textAlign = 'right';
+        wrapper.style.marginTop = '20px';
+        wrapper.appendChild(button);
+        return wrapper;
+    }
+
+    // Gravity and air density of the selected environment (see Atmosphere.js)
+    _createEnvironmentSummary() {
+        const item = UIComponentFactory.createDisplayItem('Gravity / Air Density', '');
+        this.environmentSummaryValue = item.querySelector('.value-display');
+        this._updateEnvironmentSummary();
+        return item;
+    }
+
+    _updateEnvironmentSummary() {
+        if (!this.environmentSummaryValue) return;
+        const { gravity, airDensity } = resolveEnvironment(ConfigManager.getConfig().ENVIRONMENT_SETTINGS);
+        this.environmentSummaryValue.textContent = `${gravity.toFixed(2)} m/s², ${airDensity.toFixed(3)} kg/m³`;
+    }
+
+    // Opens Settings > Flight Controller at the autotune panel, e.g. on the results of a run
+    showFlightControllerSettings() {
+        const settingsButton = [...(this.sidebarButtons ?? [])].find(button => button.dataset.view === 'pause-settings-view');
+        if (!settingsButton) return;
+        this._handleSidebarClick({ currentTarget: settingsButton });
+        const fcButton = this.activeView?.querySelector('.sub-nav-button[data-panel="fc-settings-content"]');
+        if (fcButton) this._activateSubNavButtonAndPanel(fcButton);
+        this.autotunePanel?.element.scrollIntoView({ block: 'start' });
+    }
+
     // Helper to create H4 element
     _createHeading(text) {
         const heading = document.createElement('h4');
@@ -304,6 +605,10 @@ class MenuManager {
 
     // --- Event Listeners Setup (Updated for New Structure) ---
     _addEventListeners() {
+        EventBus.on(EVENTS.CONFIG_UPDATED, () => { // Frame and environment figures follow the sliders
+            this._updateFrameSummary();
+            this._updateEnvironmentSummary();
+        });
         // Main Menu
         this.flyButton?.addEventListener('click', () => {
             this._playSound('ui_click'); // Play click sound
@@ -2,15 +2,20 @@
 import EventBus, { EVENTS } from '../utils/EventBus.js';
 import ConfigManager from '../config/ConfigManager.js'; // Keep if OSD needs config info
 
+// Arrows for the wind indicator, clockwise from "blowing straight ahead" in 45° steps
+const WIND_ARROWS = ['↑', '↗', '→', '↘', '↓', '↙', '←', '↖'];
+
 class OSDManager {
     constructor() {
         this.osdElement = null;
         this.telemetryElements = {
-            altitude: null, speed: null, attitude: null, inputs: null, armedStatus: null,
+            altitude: null, speed: null, attitude: null, inputs: null, armedStatus: null, flightMode: null, motors: null, battery: null, wind: null, windLine: null, warning: null, warningLine: null,
         };
         // Hold last known state to avoid unnecessary updates if needed
         this.lastDroneState = null;
         this.lastControlsState = null;
+        this.armingDisableFlags = []; // Latest failing pre-arm checks, shown while disarmed
+        this._boundArmingFlagsHandler = this.handleArmingDisableFlags.bind(this);
 
         if (OSDManager._instance) {
             return OSDManager._instance;
@@ -28,11 +33,16 @@ class OSDManager {
 
         // Initial structure
         this.osdElement.innerHTML = `
+            <p id="osd-warning-line"><strong id="osd-warning"></strong></p>
             <p>Armed: <strong id="osd-armed">--</strong></p>
+            <p>Mode: <strong id="osd-mode">--</strong></p>
             <p>Alt: <span id="osd-altitude">--</span> m</p>
             <p>Spd: <span id="osd-speed">--</span> m/s</p>
             <p>Att (R/P/Y): <span id="osd-attitude">-- / -- / --</span> °</p>
             <p>In (R/P/Y/T): <span id="osd-inputs">-- / -- / -- / --</span></p>
+            <p>Mot (1-4): <span id="osd-motors">-- / -- / -- / --</span> %</p>
+            <p>Bat: <span id="osd-battery">--V / --A / -- mAh</span></p>
+            <p id="osd-wind-line">Wind: <span id="osd-wind">-- m/s</span></p>
         `;
 
         // Cache elements
@@ -41,11 +51,19 @@ class OSDManager {
         this.telemetryElements.attitude = document.getElementById('osd-attitude');
         this.telemetryElements.inputs = document.getElementById('osd-inputs');
         this.telemetryElements.armedStatus = document.getElementById('osd-armed');
+        this.telemetryElements.flightMode = document.getElementById('osd-mode');
+        this.telemetryElements.motors = document.getElementById('osd-motors');
+        this.telemetryElements.battery = document.getElementById('osd-battery');
+        this.telemetryElements.wind = document.getElementById('osd-wind');
+        this.telemetryElements.windLine = document.getElementById('osd-wind-line');
+        this.telemetryElements.warning = document.getElementById('osd-warning');
+        this.telemetryElements.warningLine = document.getElementById('osd-warning-line');
 
         // Subscribe to simulation state updates
         EventBus.on(EVENTS.SIMULATION_STATE_UPDATE, this.update.bind(this));
         // Listen for state changes to potentially clear OSD when not simulating
         EventBus.on(EVENTS.APP_STATE_CHANGED, this.handleAppStateChange.bind(this));
+        EventBus.on(EVENTS.ARMING_DISABLE_FLAGS_CHANGED, this._boundArmingFlagsHandler);
 
 
         console.log("OSDManager: Initialized and subscribed to state updates.");
@@ -65,6 +83,19 @@ class OSDManager {
             // TODO: Add checks to only update if values changed significantly?
             this.telemetryElements.armedStatus.textContent = droneState.armed ? "ARMED" : "DISARMED";
             this.telemetryElements.armedStatus.style.color = droneState.armed ? "lightgreen" : "orange";
+            // Turtle mode replaces the flight mode while selected (Betaflight shows it in the same OSD element), so do
+            // autotune and the SITL link (external firmware has its own modes)
+            const { autotune, sitl } = simulationState;
+            if (autotune) {
+                this.telemetryElements.flightMode.textContent = `AUTOTUNE ${autotune.axis.toUpperCase()} ${autotune.test}/${autotune.maxTests}`;
+                this.telemetryElements.flightMode.style.color = 'cyan';
+            } else if (sitl) {
+                this.telemetryElements.flightMode.textContent = sitl.receiving ? 'SITL' : `SITL ${sitl.status === 'CONNECTED' ? 'NO DATA' : 'NO LINK'}`;
+                this.telemetryElements.flightMode.style.color = sitl.receiving ? 'lightgreen' : 'red';
+            } else {
+                this.telemetryElements.flightMode.textContent = droneState.turtleMode ? 'TURTLE' : (droneState.flightMode || '--');
+                this.telemetryElements.flightMode.style.color = droneState.turtleMode ? 'orange' : '';
+            }
             this.telemetryElements.altitude.textContent = droneState.altitude.toFixed(1);
             this.telemetryElements.speed.textContent = droneState.speed.toFixed(1);
             if (droneState.euler) {
@@ -75,6 +106,22 @@ class OSDManager {
             } else {
                 this.telemetryElements.attitude.textContent = `-- / -- / --`;
             }
+            if (droneState.motors && droneState.motors.length > 0) {
+                this.telemetryElements.motors.textContent = droneState.motors.map(output => (output * 100).toFixed(0)).join(' / ');
+            } else {
+                this.telemetryElements.motors.textContent = '-- / -- / -- / --';
+            }
+            const battery = droneState.battery;
+            if (battery) {
+                this.telemetryElements.battery.textContent =
+                    `${battery.voltage.toFixed(1)}V / ${battery.current.toFixed(1)}A / ${battery.mAhUsed.toFixed(0)} mAh`;
+                // Warn like Betaflight's vbat_warning_cell_voltage (3.5V) and show an empty pack in red
+                this.telemetryElements.battery.style.color = battery.depleted ? "red" : (battery.cellVoltage < 3.5 ? "orange" : "white");
+            } else {
+                this.telemetryElements.battery.textContent = '--V / --A / -- mAh';
+            }
+            this.updateWind(droneState);
+            this.updateWarning(droneState);
         } else {
             this.clearDroneTelemetry();
         }
@@ -89,6 +136,48 @@ class OSDManager {
         }
     }
 
+    // Wind speed at the drone, with an arrow showing where it blows relative to the drone's nose
+    updateWind(droneState) {
+        const showWind = ConfigManager.getConfig().WIND_SETTINGS.showIndicator;
+        this.telemetryElements.windLine.style.display = showWind ? '' : 'none';
+        if (!showWind) return;
+
+        const wind = droneState.wind;
+        if (!wind || !droneState.euler) {
+            this.telemetryElements.wind.textContent = '-- m/s';
+            return;
+        }
+        if (Math.hypot(wind.x, wind.z) < 0.1) {
+            this.telemetryElements.wind.textContent = `${wind.speed.toFixed(1)} m/s`;
+            return;
+        }
+        // Heading the wind blows towards (clockwise from -Z seen from above), minus the drone's heading
+        const windHeading = Math.atan2(wind.x, -wind.z) * 180 / Math.PI;
+        const relative = windHeading + droneState.euler.yaw; // Yaw is counter-clockwise positive, so adding it subtracts the heading
+        const arrow = WIND_ARROWS[((Math.round(relative / 45) % 8) + 8) % 8];
+        this.telemetryElements.wind.textContent = `${wind.speed.toFixed(1)} m/s ${arrow}`;
+    }
+
+    // CRASH warning, damaged props (numbered like the motors, Betaflight order) and why arming is blocked
+    updateWarning(droneState) {
+        const damage = droneState.damage;
+        const warnings = [];
+        if (damage?.crashed) warnings.push('CRASH');
+        damage?.props.forEach((state, i) => {
+            if (state !== 'OK') warnings.push(`PROP ${i + 1} ${state}`);
+        });
+        if (!droneState.armed && this.armingDisableFlags.length > 0) {
+            warnings.push(`ARM BLOCKED: ${this.armingDisableFlags.join(' ')}`);
+        }
+        this.telemetryElements.warningLine.style.display = warnings.length > 0 ? '' : 'none';
+        this.telemetryElements.warning.textContent = warnings.join(' | ');
+        this.telemetryElements.warning.style.color = damage?.crashed || damage?.props.includes('BROKEN') ? 'red' : 'orange';
+    }
+
+    handleArmingDisableFlags({ flags }) {
+        this.armingDisableFlags = flags;
+    }
+
     handleAppStateChange({ newState }) {
         // Hide or show OSD based on state
         const config = ConfigManager.getConfig();
@@ -110,9 +199,17 @@ class OSDManager {
         if (!this.telemetryElements.altitude) return; // Check if initialized
         this.telemetryElements.armedStatus.textContent = "--";
         this.telemetryElements.armedStatus.style.color = "white";
+        this.telemetryElements.flightMode.textContent = '--';
+        this.telemetryElements.flightMode.style.color = '';
         this.telemetryElements.altitude.textContent = '--';
         this.telemetryElements.speed.textContent = '--';
         this.telemetryElements.attitude.textContent = `-- / -- / --`;
+        this.telemetryElements.motors.textContent = '-- / -- / -- / --';
+        this.telemetryElements.battery.textContent = '--V / --A / -- mAh';
+        this.telemetryElements.battery.style.color = "white";
+        this.telemetryElements.wind.textContent = '-- m/s';
+        this.telemetryElements.warning.textContent = '';
+        this.telemetryElements.warningLine.style.display = 'none';
     }
 
     clearControlInputs() {
@@ -123,6 +220,7 @@ class OSDManager {
     dispose() {
         EventBus.off(EVENTS.SIMULATION_STATE_UPDATE, this.update.bind(this));
         EventBus.off(EVENTS.APP_STATE_CHANGED, this.handleAppStateChange.bind(this));
+        EventBus.off(EVENTS.ARMING_DISABLE_FLAGS_CHANGED, this._boundArmingFlagsHandler);
         console.log("OSDManager: Disposed and unsubscribed from events.");
     }
 }
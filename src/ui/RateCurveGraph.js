@@ -0,0 +1,92 @@
+// src/ui/RateCurveGraph.js
+import EventBus, { EVENTS } from '../utils/EventBus.js';
+import ConfigManager from '../config/ConfigManager.js';
+import { calculateRate, calculateMaxRate, SETPOINT_RATE_LIMIT } from '../simulation/RateCurves.js';
+
+export const AXIS_COLORS = { roll: '#f44336', pitch: '#4CAF50', yaw: '#4a90e2' };
+const GRAPH_STEPS = 50; // Points per curve (0 to full stick)
+
+/**
+ * Live stick -> rate plot for the Flight Controller settings panel, like Betaflight Configurator's rates graph.
+ * Redraws whenever a setting changes, so moving a rates slider updates the curves immediately.
+ */
+class RateCurveGraph {
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.className = 'rate-curve-graph';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 320;
+        this.canvas.height = 200;
+        this.element.appendChild(this.canvas);
+
+        this.legend = document.createElement('div');
+        this.legend.className = 'rate-curve-legend';
+        this.element.appendChild(this.legend);
+
+        this._boundDraw = () => this.draw();
+        EventBus.on(EVENTS.CONFIG_UPDATED, this._boundDraw);
+        this.draw();
+    }
+
+    draw() {
+        const rates = ConfigManager.getConfig().FLIGHT_CONTROLLER_SETTINGS.RATES;
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const axes = ['roll', 'pitch', 'yaw'];
+
+        const maxRates = Object.fromEntries(axes.map(axis => [axis, calculateMaxRate(rates.rateType, rates[axis])]));
+        // Round the vertical scale up to the next 200 deg/s so curves don't touch the top edge
+        const scaleMax = Math.min(SETPOINT_RATE_LIMIT, Math.ceil(Math.max(...Object.values(maxRates), 200) / 200) * 200);
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Grid: quarter stick steps horizontally, 200 deg/s steps vertically
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 4; i++) {
+            ctx.moveTo(width * i / 4, 0);
+            ctx.lineTo(width * i / 4, height);
+        }
+        for (let rate = 200; rate < scaleMax; rate += 200) {
+            const y = height - (rate / scaleMax) * height;
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#7a8aa0';
+        ctx.font = '10px monospace';
+        ctx.fillText(`${scaleMax}°/s`, 4, 12);
+        ctx.fillText('stick →', width - 44, height - 4);
+
+        // Curves (positive half, the curves are symmetric)
+        axes.forEach(axis => {
+            ctx.strokeStyle = AXIS_COLORS[axis];
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            for (let i = 0; i <= GRAPH_STEPS; i++) {
+                const stick = i / GRAPH_STEPS;
+                const x = stick * width;
+                const y = height - (calculateRate(rates.rateType, stick, rates[axis]) / scaleMax) * height;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        });
+
+        this.legend.replaceChildren(...axes.map(axis => {
+            const item = document.createElement('span');
+            item.style.color = AXIS_COLORS[axis];
+            item.textContent = `${axis[0].toUpperCase()}${axis.slice(1)}: ${maxRates[axis].toFixed(0)}°/s`;
+            return item;
+        }));
+    }
+
+    dispose() {
+        EventBus.off(EVENTS.CONFIG_UPDATED, this._boundDraw);
+    }
+}
+
+export default RateCurveGraph;
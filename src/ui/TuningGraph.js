@@ -0,0 +1,187 @@
+// src/ui/TuningGraph.js
+import EventBus, { EVENTS } from '../utils/EventBus.js';
+import { AXIS_COLORS } from './RateCurveGraph.js';
+import { analyzeStepResponse } from '../simulation/StepResponse.js';
+
+const AXES = ['roll', 'pitch', 'yaw'];
+const TERM_COLORS = { P: '#ff9800', I: '#ba68c8', D: '#26c6da', F: '#9ccc65' };
+const MOTOR_COLORS = ['#f44336', '#4CAF50', '#4a90e2', '#ffeb3b', '#ff9800', '#ba68c8', '#26c6da', '#9ccc65'];
+const PREVIOUS_ALPHA = 0.35; // The previous run is drawn faded (and dashed) under the current one
+
+/**
+ * Tuning view for the Flight Controller settings panel: the flight since the menu was last closed, from the blackbox.
+ * Per axis it plots setpoint vs gyro (with the previous run as an overlay), the P/I/D/F terms and the motor outputs,
+ * and lists the step response of both runs with the gains they were flown with. Pausing again after changing a gain
+ * and flying moves the current run to the overlay.
+ */
+class TuningGraph {
+    constructor() {
+        this.currentRun = null;  // { series, pid } from EVENTS.TUNING_RUN_RECORDED
+        this.previousRun = null;
+        this.axis = 0;           // Index into AXES
+
+        this.element = document.createElement('div');
+        this.element.className = 'tuning-graph';
+
+        this.axisSelect = document.createElement('select');
+        AXES.forEach((axis, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${axis[0].toUpperCase()}${axis.slice(1)}`;
+            this.axisSelect.appendChild(option);
+        });
+        this.axisSelect.addEventListener('change', () => {
+            this.axis = Number(this.axisSelect.value);
+            this.draw();
+        });
+        this.element.appendChild(this.axisSelect);
+
+        this.responseCanvas = this._createCanvas(160);
+        this.termsCanvas = this._createCanvas(110);
+        this.motorsCanvas = this._createCanvas(80);
+
+        this.stats = document.createElement('div');
+        this.stats.className = 'tuning-graph-stats';
+        this.element.appendChild(this.stats);
+
+        this._boundRunRecorded = (run) => {
+            this.previousRun = this.currentRun;
+            this.currentRun = run;
+            this.draw();
+        };
+        EventBus.on(EVENTS.TUNING_RUN_RECORDED, this._boundRunRecorded);
+        this.draw();
+    }
+
+    _createCanvas(height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 320;
+        canvas.height = height;
+        this.element.appendChild(canvas);
+        return canvas;
+    }
+
+    draw() {
+        const axis = this.axis;
+        const runs = [this.previousRun, this.currentRun].filter(Boolean);
+        // Both runs share the time scale, each drawn from its own start
+        const duration = Math.max(0.1, ...runs.map(({ series }) => series.time[series.time.length - 1] - series.time[0]));
+
+        // --- Setpoint vs gyro ---
+        const rateColumns = [`setpoint[${axis}]`, `gyroADC[${axis}]`];
+        const rateScale = this._scaleFor(runs, rateColumns, 100);
+        const response = this._beginPlot(this.responseCanvas, rateScale, '°/s');
+        runs.forEach(run => {
+            const faded = run === this.previousRun;
+            this._plotLine(response, run.series, rateColumns[0], duration, rateScale, '#ffffff', faded);
+            this._plotLine(response, run.series, rateColumns[1], duration, rateScale, AXIS_COLORS[AXES[axis]], faded);
+        });
+        if (!this.currentRun) {
+            response.fillStyle = '#7a8aa0';
+            response.fillText('Arm and fly with the blackbox on, then pause', 40, this.responseCanvas.height / 2 - 6);
+        }
+
+        // --- PID terms (current run) ---
+        const termColumns = Object.keys(TERM_COLORS).map(term => `axis${term}[${axis}]`);
+        const current = this.currentRun ? [this.currentRun] : [];
+        const termScale = this._scaleFor(current, termColumns, 50);
+        const terms = this._beginPlot(this.termsCanvas, termScale, '');
+        current.forEach(run => Object.values(TERM_COLORS).forEach((color, i) => {
+            this._plotLine(terms, run.series, termColumns[i], duration, termScale, color, false);
+        }));
+        this._drawKey(terms, this.termsCanvas, Object.entries(TERM_COLORS));
+
+        // --- Motor outputs (current run, 0-100%) ---
+        const motors = this._beginPlot(this.motorsCanvas, null, '%');
+        current.forEach(run => MOTOR_COLORS.forEach((color, i) => {
+            if (run.series[`motor[${i}]`]) this._plotLine(motors, run.series, `motor[${i}]`, duration, null, color, false);
+        }));
+
+        this._updateStats(axis);
+    }
+
+    // Symmetric vertical scale covering the columns in all runs, rounded up to `step`
+    _scaleFor(runs, columns, step) {
+        let max = step;
+        runs.forEach(({ series }) => columns.forEach(column => {
+            series[column]?.forEach(value => { max = Math.max(max, Math.abs(value)); });
+        }));
+        return Math.ceil(max / step) * step;
+    }
+
+    // Clears a canvas and draws its grid. scale null = motor plot (1000-2000 mapped to 0-100%)
+    _beginPlot(canvas, scale, unit) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        for (let i = 1; i < 4; i++) { // Quarter steps
+            ctx.moveTo(0, height * i / 4);
+            ctx.lineTo(width, height * i / 4);
+        }
+        ctx.stroke();
+        ctx.fillStyle = '#7a8aa0';
+        ctx.font = '10px monospace';
+        ctx.fillText(scale === null ? `100${unit}` : `±${scale}${unit}`, 4, 12);
+        return ctx;
+    }
+
+    _plotLine(ctx, series, column, duration, scale, color, faded) {
+        const values = series[column];
+        if (!values) return;
+        const { width, height } = ctx.canvas;
+        const start = series.time[0];
+        const toY = scale === null
+            ? value => height - ((value - 1000) / 1000) * height
+            : value => height / 2 - (value / scale) * (height / 2);
+
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = faded ? PREVIOUS_ALPHA : 1;
+        ctx.setLineDash(faded ? [4, 3] : []);
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let i = 0; i < values.length; i++) {
+            const x = ((series.time[i] - start) / duration) * width;
+            if (i === 0) ctx.moveTo(x, toY(values[i]));
+            else ctx.lineTo(x, toY(values[i]));
+        }
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+        ctx.setLineDash([]);
+    }
+
+    _drawKey(ctx, canvas, entries) {
+        entries.forEach(([label, color], i) => {
+            ctx.fillStyle = color;
+            ctx.fillText(label, canvas.width - 12 * (entries.length - i), 12);
+        });
+    }
+
+    // Gains and step response of both runs for the selected axis
+    _updateStats(axis) {
+        const axisName = AXES[axis];
+        const rows = [['Current', this.currentRun], ['Previous', this.previousRun]]
+            .filter(([, run]) => run)
+            .map(([label, { series, pid }]) => {
+                const { kp, ki, kd } = pid[axisName];
+                const result = analyzeStepResponse(series.time, series[`setpoint[${axis}]`], series[`gyroADC[${axis}]`]);
+                const ms = value => value === null ? '-' : `${(value * 1000).toFixed(0)} ms`;
+                const response = result.steps > 0
+                    ? `${result.steps} steps, rise ${ms(result.riseTime)}, overshoot ${result.overshoot.toFixed(0)}%, settle ${ms(result.settlingTime)}`
+                    : 'no steps (flick the stick and hold)';
+                const row = document.createElement('div');
+                row.textContent = `${label}: P ${kp} I ${ki} D ${kd} | ${response}`;
+                return row;
+            });
+        this.stats.replaceChildren(...rows);
+    }
+
+    dispose() {
+        EventBus.off(EVENTS.TUNING_RUN_RECORDED, this._boundRunRecorded);
+    }
+}
+
+export default TuningGraph;
@@ -65,8 +65,9 @@ function createSlider(labelText, min, max, step, configKeyPath) {
 
     const valueDisplay = document.createElement('span');
     valueDisplay.className = 'value-display';
-    // Ensure step calculation for decimals is robust
-    const decimals = step.toString().includes('.') ? step.toString().split('.')[1].length : 0;
+    // Ensure step calculation for decimals is robust (tiny steps print as e.g. "1e-8")
+    const [mantissa, exponent = '0'] = step.toString().split('e');
+    const decimals = Math.max(0, (mantissa.split('.')[1]?.length ?? 0) - Number(exponent));
     valueDisplay.textContent = Number(initialValue).toFixed(decimals);
     controlContainer.appendChild(valueDisplay);
 
@@ -127,6 +128,31 @@ function createCheckbox(labelText, configKeyPath) {
     return itemDiv;
 }
 
+/** Creates a dropdown with label. Options are plain values or { value, label } objects */
+function createSelect(labelText, options, configKeyPath) {
+    const { itemDiv, controlContainer } = createSettingItem(labelText);
+    const config = ConfigManager.getConfig();
+    const keys = configKeyPath.split('.');
+    const initialValue = keys.reduce((obj, key) => (obj && obj[key] !== 'undefined') ? obj[key] : '', config);
+
+    const select = document.createElement('select');
+    options.forEach(option => {
+        const { value, label } = typeof option === 'object' ? option : { value: option, label: option };
+        const optionElement = document.createElement('option');
+        optionElement.value = value;
+        optionElement.textContent = label;
+        select.appendChild(optionElement);
+    });
+    select.value = initialValue;
+    controlContainer.appendChild(select);
+
+    select.addEventListener('change', () => {
+        ConfigManager.updateUserSetting(configKeyPath, select.value);
+    });
+
+    return itemDiv;
+}
+
 /** Creates a simple text display item */
 function createDisplayItem(labelText, valueText) {
     const { itemDiv, controlContainer } = createSettingItem(labelText);
@@ -142,6 +168,7 @@ function createDisplayItem(labelText, valueText) {
 export default {
     createSlider,
     createCheckbox,
+    createSelect,
     createDisplayItem,
     createResetButton,
 };
\ No newline at end of file
@@ -73,11 +73,18 @@ export const EVENTS = {
     SIM_RESUME_REQUESTED: 'sim_resume_requested',
     ARM_DISARM_TOGGLE_REQUESTED: 'arm_disarm_toggle_requested', // NEW
     SIM_RESET_REQUESTED: 'sim_reset_requested', // For drone reset
+    FLIGHT_MODE_CYCLE_REQUESTED: 'flight_mode_cycle_requested', // Rate -> Angle -> Horizon
+    TURTLE_MODE_TOGGLE_REQUESTED: 'turtle_mode_toggle_requested', // Flip over after crash, only while disarmed
+    BLACKBOX_EXPORT_REQUESTED: 'blackbox_export_requested', // Download the current/last flight log as CSV
+    AUTOTUNE_START_REQUESTED: 'autotune_start_requested', // Autotune the rate PIDs, flies once the menu is closed
 
     // Simulation Internal Events
     SIMULATION_STATE_UPDATE: 'simulation_state_update', // data: { droneState, controlsState } from engine loop
-    DRONE_COLLISION: 'drone_collision', // data: { intensity }
-    CONFIG_UPDATED: 'config_updated', // Emitted after loading or applying settings
+    DRONE_COLLISION: 'drone_collision', // data: { intensity, surface } (surface: SURFACE_MATERIALS key)
+    ARMING_DISABLE_FLAGS_CHANGED: 'arming_disable_flags_changed', // data: { flags } - failing pre-arm checks, Betaflight-style names
+    AUTOTUNE_FINISHED: 'autotune_finished', // data: autotune result { error, axes, gains } (see Autotune.js)
+    TUNING_RUN_RECORDED: 'tuning_run_recorded', // Pausing after a flight. data: { series (Blackbox.getSeries), pid (gains flown) }
+    CONFIG_UPDATED: 'config_updated', // Emitted after a user setting changes or is reset. data: { keyPath }
 
     // Input Events
     POINTER_LOCK_CHANGE: 'pointer_lock_change', // data: { isLocked }
@@ -0,0 +1,121 @@
+// src/utils/Filters.js
+
+// Digital filters for the flight controller, matching Betaflight's implementations (src/main/common/filter.c).
+// Filters take the time step on every call, as the PID loop rate is a setting (SIMULATION_SETTINGS.pidLoopRate);
+// coefficients are only recomputed when the step or cutoff changes.
+
+/**
+ * First-order (PT1) lowpass filter.
+ */
+class PT1Filter {
+    constructor(cutoffHz) {
+        this.cutoffHz = cutoffHz;
+        this.state = 0;
+        this.initialized = false;
+    }
+
+    setCutoff(cutoffHz) {
+        this.cutoffHz = cutoffHz;
+    }
+
+    /**
+     * @param {number} input New sample.
+     * @param {number} deltaTime Time since the previous sample (s).
+     * @returns {number} Filtered value.
+     */
+    apply(input, deltaTime) {
+        if (!this.initialized) { // Start from the first sample instead of ramping up from zero
+            this.state = input;
+            this.initialized = true;
+            return input;
+        }
+        if (this.cutoffHz <= 0) { // Cutoff 0 = filter disabled
+            this.state = input;
+            return input;
+        }
+        const rc = 1 / (2 * Math.PI * this.cutoffHz);
+        const k = deltaTime / (rc + deltaTime);
+        this.state += k * (input - this.state);
+        return this.state;
+    }
+
+    reset() {
+        this.state = 0;
+        this.initialized = false;
+    }
+}
+
+/**
+ * Second-order (biquad) filter, lowpass or notch (RBJ cookbook, direct form 2 transposed like Betaflight).
+ */
+class BiquadFilter {
+    /**
+     * @param {'lowpass'|'notch'} type Filter type.
+     * @param {number} centerHz Cutoff (lowpass) or center (notch) frequency.
+     * @param {number} q Quality factor. 0.7071 gives a Butterworth lowpass, notches usually use a Q from their cutoff.
+     */
+    constructor(type, centerHz, q = 1 / Math.SQRT2) {
+        this.type = type;
+        this.centerHz = centerHz;
+        this.q = q;
+        this._coefficientsFor = null; // Time step the coefficients were computed for
+        this.reset();
+    }
+
+    setCenter(centerHz, q = this.q) {
+        if (centerHz === this.centerHz && q === this.q) return;
+        this.centerHz = centerHz;
+        this.q = q;
+        this._coefficientsFor = null; // Force recompute
+    }
+
+    apply(input, deltaTime) {
+        const sampleRate = 1 / deltaTime;
+        // Disabled, or too close to Nyquist to be stable at this loop rate - pass through
+        if (this.centerHz <= 0 || this.centerHz >= sampleRate * 0.5) return input;
+        if (this._coefficientsFor !== deltaTime) this._updateCoefficients(deltaTime);
+
+        const result = this.b0 * input + this.x1;
+        this.x1 = this.b1 * input - this.a1 * result + this.x2;
+        this.x2 = this.b2 * input - this.a2 * result;
+        return result;
+    }
+
+    _updateCoefficients(deltaTime) {
+        const omega = 2 * Math.PI * this.centerHz * deltaTime;
+        const sn = Math.sin(omega);
+        const cs = Math.cos(omega);
+        const alpha = sn / (2 * this.q);
+        let b0, b1, b2;
+        if (this.type === 'notch') {
+            b0 = 1;
+            b1 = -2 * cs;
+            b2 = 1;
+        } else { // lowpass
+            b0 = (1 - cs) * 0.5;
+            b1 = 1 - cs;
+            b2 = (1 - cs) * 0.5;
+        }
+        const a0 = 1 + alpha;
+        this.b0 = b0 / a0;
+        this.b1 = b1 / a0;
+        this.b2 = b2 / a0;
+        this.a1 = (-2 * cs) / a0;
+        this.a2 = (1 - alpha) / a0;
+        this._coefficientsFor = deltaTime;
+    }
+
+    reset() {
+        this.x1 = 0;
+        this.x2 = 0;
+    }
+}
+
+/**
+ * Creates a lowpass filter from a { type: 'PT1'|'BIQUAD', cutoffHz } setting.
+ */
+function createLowpassFilter(type, cutoffHz) {
+    return type === 'BIQUAD' ? new BiquadFilter('lowpass', cutoffHz) : new PT1Filter(cutoffHz);
+}
+
+export { PT1Filter, BiquadFilter, createLowpassFilter };
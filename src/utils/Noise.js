@@ -0,0 +1,78 @@
+// src/utils/Noise.js
+
+// Coherent (Perlin-style gradient) noise for things that should vary smoothly in space and time,
+// like the wind turbulence field. Output of a single octave is roughly in [-1, 1].
+
+const FRACTAL_NOISE_STD = 0.175; // Standard deviation of fractalNoise3D (3 octaves), to scale noise to a wanted intensity
+
+/**
+ * Creates a 3D gradient noise function with its own permutation table.
+ * @param {function(): number} random Uniform [0, 1) generator used to shuffle the table, defaults to Math.random.
+ * @returns {function(number, number, number): number} noise(x, y, z), smooth with a feature size of about 1 unit.
+ */
+function createNoise3D(random = Math.random) {
+    const permutation = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) { // Fisher-Yates shuffle
+        const j = Math.floor(random() * (i + 1));
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    const p = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) p[i] = permutation[i & 255];
+
+    const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+    const lerp = (a, b, t) => a + (b - a) * t;
+    // Dot product with one of Perlin's 12 edge gradients, picked by the hash
+    const grad = (hash, x, y, z) => {
+        const h = hash & 15;
+        const u = h < 8 ? x : y;
+        const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+        return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+    };
+
+    return function noise3D(x, y, z) {
+        const xi = Math.floor(x), yi = Math.floor(y), zi = Math.floor(z);
+        const X = xi & 255, Y = yi & 255, Z = zi & 255;
+        x -= xi; y -= yi; z -= zi;
+        const u = fade(x), v = fade(y), w = fade(z);
+
+        const A = p[X] + Y, AA = p[A] + Z, AB = p[A + 1] + Z;
+        const B = p[X + 1] + Y, BA = p[B] + Z, BB = p[B + 1] + Z;
+
+        return lerp(
+            lerp(
+                lerp(grad(p[AA], x, y, z), grad(p[BA], x - 1, y, z), u),
+                lerp(grad(p[AB], x, y - 1, z), grad(p[BB], x - 1, y - 1, z), u),
+                v),
+            lerp(
+                lerp(grad(p[AA + 1], x, y, z - 1), grad(p[BA + 1], x - 1, y, z - 1), u),
+                lerp(grad(p[AB + 1], x, y - 1, z - 1), grad(p[BB + 1], x - 1, y - 1, z - 1), u),
+                v),
+            w);
+    };
+}
+
+/**
+ * Fractal (multi-octave) sum of a noise function: each octave has twice the frequency and half the amplitude.
+ * Normalized so the result stays roughly in [-1, 1].
+ * @param {function(number, number, number): number} noise3D Noise from createNoise3D.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {number} octaves Number of octaves to sum.
+ * @returns {number}
+ */
+function fractalNoise3D(noise3D, x, y, z, octaves = 3) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let norm = 0;
+    for (let i = 0; i < octaves; i++) {
+        sum += amplitude * noise3D(x * frequency, y * frequency, z * frequency);
+        norm += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+    return sum / norm;
+}
+
+export { createNoise3D, fractalNoise3D, FRACTAL_NOISE_STD };
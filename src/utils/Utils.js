@@ -22,6 +22,45 @@ function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
+/**
+ * Returns a normally distributed random number (Box-Muller transform).
+ * @param {number} stdDev Standard deviation.
+ * @param {function(): number} random Uniform [0, 1) generator, defaults to Math.random.
+ * @returns {number} Random sample with mean 0.
+ */
+function randomGaussian(stdDev = 1, random = Math.random) {
+    const u = 1 - random(); // (0, 1] so log() stays finite
+    const v = random();
+    return stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Creates a seeded uniform random generator (mulberry32), so a run can be repeated exactly.
+ * @param {number|string} seed Strings are hashed (FNV-1a), numbers are used as 32-bit integers.
+ * @returns {function(): number} Uniform [0, 1) generator, with getState()/setState(state) to rewind it.
+ */
+function createRandom(seed) {
+    let state = 0;
+    if (typeof seed === 'string') {
+        state = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 0x01000193);
+        }
+    } else {
+        state = Math.floor(seed) | 0;
+    }
+    const random = () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // Position in the sequence, to replay it from there (the generator is shared by reference, so it's rewound, not replaced)
+    random.getState = () => state;
+    random.setState = (value) => { state = value; };
+    return random;
+}
+
 // Add other utility functions as needed
 
-export { clamp, lerp }; // Export named functions
\ No newline at end of file
+export { clamp, lerp, randomGaussian, createRandom }; // Export named functions
\ No newline at end of file
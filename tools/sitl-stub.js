@@ -0,0 +1,94 @@
+// tools/sitl-stub.js
+// Fake flight controller firmware for testing the SITL bridge (src/core/SitlBridge.js) without a real SITL build:
+// a WebSocket server that flies the drone with a plain rate PID loop and a self-level loop, from the sensor
+// messages and RC channels the sim sends.
+//
+//   npm install
+//   npm run sitl-stub [-- <port>]   (default 8765, the SITL_SETTINGS.url default)
+//
+// Then enable "Fly External Firmware" in the Flight Controller settings. Arming (AUX1) and the flight mode
+// (AUX2: RATE, or ANGLE/HORIZON for self-level) come from the sim's arm switch and flight mode.
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.argv[2]) || 8765;
+const DEG_TO_RAD = Math.PI / 180;
+
+const MAX_RATE = 600 * DEG_TO_RAD;  // rad/s at full stick, rate mode
+const MAX_ANGLE = 45 * DEG_TO_RAD;  // rad at full stick, self-level
+const LEVEL_GAIN = 6;               // rad/s of rate per rad of angle error
+const GAINS = {                     // Rate PID per axis, output in motor range per rad/s
+    roll: { kp: 0.06, ki: 0.3, kd: 0.0008 },
+    pitch: { kp: 0.06, ki: 0.3, kd: 0.0008 },
+    yaw: { kp: 0.1, ki: 0.3, kd: 0 },
+};
+const I_LIMIT = 0.2;
+const IDLE = 0.04;
+
+// Quad-X mixer in Betaflight motor order (rear right, front right, rear left, front left) and props-in spin,
+// columns roll (right wing down), pitch (nose up), yaw (nose right) - body axes forward-right-down
+const MIXER = [
+    [-1, -1, -1],
+    [-1, 1, 1],
+    [1, -1, 1],
+    [1, 1, -1],
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const stick = channel => clamp((channel - 1500) / 500, -1, 1);
+
+class FakeFirmware {
+    constructor() {
+        this.integral = { roll: 0, pitch: 0, yaw: 0 };
+        this.previousRate = { roll: 0, pitch: 0, yaw: 0 };
+        this.lastTime = null;
+        this.armed = false;
+    }
+
+    // One sensor message in, motor outputs (0-1) out
+    update({ timestamp, imu_angular_velocity_rpy: gyro, imu_orientation_quat: quat, rc_channels: rc }) {
+        const dt = this.lastTime === null ? 0 : timestamp - this.lastTime;
+        this.lastTime = timestamp;
+        const armed = rc[4] > 1700;
+        if (armed !== this.armed) console.log(armed ? 'Armed' : 'Disarmed');
+        this.armed = armed;
+        if (!armed || dt <= 0) {
+            this.integral = { roll: 0, pitch: 0, yaw: 0 };
+            return [0, 0, 0, 0];
+        }
+
+        const [w, x, y, z] = quat;
+        const roll = Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y));
+        const pitch = Math.asin(clamp(2 * (w * y - z * x), -1, 1));
+        const selfLevel = rc[5] > 1300;
+        const setpoints = {
+            roll: selfLevel ? LEVEL_GAIN * (stick(rc[0]) * MAX_ANGLE - roll) : stick(rc[0]) * MAX_RATE,
+            pitch: selfLevel ? LEVEL_GAIN * (-stick(rc[1]) * MAX_ANGLE - pitch) : -stick(rc[1]) * MAX_RATE, // Stick forward = nose down
+            yaw: stick(rc[3]) * MAX_RATE,
+        };
+        const rates = { roll: gyro[0], pitch: gyro[1], yaw: gyro[2] };
+
+        const commands = ['roll', 'pitch', 'yaw'].map(axis => {
+            const { kp, ki, kd } = GAINS[axis];
+            const error = setpoints[axis] - rates[axis];
+            this.integral[axis] = clamp(this.integral[axis] + error * dt, -I_LIMIT / ki, I_LIMIT / ki);
+            const derivative = (rates[axis] - this.previousRate[axis]) / dt;
+            this.previousRate[axis] = rates[axis];
+            return kp * error + ki * this.integral[axis] - kd * derivative;
+        });
+
+        const throttle = IDLE + (1 - IDLE) * (rc[2] - 1000) / 1000;
+        return MIXER.map(factors => clamp(throttle + factors.reduce((sum, factor, i) => sum + factor * commands[i], 0), IDLE, 1));
+    }
+}
+
+const server = new WebSocketServer({ port: PORT });
+server.on('connection', (socket) => {
+    console.log('Simulator connected');
+    const firmware = new FakeFirmware();
+    socket.on('message', (data) => {
+        const motorSpeed = firmware.update(JSON.parse(data));
+        socket.send(JSON.stringify({ motor_speed: motorSpeed }));
+    });
+    socket.on('close', () => console.log('Simulator disconnected'));
+});
+console.log(`Fake firmware listening on ws://localhost:${PORT}`);